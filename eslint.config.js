@@ -19,6 +19,7 @@ export default [
         exports: 'writable',
         console: 'readonly',
         Buffer: 'readonly',
+        setTimeout: 'readonly',
       },
     },
     plugins: {
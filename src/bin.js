@@ -26,68 +26,254 @@
 
 import fs from 'fs/promises';
 
-import { Octokit } from '@octokit/rest';
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
+
+import { SyncError } from './errors.js';
+import { applyPlan, createPlan } from './plan.js';
+import { formatDrift } from './utils/drift.js';
+import { createThrottledOctokit } from './utils/octokit.js';
+import { parseReportOption, REPORT_FORMATS } from './utils/reports.js';
 
 import { syncSettings } from './index.js';
 
+/**
+ * Adds the options for selecting the organization, settings file and repository filters.
+ *
+ * @param {Command} command - The command to add the options to
+ * @returns {Command} The command
+ */
+function addSettingsOptions(command) {
+  return command
+    .requiredOption('-o, --org <organization>', 'GitHub organization name')
+    .requiredOption('-s, --settings <path>', 'Path to JSON file with repository settings')
+    .option(
+      '-n, --name-pattern <pattern>',
+      'Regular expression pattern to match repository names to include'
+    )
+    .option('-l, --label <label>', 'Only process repositories that have this label')
+    .option('--language <language>', 'Only process repositories with this primary language')
+    .option(
+      '--concurrency <count>',
+      'Number of repositories to process at a time',
+      parsePositiveInteger,
+      1
+    );
+}
+
+/**
+ * Parses an option value as a positive integer.
+ *
+ * @param {string} value - The option value
+ * @returns {number} The parsed integer
+ */
+function parsePositiveInteger(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new InvalidArgumentError('Expected a positive integer');
+  }
+  return parsed;
+}
+
+/**
+ * Adds the options for connecting to GitHub.
+ *
+ * @param {Command} command - The command to add the options to
+ * @returns {Command} The command
+ */
+function addConnectionOptions(command) {
+  return command
+    .option('-t, --token <token>', 'GitHub Personal Access Token (overrides GITHUB_TOKEN env var)')
+    .option('-u, --base-url <url>', 'GitHub API base URL (for GitHub Enterprise)')
+    .option(
+      '--max-retries <count>',
+      'Maximum number of times to retry a request after a rate limit or server error',
+      parsePositiveInteger,
+      3
+    );
+}
+
+/**
+ * Validates the organization and token options and creates an Octokit instance from them.
+ *
+ * @param {Object} options - The parsed command options
+ * @param {boolean} [requireOrg] - If true, the organization name is required
+ * @returns {import('@octokit/rest').Octokit} Initialized Octokit instance
+ */
+function createOctokit(options, requireOrg = true) {
+  if (requireOrg && !(options.org || process.env.GITHUB_ORG)) {
+    console.error(
+      '❌ Organization name is required. Use --org or set GITHUB_ORG environment variable'
+    );
+    process.exit(1);
+  }
+
+  if (!options.token && !process.env.GITHUB_TOKEN) {
+    console.error(
+      '❌ GitHub token is required. Use --token or set GITHUB_TOKEN environment variable'
+    );
+    process.exit(1);
+  }
+
+  // Initialize Octokit with provided options
+  return createThrottledOctokit({
+    auth: options.token || process.env.GITHUB_TOKEN,
+    baseUrl: options.baseUrl,
+    maxRetries: options.maxRetries,
+  });
+}
+
+/**
+ * Reads and parses the settings file.
+ *
+ * @param {string} path - Path to the JSON settings file
+ * @returns {Promise<Object>} The parsed settings
+ */
+async function readSettings(path) {
+  const settingsFile = await fs.readFile(path, 'utf-8');
+  const settings = JSON.parse(settingsFile);
+
+  if (Object.keys(settings).length === 0) {
+    console.error('❌ Settings file is empty');
+    process.exit(1);
+  }
+  return settings;
+}
+
+/**
+ * Gets the repository filters from the parsed command options.
+ *
+ * @param {Object} options - The parsed command options
+ * @returns {Object} The filter criteria for selecting repositories
+ */
+function getFilters(options) {
+  return {
+    namePattern: options.namePattern,
+    label: options.label,
+    language: options.language,
+  };
+}
+
+/**
+ * Writes the reports of a sync. A report that cannot be written is logged and does not stop the
+ * other reports from being written.
+ *
+ * @param {import('./index.js').SyncResult} result - The result of the sync
+ * @param {Array<{format: string, path: string}>} [reports] - The reports to write
+ * @returns {Promise<boolean>} True if all reports were written
+ */
+async function writeReports(result, reports = []) {
+  let written = true;
+  for (const { format, path } of reports) {
+    try {
+      await fs.writeFile(path, REPORT_FORMATS[format](result));
+      console.log(`📄 Wrote ${format} report to ${path}`);
+    } catch (error) {
+      console.error(`❌ Error writing ${format} report to ${path}:`, error);
+      written = false;
+    }
+  }
+  return written;
+}
+
 const program = new Command();
 
 program
   .name('github-settings-sync')
-  .description('Synchronize repository settings across a GitHub organization')
-  .requiredOption('-o, --org <organization>', 'GitHub organization name')
-  .requiredOption('-s, --settings <path>', 'Path to JSON file with repository settings')
+  .description('Synchronize repository settings across a GitHub organization');
+
+addConnectionOptions(addSettingsOptions(program.command('sync', { isDefault: true })))
+  .description('Apply the settings to all matching repositories')
+  .option('-d, --dry-run', 'Show what would be changed without making changes')
   .option(
-    '-n, --name-pattern <pattern>',
-    'Regular expression pattern to match repository names to include'
+    '-c, --check',
+    'Report drift without making changes and exit with a non-zero code if any repository differs'
+  )
+  .option(
+    '-r, --report <format:path>',
+    'Write a report of the sync, where format is json, junit or markdown (may be repeated)',
+    parseReportOption,
+    []
   )
-  .option('-l, --label <label>', 'Only process repositories that have this label')
-  .option('--language <language>', 'Only process repositories with this primary language')
-  .option('-t, --token <token>', 'GitHub Personal Access Token (overrides GITHUB_TOKEN env var)')
-  .option('-u, --base-url <url>', 'GitHub API base URL (for GitHub Enterprise)')
-  .option('-d, --dry-run', 'Show what would be changed without making changes')
   .action(async (options) => {
     const org = options.org || process.env.GITHUB_ORG;
+    const octokit = createOctokit(options);
+
+    try {
+      const settings = await readSettings(options.settings);
 
-    if (!org) {
-      console.error(
-        '❌ Organization name is required. Use --org or set GITHUB_ORG environment variable'
+      const result = await syncSettings(
+        octokit,
+        org,
+        settings,
+        getFilters(options),
+        options.check ? true : options.dryRun,
+        { concurrency: options.concurrency }
       );
+      const reportsWritten = await writeReports(result, options.report);
+
+      if (options.check) {
+        const drifted = result.repositories.filter((repo) => repo.status !== 'unchanged');
+        if (drifted.length > 0) {
+          console.error(`❌ Drift detected in ${drifted.length} repositories:`);
+          console.error(formatDrift(drifted));
+          process.exit(1);
+        }
+        console.log('✅ No drift detected');
+      } else {
+        const failed = result.repositories.filter((repo) => repo.status === 'failed');
+        if (failed.length > 0) {
+          console.error(`❌ Failed to sync ${failed.length} repositories`);
+          process.exit(1);
+        }
+      }
+
+      if (!reportsWritten) {
+        process.exit(1);
+      }
+    } catch (error) {
+      if (error instanceof SyncError) {
+        console.error('❌ Error during sync:', error);
+      } else {
+        console.error('❌ Error reading settings file:', error);
+      }
       process.exit(1);
     }
+  });
 
-    if (!options.token && !process.env.GITHUB_TOKEN) {
-      console.error(
-        '❌ GitHub token is required. Use --token or set GITHUB_TOKEN environment variable'
-      );
+addConnectionOptions(addSettingsOptions(program.command('plan')))
+  .description('Write the API calls needed to apply the settings to a plan file for review')
+  .requiredOption('-p, --plan <path>', 'Path to write the plan file to')
+  .action(async (options) => {
+    const org = options.org || process.env.GITHUB_ORG;
+    const octokit = createOctokit(options);
+
+    try {
+      const settings = await readSettings(options.settings);
+      const plan = await createPlan(octokit, org, settings, getFilters(options), {
+        concurrency: options.concurrency,
+      });
+      await fs.writeFile(options.plan, `${JSON.stringify(plan, null, 2)}\n`);
+      console.log(`📝 Plan written to ${options.plan}`);
+    } catch (error) {
+      console.error('❌ Error creating plan:', error);
       process.exit(1);
     }
+  });
 
-    // Initialize Octokit with provided options
-    const octokit = new Octokit({
-      auth: options.token || process.env.GITHUB_TOKEN,
-      baseUrl: options.baseUrl,
-    });
+addConnectionOptions(program.command('apply'))
+  .description('Apply the API calls in a reviewed plan file')
+  .requiredOption('-p, --plan <path>', 'Path to the plan file to apply')
+  .action(async (options) => {
+    const octokit = createOctokit(options, false);
 
     try {
-      const settingsFile = await fs.readFile(options.settings, 'utf-8');
-      const settings = JSON.parse(settingsFile);
-
-      if (Object.keys(settings).length === 0) {
-        console.error('❌ Settings file is empty');
+      const plan = JSON.parse(await fs.readFile(options.plan, 'utf-8'));
+      const result = await applyPlan(octokit, plan);
+      if (result.stale.length > 0 || result.failed.length > 0) {
         process.exit(1);
       }
-
-      const filters = {
-        namePattern: options.namePattern,
-        label: options.label,
-        language: options.language,
-      };
-
-      await syncSettings(octokit, org, settings, filters, options.dryRun);
     } catch (error) {
-      console.error('❌ Error reading settings file:', error);
+      console.error('❌ Error applying plan:', error);
       process.exit(1);
     }
   });
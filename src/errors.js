@@ -0,0 +1,68 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Base class for errors raised while synchronizing settings.
+ */
+export class SyncError extends Error {
+  /**
+   * @param {string} message - Description of the error
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - The underlying error
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'SyncError';
+  }
+}
+
+/**
+ * Raised when a settings section could not be synchronized for a repository.
+ */
+export class SectionSyncError extends SyncError {
+  /**
+   * @param {string} repo - The repository name
+   * @param {string} section - The settings section (e.g., 'repository', 'files')
+   * @param {Error} cause - The underlying error
+   */
+  constructor(repo, section, cause) {
+    super(`Failed to sync ${section} for ${repo}: ${cause.message}`, { cause });
+    this.name = 'SectionSyncError';
+    this.repo = repo;
+    this.section = section;
+  }
+}
+
+/**
+ * Raised when a plan file cannot be applied.
+ */
+export class PlanError extends SyncError {
+  /**
+   * @param {string} message - Description of the error
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'PlanError';
+  }
+}
@@ -22,94 +22,296 @@
  * SOFTWARE.
  */
 
-import { updateBranchProtection } from './services/branch-protection.js';
+import { SectionSyncError, SyncError } from './errors.js';
+import { updateActionsSettings } from './services/actions.js';
+import {
+  removeUnlistedBranchProtection,
+  resolveBranchProtection,
+  updateBranchProtection,
+} from './services/branch-protection.js';
 import { updateRepositoryCollaborators } from './services/collaborators.js';
-import { syncFileContent } from './services/file-sync.js';
+import { syncFiles } from './services/file-sync.js';
+import { updateRepositoryLabels } from './services/labels.js';
 import { getRepositories, updateRepositorySettings } from './services/repository.js';
+import { updateRulesets } from './services/rulesets.js';
+import { updateSecuritySettings } from './services/security.js';
+import { updateRepositoryTeams } from './services/teams.js';
+import { updateRepositoryTopics } from './services/topics.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
 import { shouldProcessRepository } from './utils/filters.js';
 
+export { PlanError, SectionSyncError, SyncError } from './errors.js';
+
+/**
+ * @typedef {Object} SectionResult
+ * @property {'unchanged' | 'changed' | 'failed'} status - The outcome of the section sync
+ * @property {*} [diff] - The changes that were (or would be) made, if the section changed
+ * @property {SectionSyncError} [error] - The error, if the section failed
+ */
+
+/**
+ * @typedef {Object} RepositoryResult
+ * @property {string} repo - The repository name
+ * @property {'unchanged' | 'changed' | 'failed'} status - Failed if any section failed, otherwise
+ *   changed if any section changed
+ * @property {Record<string, SectionResult>} sections - The result of each synchronized section
+ */
+
+/**
+ * @typedef {Object} SyncResult
+ * @property {string} org - The GitHub organization name
+ * @property {boolean} dryRun - Whether the sync ran in dry-run mode
+ * @property {number} total - The number of repositories in the organization
+ * @property {number} processed - The number of repositories matching the filters
+ * @property {number} skipped - The number of repositories not matching the filters
+ * @property {Array<RepositoryResult>} repositories - The result for each processed repository
+ */
+
+/**
+ * Checks whether the changes reported by a service contain anything.
+ *
+ * @param {Object | Array | null} diff - The changes reported by a service
+ * @returns {boolean} True if there are changes
+ */
+function hasChanges(diff) {
+  if (Array.isArray(diff)) {
+    return diff.length > 0;
+  }
+  return !!diff && Object.keys(diff).length > 0;
+}
+
+/**
+ * Synchronizes a single settings section, capturing its outcome instead of throwing.
+ *
+ * @param {string} repo - The repository name
+ * @param {string} section - The settings section name
+ * @param {() => Promise<Object | Array | null>} sync - Synchronizes the section and returns the changes
+ * @returns {Promise<SectionResult>} The outcome of the section sync
+ */
+async function syncSection(repo, section, sync) {
+  try {
+    const diff = await sync();
+    return hasChanges(diff) ? { status: 'changed', diff } : { status: 'unchanged' };
+  } catch (error) {
+    const sectionError = new SectionSyncError(repo, section, error);
+    console.error(`❌ ${sectionError.message}`);
+    return { status: 'failed', error: sectionError };
+  }
+}
+
+/**
+ * Synchronizes every section in the settings for a single repository.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {Object} repository - The repository as listed for the organization
+ * @param {Object} settings - The settings to apply to the repository
+ * @param {boolean} dryRun - If true, only show what would be changed without making changes
+ * @returns {Promise<RepositoryResult>} The result of each synchronized section
+ */
+async function syncRepository(octokit, org, repository, settings, dryRun) {
+  const repo = repository.name;
+  const sections = {};
+
+  if (settings.repository) {
+    sections.repository = await syncSection(repo, 'repository', () =>
+      updateRepositorySettings(octokit, org, repo, settings, dryRun)
+    );
+  }
+
+  // Update topics if specified
+  if (settings.topics) {
+    sections.topics = await syncSection(repo, 'topics', () =>
+      updateRepositoryTopics(octokit, org, repo, settings.topics, dryRun)
+    );
+  }
+
+  // Update security settings if specified
+  if (settings.security) {
+    sections.security = await syncSection(repo, 'security', () =>
+      updateSecuritySettings(octokit, org, repo, settings.security, dryRun)
+    );
+  }
+
+  // Update Actions settings if specified
+  if (settings.actions) {
+    sections.actions = await syncSection(repo, 'actions', () =>
+      updateActionsSettings(octokit, org, repo, settings.actions, dryRun)
+    );
+  }
+
+  // Update labels if specified
+  if (settings.labels) {
+    sections.labels = await syncSection(repo, 'labels', () =>
+      updateRepositoryLabels(octokit, org, repo, settings.labels, settings.labels_mode, dryRun)
+    );
+  }
+
+  // Update collaborators if specified
+  if (settings.collaborators) {
+    sections.collaborators = await syncSection(repo, 'collaborators', () =>
+      updateRepositoryCollaborators(octokit, org, repo, settings.collaborators, dryRun, {
+        mode: settings.collaborators_mode,
+        allowlist: settings.collaborators_allowlist,
+      })
+    );
+  }
+
+  // Update team permissions if specified
+  if (settings.teams && typeof settings.teams === 'object') {
+    sections.teams = await syncSection(repo, 'teams', () =>
+      updateRepositoryTeams(octokit, org, repo, settings.teams, settings.teams_mode, dryRun)
+    );
+  }
+
+  // Update branch protection rules if specified
+  if (settings.branch_protection && typeof settings.branch_protection === 'object') {
+    sections.branch_protection = await syncSection(repo, 'branch_protection', async () => {
+      const changes = {};
+      const branches = await resolveBranchProtection(
+        octokit,
+        org,
+        repo,
+        settings.branch_protection,
+        repository.default_branch
+      );
+      for (const [branch, protection] of Object.entries(branches)) {
+        const diff = await updateBranchProtection(octokit, org, repo, branch, protection, dryRun);
+        if (hasChanges(diff)) {
+          changes[branch] = diff;
+        }
+      }
+      if (settings.branch_protection_mode === 'authoritative') {
+        const removed = await removeUnlistedBranchProtection(
+          octokit,
+          org,
+          repo,
+          Object.keys(branches),
+          dryRun
+        );
+        for (const branch of removed) {
+          changes[branch] = { removed: true };
+        }
+      }
+      return changes;
+    });
+  }
+
+  // Update rulesets if specified
+  if (settings.rulesets && typeof settings.rulesets === 'object') {
+    sections.rulesets = await syncSection(repo, 'rulesets', () =>
+      updateRulesets(octokit, org, repo, settings.rulesets, dryRun)
+    );
+  }
+
+  // Sync files if specified
+  if (settings.files && Array.isArray(settings.files)) {
+    sections.files = await syncSection(repo, 'files', () =>
+      syncFiles(octokit, org, repo, settings.files, dryRun, {
+        pullRequest: settings.files_pull_request,
+        variables: settings.files_variables,
+        commit: settings.files_commit,
+      })
+    );
+  }
+
+  const statuses = Object.values(sections).map((section) => section.status);
+  let status = 'unchanged';
+  if (statuses.includes('failed')) {
+    status = 'failed';
+  } else if (statuses.includes('changed')) {
+    status = 'changed';
+  }
+  return { repo, status, sections };
+}
+
 /**
  * Synchronizes settings across all repositories in an organization that match the specified filters.
+ * Failures in a section of a repository are captured in the result and do not stop the sync.
  *
  * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
  * @param {string} org - The GitHub organization name
  * @param {Object} settings - The settings to apply to matching repositories
+ * @param {Object} [settings.repository] - The repository settings to apply
+ * @param {Object} [settings.topics] - The topics to enforce on the repository
+ * @param {Object} [settings.security] - The security and analysis settings to apply
+ * @param {Object} [settings.actions] - The GitHub Actions settings to apply
+ * @param {Array<Object>} [settings.labels] - The issue labels to create or update
+ * @param {string} [settings.labels_mode] - Set to `exact` to delete labels that are not listed
  * @param {Object[]} [settings.collaborators] - The collaborators to add to the repository
- * @param {Record<string, Object>} [settings.branch_protection] - The branch protection rules to apply to the repository
+ * @param {string} [settings.collaborators_mode] - Set to `exact` to remove collaborators that are not listed
+ * @param {Array<string>} [settings.collaborators_allowlist] - Usernames that are never removed
+ * @param {Record<string, string>} [settings.teams] - The permission of each team, by team slug
+ * @param {string} [settings.teams_mode] - Set to `exact` to remove teams that are not listed
+ * @param {Record<string, Object>} [settings.branch_protection] - The branch protection rules to apply, by branch name,
+ *   `$default` or glob pattern
+ * @param {string} [settings.branch_protection_mode] - Set to `authoritative` to remove the protection of
+ *   branches that are not in the branch protection rules
+ * @param {Record<string, Object | null>} [settings.rulesets] - The rulesets to apply by name, null to delete
  * @param {Object[]} [settings.files] - The files to sync to the repository
+ * @param {Object} [settings.files_pull_request] - Propose file changes in a pull request with these settings
+ * @param {Record<string, *>} [settings.files_variables] - Variables available to file templates as `vars.*`
+ * @param {Object} [settings.files_commit] - The message and author of the commit with the file changes
  * @param {Object} filters - The filter criteria for selecting repositories
  * @param {string} [filters.namePattern] - Regular expression pattern to match repository names
  * @param {string} [filters.label] - Label that must be present on the repository
  * @param {string} [filters.language] - Primary language of the repository
  * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
- * @returns {Promise<void>}
- * @throws {Error} If there's a critical error during the sync process
+ * @param {Object} [options] - Sync options
+ * @param {number} [options.concurrency] - The number of repositories to process at a time
+ * @returns {Promise<SyncResult>} The result of the sync for each processed repository
+ * @throws {SyncError} If the repositories in the organization could not be listed or filtered
  */
-export async function syncSettings(octokit, org, settings, filters, dryRun = false) {
-  try {
-    console.log(`🔄 Starting settings sync for organization: ${org}`);
-    if (dryRun) {
-      console.log('🔍 Running in dry-run mode - no changes will be made');
-    }
-
-    const repos = await getRepositories(octokit, org);
-    console.log(`📦 Found ${repos.length} repositories`);
+export async function syncSettings(
+  octokit,
+  org,
+  settings,
+  filters,
+  dryRun = false,
+  { concurrency = 1 } = {}
+) {
+  console.log(`🔄 Starting settings sync for organization: ${org}`);
+  if (dryRun) {
+    console.log('🔍 Running in dry-run mode - no changes will be made');
+  }
 
-    let processedCount = 0;
-    let skippedCount = 0;
-
-    for (const repo of repos) {
-      if (await shouldProcessRepository(octokit, repo, filters)) {
-        await updateRepositorySettings(octokit, org, repo.name, settings, dryRun);
-
-        // Update collaborators if specified
-        if (settings.collaborators) {
-          await updateRepositoryCollaborators(
-            octokit,
-            org,
-            repo.name,
-            settings.collaborators,
-            dryRun
-          );
-          console.log(
-            `✅ ${dryRun ? 'Would update' : 'Successfully updated'} collaborators for ${repo.name}`
-          );
-        }
+  let repos;
+  let outcomes;
 
-        // Update branch protection rules if specified
-        if (settings.branch_protection && typeof settings.branch_protection === 'object') {
-          for (const [branch, protection] of Object.entries(settings.branch_protection)) {
-            await updateBranchProtection(octokit, org, repo.name, branch, protection, dryRun);
-          }
-          console.log(
-            `✅ ${dryRun ? 'Would update' : 'Successfully updated'} branch protection for ${repo.name}`
-          );
-        }
+  try {
+    repos = await getRepositories(octokit, org);
+    console.log(`📦 Found ${repos.length} repositories`);
 
-        // Sync files if specified
-        if (settings.files && Array.isArray(settings.files)) {
-          for (const fileSync of settings.files) {
-            await syncFileContent(octokit, org, repo.name, fileSync, dryRun);
-          }
-          console.log(
-            `✅ ${dryRun ? 'Would sync' : 'Successfully synced'} file content for ${repo.name}`
-          );
-        }
+    outcomes = await mapWithConcurrency(repos, concurrency, async (repo) =>
+      (await shouldProcessRepository(octokit, repo, filters))
+        ? syncRepository(octokit, org, repo, settings, dryRun)
+        : null
+    );
+  } catch (error) {
+    throw new SyncError(`Failed to sync settings for ${org}: ${error.message}`, {
+      cause: error,
+    });
+  }
 
-        processedCount++;
-      } else {
-        skippedCount++;
-      }
-    }
+  const repositories = outcomes.filter(Boolean);
+  const skippedCount = outcomes.length - repositories.length;
+  const countStatus = (status) => repositories.filter((result) => result.status === status).length;
 
-    console.log('✨ Settings sync completed!');
-    console.log(`📊 Summary:
+  console.log('✨ Settings sync completed!');
+  console.log(`📊 Summary:
     - Total repositories: ${repos.length}
-    - Processed: ${processedCount}
+    - Processed: ${repositories.length}
     - Skipped: ${skippedCount}
+    - ${dryRun ? 'Drifted' : 'Updated'}: ${countStatus('changed')}
+    - Failed: ${countStatus('failed')}
     - Mode: ${dryRun ? 'Dry Run' : 'Live'}`);
-  } catch (error) {
-    console.error('❌ Error during sync:', error);
-    process.exit(1);
-  }
+
+  return {
+    org,
+    dryRun,
+    total: repos.length,
+    processed: repositories.length,
+    skipped: skippedCount,
+    repositories,
+  };
 }
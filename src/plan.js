@@ -0,0 +1,271 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { PlanError } from './errors.js';
+import { getActionsState, planActionsSettings } from './services/actions.js';
+import { getBranchProtectionState, planBranchProtection } from './services/branch-protection.js';
+import { getCollaboratorState, planRepositoryCollaborators } from './services/collaborators.js';
+import { commitPlannedFiles, getFileState, planFileSync } from './services/file-sync.js';
+import { planRepositoryLabels } from './services/labels.js';
+import {
+  getRepositories,
+  getRepositoryState,
+  planRepositorySettings,
+} from './services/repository.js';
+import { getRulesetState, planRulesets } from './services/rulesets.js';
+import { getSecurityState, planSecuritySettings } from './services/security.js';
+import { listRepositoryTeams, planRepositoryTeams } from './services/teams.js';
+import { getRepositoryTopics, planRepositoryTopics } from './services/topics.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { shouldProcessRepository } from './utils/filters.js';
+import { listRepositoryLabels } from './utils/labels.js';
+import { executeOperation } from './utils/operations.js';
+
+/**
+ * The version of the plan file format.
+ */
+export const PLAN_VERSION = 3;
+
+/**
+ * Reads the current state of a planned section so it can be compared with the state
+ * recorded when the plan was created.
+ */
+const STATE_READERS = {
+  repository: (octokit, org, repo, state) =>
+    getRepositoryState(octokit, org, repo, Object.keys(state)),
+  topics: (octokit, org, repo) => getRepositoryTopics(octokit, org, repo),
+  security: (octokit, org, repo, state) => getSecurityState(octokit, org, repo, Object.keys(state)),
+  actions: (octokit, org, repo, state) => getActionsState(octokit, org, repo, Object.keys(state)),
+  labels: (octokit, org, repo) => listRepositoryLabels(octokit, org, repo),
+  collaborators: (octokit, org, repo, state) =>
+    getCollaboratorState(octokit, org, repo, Object.keys(state)),
+  teams: (octokit, org, repo) => listRepositoryTeams(octokit, org, repo),
+  branch_protection: (octokit, org, repo, state) =>
+    getBranchProtectionState(octokit, org, repo, Object.keys(state)),
+  rulesets: (octokit, org, repo, state) => getRulesetState(octokit, org, repo, Object.keys(state)),
+  files: (octokit, org, repo, state) => getFileState(octokit, org, repo, Object.keys(state)),
+};
+
+/**
+ * Planned operations that take several dependent API calls, applied by the service that planned
+ * them instead of as a single Octokit method.
+ */
+const COMPOSITE_OPERATIONS = {
+  'files.commit': commitPlannedFiles,
+};
+
+/**
+ * Plans the API calls needed to apply the settings to a single repository.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {Object} repository - The repository as listed for the organization
+ * @param {Object} settings - The settings to apply to the repository
+ * @returns {Promise<Record<string, {state: *, operations: Array<Object>}>>} The planned sections with operations
+ */
+async function planRepository(octokit, org, repository, settings) {
+  const repo = repository.name;
+  const sections = {};
+
+  if (settings.repository) {
+    sections.repository = await planRepositorySettings(octokit, org, repo, settings.repository);
+  }
+
+  if (settings.topics) {
+    sections.topics = await planRepositoryTopics(octokit, org, repo, settings.topics);
+  }
+
+  if (settings.security) {
+    sections.security = await planSecuritySettings(octokit, org, repo, settings.security);
+  }
+
+  if (settings.actions) {
+    sections.actions = await planActionsSettings(octokit, org, repo, settings.actions);
+  }
+
+  if (settings.labels) {
+    sections.labels = await planRepositoryLabels(
+      octokit,
+      org,
+      repo,
+      settings.labels,
+      settings.labels_mode
+    );
+  }
+
+  if (settings.collaborators) {
+    sections.collaborators = await planRepositoryCollaborators(
+      octokit,
+      org,
+      repo,
+      settings.collaborators,
+      { mode: settings.collaborators_mode, allowlist: settings.collaborators_allowlist }
+    );
+  }
+
+  if (settings.teams && typeof settings.teams === 'object') {
+    sections.teams = await planRepositoryTeams(
+      octokit,
+      org,
+      repo,
+      settings.teams,
+      settings.teams_mode
+    );
+  }
+
+  if (settings.branch_protection && typeof settings.branch_protection === 'object') {
+    sections.branch_protection = await planBranchProtection(
+      octokit,
+      org,
+      repo,
+      settings.branch_protection,
+      { defaultBranch: repository.default_branch, mode: settings.branch_protection_mode }
+    );
+  }
+
+  if (settings.rulesets && typeof settings.rulesets === 'object') {
+    sections.rulesets = await planRulesets(octokit, org, repo, settings.rulesets);
+  }
+
+  if (settings.files && Array.isArray(settings.files)) {
+    sections.files = await planFileSync(octokit, org, repo, settings.files, {
+      variables: settings.files_variables,
+      commit: settings.files_commit,
+    });
+  }
+
+  return Object.fromEntries(
+    Object.entries(sections).filter(([, section]) => section.operations.length > 0)
+  );
+}
+
+/**
+ * Creates a plan of the exact API calls needed to apply the settings to all repositories in an
+ * organization that match the specified filters, without making any changes.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {Object} settings - The settings to apply to matching repositories
+ * @param {Object} filters - The filter criteria for selecting repositories
+ * @param {Object} [options] - Plan options
+ * @param {number} [options.concurrency] - The number of repositories to plan at a time
+ * @returns {Promise<{version: number, org: string, createdAt: string, repositories: Array<{repo: string, sections: Object}>}>}
+ *   The plan, containing only the repositories that need changes
+ * @throws {PlanError} If the settings propose file changes in a pull request, which cannot be planned
+ */
+export async function createPlan(octokit, org, settings, filters, { concurrency = 1 } = {}) {
+  if (settings.files && settings.files_pull_request) {
+    throw new PlanError('Files synchronized through a pull request cannot be planned');
+  }
+
+  console.log(`📝 Creating plan for organization: ${org}`);
+
+  const repos = await getRepositories(octokit, org);
+
+  const planned = await mapWithConcurrency(repos, concurrency, async (repo) => {
+    if (!(await shouldProcessRepository(octokit, repo, filters))) {
+      return null;
+    }
+    const sections = await planRepository(octokit, org, repo, settings);
+    for (const [section, { operations }] of Object.entries(sections)) {
+      console.log(`📝 Planned ${operations.length} ${section} change(s) for ${repo.name}`);
+    }
+    return Object.keys(sections).length > 0 ? { repo: repo.name, sections } : null;
+  });
+  const repositories = planned.filter(Boolean);
+
+  console.log(`✨ Plan created with changes for ${repositories.length} repositories`);
+  return {
+    version: PLAN_VERSION,
+    org,
+    createdAt: new Date().toISOString(),
+    repositories,
+  };
+}
+
+/**
+ * Applies a plan created by `createPlan`. Before changing a repository, its current state is
+ * compared with the state recorded in the plan and the repository is skipped if it has changed.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {Object} plan - The plan to apply
+ * @returns {Promise<{applied: Array<string>, stale: Array<string>, failed: Array<string>}>} The
+ *   repositories that were updated, skipped because they changed since the plan was created, or
+ *   failed to update
+ * @throws {PlanError} If the plan was created with an unsupported version
+ */
+export async function applyPlan(octokit, plan) {
+  if (plan.version !== PLAN_VERSION) {
+    throw new PlanError(`Unsupported plan version: ${plan.version}`);
+  }
+
+  const { org } = plan;
+  const applied = [];
+  const stale = [];
+  const failed = [];
+
+  console.log(`🚀 Applying plan for organization: ${org}`);
+
+  for (const { repo, sections } of plan.repositories) {
+    try {
+      const changedSections = [];
+      for (const [section, { state }] of Object.entries(sections)) {
+        if (!STATE_READERS[section]) {
+          throw new PlanError(`Unsupported plan section: ${section}`);
+        }
+        const currentState = await STATE_READERS[section](octokit, org, repo, state);
+        if (JSON.stringify(currentState) !== JSON.stringify(state)) {
+          changedSections.push(section);
+        }
+      }
+
+      if (changedSections.length > 0) {
+        console.error(
+          `❌ Skipping ${repo} - ${changedSections.join(', ')} changed since the plan was created`
+        );
+        stale.push(repo);
+        continue;
+      }
+
+      for (const { operations } of Object.values(sections)) {
+        for (const operation of operations) {
+          const execute = COMPOSITE_OPERATIONS[operation.method] ?? executeOperation;
+          await execute(octokit, operation);
+          console.log(`✅ Applied ${operation.method} to ${repo}`);
+        }
+      }
+      applied.push(repo);
+    } catch (error) {
+      console.error(`❌ Failed to apply plan to ${repo}:`, error);
+      failed.push(repo);
+    }
+  }
+
+  console.log(`✨ Plan applied to ${applied.length} repositories`);
+  console.log(`📊 Summary:
+    - Applied: ${applied.length}
+    - Changed since plan: ${stale.length}
+    - Failed: ${failed.length}`);
+  return { applied, stale, failed };
+}
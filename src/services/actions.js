@@ -0,0 +1,237 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { executeOperation, REQUEST_ROUTES } from '../utils/operations.js';
+
+/**
+ * The Actions settings that can be managed, grouped by the endpoint that reads and writes them.
+ */
+const SETTING_GROUPS = {
+  permissions: ['enabled', 'allowed_actions'],
+  selected: ['selected_actions'],
+  workflow: ['default_workflow_permissions', 'can_approve_pull_request_reviews'],
+  retention: ['artifact_and_log_retention_days'],
+};
+
+/**
+ * Validates the desired Actions settings.
+ *
+ * @param {Object} actions - The desired Actions settings
+ * @throws {Error} If a setting is unknown or settings are combined with disabling Actions
+ */
+function validateActionsSettings(actions) {
+  const known = Object.values(SETTING_GROUPS).flat();
+  for (const key of Object.keys(actions)) {
+    if (!known.includes(key)) {
+      throw new Error(`Unknown actions setting: ${key}`);
+    }
+  }
+  if (actions.enabled === false && Object.keys(actions).length > 1) {
+    throw new Error('Actions settings cannot be combined with enabled: false');
+  }
+  if (actions.selected_actions && actions.allowed_actions !== 'selected') {
+    throw new Error('Actions selected_actions requires allowed_actions: selected');
+  }
+}
+
+/**
+ * Gets the current values of the given Actions settings.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<string>} keys - The Actions settings to read
+ * @returns {Promise<Object>} Current value of each setting, null if unset
+ * @throws {Error} If the GitHub API request fails
+ */
+export async function getActionsState(octokit, org, repo, keys) {
+  const params = { owner: org, repo };
+  const wants = (group) => SETTING_GROUPS[group].some((key) => keys.includes(key));
+  const current = {};
+
+  if (wants('permissions') || wants('selected')) {
+    const { data } = await octokit.actions.getGithubActionsPermissionsRepository(params);
+    Object.assign(current, data);
+  }
+  if (wants('selected') && current.allowed_actions === 'selected') {
+    const { data } = await octokit.actions.getAllowedActionsRepository(params);
+    current.selected_actions = data;
+  }
+  if (wants('workflow')) {
+    const { data } =
+      await octokit.actions.getGithubActionsDefaultWorkflowPermissionsRepository(params);
+    Object.assign(current, data);
+  }
+  if (wants('retention')) {
+    const { data } = await octokit.request(
+      REQUEST_ROUTES['actions.getArtifactAndLogRetentionRepository'],
+      params
+    );
+    current.artifact_and_log_retention_days = data.days;
+  }
+
+  return Object.fromEntries(keys.map((key) => [key, current[key] ?? null]));
+}
+
+/**
+ * Checks whether a current Actions setting matches the desired value. Only the keys present
+ * in a desired object are compared, and arrays are compared regardless of order.
+ *
+ * @param {*} current - The current value
+ * @param {*} desired - The desired value
+ * @returns {boolean} True if the current value satisfies the desired value
+ */
+function matchesSetting(current, desired) {
+  if (Array.isArray(desired)) {
+    return (
+      Array.isArray(current) &&
+      JSON.stringify([...current].sort()) === JSON.stringify([...desired].sort())
+    );
+  }
+  if (desired && typeof desired === 'object') {
+    return (
+      current !== null &&
+      typeof current === 'object' &&
+      Object.entries(desired).every(([key, value]) => matchesSetting(current[key], value))
+    );
+  }
+  return current === desired;
+}
+
+/**
+ * Compares the current and desired Actions settings.
+ *
+ * @param {Object} current - Current Actions settings
+ * @param {Object} desired - Desired Actions settings
+ * @returns {Object} The settings that need to be changed
+ */
+function getActionsDiff(current, desired) {
+  return Object.fromEntries(
+    Object.entries(desired).filter(([key, value]) => !matchesSetting(current[key], value))
+  );
+}
+
+/**
+ * Builds the API calls that apply an Actions settings diff. The allowed actions policy is
+ * set before the selected actions, which can only be set once the policy is `selected`.
+ *
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Object} actions - The desired Actions settings
+ * @param {Object} diff - The settings to change
+ * @returns {Array<{method: string, params: Object}>} The API calls to make
+ */
+function getActionsOperations(org, repo, actions, diff) {
+  const params = { owner: org, repo };
+  const changed = (group) => SETTING_GROUPS[group].some((key) => key in diff);
+  const operations = [];
+
+  if (changed('permissions')) {
+    operations.push({
+      method: 'actions.setGithubActionsPermissionsRepository',
+      params: {
+        ...params,
+        enabled: actions.enabled ?? true,
+        ...(actions.allowed_actions && { allowed_actions: actions.allowed_actions }),
+      },
+    });
+  }
+  if (changed('selected')) {
+    operations.push({
+      method: 'actions.setAllowedActionsRepository',
+      params: { ...params, ...actions.selected_actions },
+    });
+  }
+  if (changed('workflow')) {
+    const workflow = SETTING_GROUPS.workflow.filter((key) => key in actions);
+    operations.push({
+      method: 'actions.setGithubActionsDefaultWorkflowPermissionsRepository',
+      params: { ...params, ...Object.fromEntries(workflow.map((key) => [key, actions[key]])) },
+    });
+  }
+  if (changed('retention')) {
+    operations.push({
+      method: 'actions.setArtifactAndLogRetentionRepository',
+      params: { ...params, days: actions.artifact_and_log_retention_days },
+    });
+  }
+  return operations;
+}
+
+/**
+ * Plans the API calls needed to bring the Actions settings in line with the desired settings.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Object} actions - The desired Actions settings
+ * @returns {Promise<{state: Object, operations: Array<{method: string, params: Object}>}>}
+ *   The current Actions settings and the API calls to make
+ * @throws {Error} If the settings are invalid or the GitHub API request fails
+ */
+export async function planActionsSettings(octokit, org, repo, actions) {
+  validateActionsSettings(actions);
+  const state = await getActionsState(octokit, org, repo, Object.keys(actions));
+  const operations = getActionsOperations(org, repo, actions, getActionsDiff(state, actions));
+  return { state, operations };
+}
+
+/**
+ * Updates the GitHub Actions permissions and workflow settings for a repository.
+ * Only updates settings that differ from the current configuration.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Object} actions - The desired Actions settings
+ * @param {boolean} [actions.enabled] - Whether GitHub Actions is enabled
+ * @param {string} [actions.allowed_actions] - Allowed actions policy (all, local_only, selected)
+ * @param {Object} [actions.selected_actions] - The actions allowed when the policy is `selected`
+ * @param {string} [actions.default_workflow_permissions] - Default `GITHUB_TOKEN` permissions (read, write)
+ * @param {boolean} [actions.can_approve_pull_request_reviews] - Whether Actions can approve pull requests
+ * @param {number} [actions.artifact_and_log_retention_days] - Artifact and log retention in days
+ * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
+ * @returns {Promise<Object>} The settings that were (or would be) changed
+ * @throws {Error} If the settings are invalid or the GitHub API request fails
+ */
+export async function updateActionsSettings(octokit, org, repo, actions, dryRun = false) {
+  validateActionsSettings(actions);
+  const current = await getActionsState(octokit, org, repo, Object.keys(actions));
+  const diff = getActionsDiff(current, actions);
+
+  if (Object.keys(diff).length === 0) {
+    console.log(`⏭️ Skipping actions settings for ${repo} - settings match`);
+    return diff;
+  }
+
+  if (dryRun) {
+    console.log(`🔍 Would update actions settings for ${repo}:`, diff);
+  } else {
+    for (const operation of getActionsOperations(org, repo, actions, diff)) {
+      await executeOperation(octokit, operation);
+    }
+    console.log(`✅ Successfully updated actions settings for ${repo}`);
+  }
+  return diff;
+}
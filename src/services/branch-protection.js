@@ -22,8 +22,607 @@
  * SOFTWARE.
  */
 
+import { globToRegExp, isGlob } from '../utils/glob.js';
+
+/**
+ * Gets the current protection for a branch.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {string} branch - Branch name (e.g., 'main')
+ * @returns {Promise<Object | null>} Current branch protection, or null if the branch is not protected
+ */
+export async function getBranchProtection(octokit, org, repo, branch) {
+  try {
+    const { data } = await octokit.repos.getBranchProtection({
+      owner: org,
+      repo,
+      branch,
+    });
+    return data;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Branch protection flags that the API wraps in an `{ enabled }` object.
+ */
+const ENABLED_FLAGS = [
+  'enforce_admins',
+  'required_linear_history',
+  'allow_force_pushes',
+  'allow_deletions',
+  'block_creations',
+  'required_conversation_resolution',
+  'lock_branch',
+  'allow_fork_syncing',
+];
+
+/**
+ * Converts the users, teams and apps of a protection response to the logins and slugs
+ * the update endpoint accepts.
+ *
+ * @param {Object} [actors] - Users, teams and apps as returned by the API
+ * @returns {{users: Array<string>, teams: Array<string>, apps: Array<string>}} The logins and slugs
+ */
+function normalizeActors(actors = {}) {
+  return {
+    users: (actors.users ?? []).map((user) => user.login),
+    teams: (actors.teams ?? []).map((team) => team.slug),
+    apps: (actors.apps ?? []).map((app) => app.slug),
+  };
+}
+
+/**
+ * Converts a branch protection response to the shape the update endpoint accepts, so it can
+ * be compared with the desired settings. `{ enabled }` wrappers are unwrapped and users,
+ * teams and apps are reduced to their logins and slugs.
+ *
+ * @param {Object | null} protection - Branch protection as returned by the API
+ * @returns {Object | null} The branch protection in the update shape, or null if the branch is not protected
+ */
+export function normalizeBranchProtection(protection) {
+  if (!protection) {
+    return null;
+  }
+
+  const checks = protection.required_status_checks;
+  const reviews = protection.required_pull_request_reviews;
+  const normalized = {
+    required_status_checks: checks
+      ? {
+          strict: checks.strict ?? false,
+          contexts: checks.contexts ?? [],
+          checks: (checks.checks ?? []).map(({ context, app_id }) => ({ context, app_id })),
+        }
+      : null,
+    required_pull_request_reviews: reviews
+      ? {
+          dismiss_stale_reviews: reviews.dismiss_stale_reviews ?? false,
+          require_code_owner_reviews: reviews.require_code_owner_reviews ?? false,
+          required_approving_review_count: reviews.required_approving_review_count ?? 0,
+          require_last_push_approval: reviews.require_last_push_approval ?? false,
+          dismissal_restrictions: normalizeActors(reviews.dismissal_restrictions),
+          bypass_pull_request_allowances: normalizeActors(reviews.bypass_pull_request_allowances),
+        }
+      : null,
+    restrictions: protection.restrictions ? normalizeActors(protection.restrictions) : null,
+  };
+  for (const flag of ENABLED_FLAGS) {
+    normalized[flag] = protection[flag]?.enabled ?? false;
+  }
+  return normalized;
+}
+
+/**
+ * Checks whether a value is a plain object.
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is an object and not null or an array
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a current value matches a desired value. Arrays such as status check
+ * contexts or user logins are compared regardless of order, and objects in them are compared
+ * on the fields they give, so a status check without `app_id` matches any app.
+ *
+ * @param {*} current - The current value
+ * @param {*} desired - The desired value
+ * @returns {boolean} True if the values match
+ */
+function matchesValue(current, desired) {
+  if (desired === null) {
+    return current === null || current === undefined;
+  }
+  if (Array.isArray(desired)) {
+    if (!Array.isArray(current) || current.length !== desired.length) {
+      return false;
+    }
+    const remaining = [...current];
+    return desired.every((item) => {
+      const index = remaining.findIndex((value) => matchesValue(value, item));
+      if (index === -1) {
+        return false;
+      }
+      remaining.splice(index, 1);
+      return true;
+    });
+  }
+  if (isObject(desired)) {
+    return (
+      isObject(current) &&
+      Object.entries(desired).every(([key, value]) => matchesValue(current[key], value))
+    );
+  }
+  return JSON.stringify(current) === JSON.stringify(desired);
+}
+
+/**
+ * Collects the fields of the desired settings that differ from the current protection.
+ * Objects are compared field by field, and only the fields present in the desired settings
+ * are compared.
+ *
+ * @param {*} current - The current value
+ * @param {*} desired - The desired value
+ * @param {string} path - The dotted path of the value
+ * @param {Record<string, {from: *, to: *}>} diff - The differences found so far
+ * @returns {Record<string, {from: *, to: *}>} The differences
+ */
+function collectDiff(current, desired, path, diff) {
+  if (isObject(desired) && isObject(current)) {
+    for (const [key, value] of Object.entries(desired)) {
+      collectDiff(current[key], value, path ? `${path}.${key}` : key, diff);
+    }
+  } else if (!matchesValue(current, desired)) {
+    diff[path] = { from: current ?? null, to: desired };
+  }
+  return diff;
+}
+
+/**
+ * Compares the current branch protection with the desired settings and returns the fields
+ * that differ, keyed by their dotted path (e.g. `required_pull_request_reviews.required_approving_review_count`).
+ * A flag such as `enforce_admins` set to null is disabled by the API, so it matches a flag
+ * that is currently disabled.
+ *
+ * @param {Object | null} current - Current branch protection in the update shape, or null if the branch is not protected
+ * @param {Object} desired - Desired branch protection settings
+ * @returns {Record<string, {from: *, to: *}>} The current and desired value of each field that differs
+ */
+export function getBranchProtectionDiff(current, desired) {
+  if (!current) {
+    return collectDiff({}, desired, '', {});
+  }
+  const comparable = { ...desired };
+  for (const flag of ENABLED_FLAGS) {
+    if (comparable[flag] === null) {
+      comparable[flag] = false;
+    }
+  }
+  return collectDiff(current, comparable, '', {});
+}
+
+/**
+ * Shorthand settings that may be given at the top level and belong in `required_status_checks`.
+ */
+const STATUS_CHECK_FIELDS = ['strict', 'contexts', 'checks'];
+
+/**
+ * Shorthand settings that may be given at the top level and belong in `required_pull_request_reviews`.
+ */
+const REVIEW_FIELDS = [
+  'dismiss_stale_reviews',
+  'require_code_owner_reviews',
+  'required_approving_review_count',
+  'require_last_push_approval',
+  'dismissal_restrictions',
+  'bypass_pull_request_allowances',
+];
+
+/**
+ * Settings that hold a list of users, teams and apps.
+ */
+const ACTOR_FIELDS = ['users', 'teams', 'apps'];
+
+/**
+ * Converts users, teams and apps given by name to the object the API accepts. Names of the
+ * form `org/team` are teams, `app/slug` are apps and any other name is a user; a leading `@`
+ * is ignored. Lists left out of an object default to empty, as the API requires them.
+ *
+ * @param {Array<string> | Object} value - Names, or an object with `users`, `teams` and `apps`
+ * @param {string} setting - The setting name, used in error messages
+ * @returns {{users: Array<string>, teams: Array<string>, apps: Array<string>}} The actors
+ * @throws {Error} If the value is not a list of names or an object of name lists
+ */
+function toActors(value, setting) {
+  if (Array.isArray(value)) {
+    const actors = { users: [], teams: [], apps: [] };
+    for (const entry of value) {
+      if (typeof entry !== 'string') {
+        throw new Error(`${setting} must only contain user, team or app names`);
+      }
+      const name = entry.replace(/^@/, '');
+      if (name.startsWith('app/')) {
+        actors.apps.push(name.slice('app/'.length));
+      } else if (name.includes('/')) {
+        actors.teams.push(name.slice(name.indexOf('/') + 1));
+      } else {
+        actors.users.push(name);
+      }
+    }
+    return actors;
+  }
+  if (
+    value &&
+    typeof value === 'object' &&
+    Object.entries(value).every(
+      ([key, names]) =>
+        ACTOR_FIELDS.includes(key) &&
+        Array.isArray(names) &&
+        names.every((name) => typeof name === 'string')
+    )
+  ) {
+    return { users: [], teams: [], apps: [], ...value };
+  }
+  throw new Error(`${setting} must be a list of names or an object with users, teams and apps`);
+}
+
+/**
+ * Combines a protection section with the shorthand settings given for it at the top level.
+ *
+ * @param {*} value - The section as given, e.g. `true`, `false`, `null` or an object
+ * @param {Object} shorthand - The shorthand settings for the section
+ * @param {string} section - The section name, used in error messages
+ * @returns {Object | null} The combined section, or null if the section is disabled
+ * @throws {Error} If shorthand settings are given for a disabled section
+ */
+function withShorthand(value, shorthand, section) {
+  const keys = Object.keys(shorthand);
+  if (value === false || value === null || (value === undefined && keys.length === 0)) {
+    if (keys.length > 0) {
+      throw new Error(`${keys.join(', ')} cannot be set when ${section} is disabled`);
+    }
+    return null;
+  }
+  if (
+    value !== undefined &&
+    value !== true &&
+    (typeof value !== 'object' || Array.isArray(value))
+  ) {
+    throw new Error(`${section} must be true, false, null or an object`);
+  }
+  return { ...(typeof value === 'object' && value), ...shorthand };
+}
+
+/**
+ * Translates branch protection settings to the input of the update endpoint and validates them.
+ * Accepts the shorthand documented in the README: status check and review settings at the top
+ * level, `true` to enable a section with its defaults, a list of contexts for
+ * `required_status_checks` and users, teams and apps by name. The sections the endpoint
+ * requires are set to null when they are not given.
+ *
+ * @param {string} branch - The branch name, used in error messages
+ * @param {Object} settings - Branch protection settings
+ * @returns {Object} The input for the update endpoint
+ * @throws {Error} If the settings are invalid
+ */
+export function toBranchProtectionInput(branch, settings) {
+  const checks = {};
+  const reviews = {};
+  const input = {};
+
+  try {
+    for (const [key, value] of Object.entries(settings)) {
+      if (STATUS_CHECK_FIELDS.includes(key)) {
+        checks[key] = value;
+      } else if (REVIEW_FIELDS.includes(key)) {
+        reviews[key] = value;
+      } else if (ENABLED_FLAGS.includes(key)) {
+        if (typeof value !== 'boolean' && value !== null) {
+          throw new Error(`${key} must be true or false`);
+        }
+        input[key] = value;
+      } else if (
+        !['required_status_checks', 'required_pull_request_reviews', 'restrictions'].includes(key)
+      ) {
+        throw new Error(`unknown setting ${key}`);
+      }
+    }
+
+    const statusChecks = Array.isArray(settings.required_status_checks)
+      ? { contexts: settings.required_status_checks }
+      : settings.required_status_checks;
+    input.required_status_checks = withShorthand(statusChecks, checks, 'required_status_checks');
+    if (input.required_status_checks) {
+      const { strict = false, contexts, checks: statusCheckList } = input.required_status_checks;
+      if (typeof strict !== 'boolean') {
+        throw new Error('strict must be true or false');
+      }
+      if (statusCheckList && !Array.isArray(statusCheckList)) {
+        throw new Error('checks must be a list');
+      }
+      const names = contexts ?? statusCheckList?.map((check) => check.context) ?? [];
+      if (!Array.isArray(names) || !names.every((name) => typeof name === 'string')) {
+        throw new Error('contexts must be a list of status check names');
+      }
+      input.required_status_checks = {
+        strict,
+        contexts: names,
+        ...(statusCheckList && { checks: statusCheckList }),
+      };
+    }
+
+    input.required_pull_request_reviews = withShorthand(
+      settings.required_pull_request_reviews,
+      reviews,
+      'required_pull_request_reviews'
+    );
+    for (const [key, value] of Object.entries(input.required_pull_request_reviews ?? {})) {
+      if (!REVIEW_FIELDS.includes(key)) {
+        throw new Error(`unknown setting required_pull_request_reviews.${key}`);
+      }
+      if (key === 'required_approving_review_count') {
+        if (!Number.isInteger(value) || value < 0 || value > 6) {
+          throw new Error('required_approving_review_count must be a whole number from 0 to 6');
+        }
+      } else if (key === 'dismissal_restrictions' || key === 'bypass_pull_request_allowances') {
+        input.required_pull_request_reviews[key] = toActors(value, key);
+      } else if (typeof value !== 'boolean') {
+        throw new Error(`${key} must be true or false`);
+      }
+    }
+
+    input.restrictions = [undefined, null, false].includes(settings.restrictions)
+      ? null
+      : toActors(settings.restrictions, 'restrictions');
+    input.enforce_admins ??= null;
+  } catch (error) {
+    throw new Error(`Invalid branch protection for ${branch}: ${error.message}`);
+  }
+
+  return input;
+}
+
+/**
+ * The key in the branch protection settings that stands for the repository's default branch.
+ */
+export const DEFAULT_BRANCH_ALIAS = '$default';
+
+/**
+ * Fetches the names of all branches of a repository.
+ * Handles pagination automatically to get all branches.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {boolean} [protectedOnly] - If true, only protected branches are returned
+ * @returns {Promise<Array<string>>} The branch names
+ * @throws {Error} If the GitHub API request fails
+ */
+async function listBranchNames(octokit, org, repo, protectedOnly = false) {
+  const branches = [];
+  let page = 1;
+
+  while (true) {
+    const { data } = await octokit.repos.listBranches({
+      owner: org,
+      repo,
+      ...(protectedOnly && { protected: true }),
+      per_page: 100,
+      page,
+    });
+
+    branches.push(...data.map((branch) => branch.name));
+
+    if (data.length < 100) {
+      break;
+    }
+    page++;
+  }
+
+  return branches;
+}
+
+/**
+ * Resolves the keys of the branch protection settings to the existing branches of a repository.
+ * `$default` resolves to the repository's default branch and glob patterns (e.g. `release/*`)
+ * expand to every matching branch. Branches named explicitly take precedence over patterns.
+ * Branches that do not exist are skipped. The settings of every key are translated to the
+ * update endpoint input and validated before anything is resolved.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Record<string, Object>} branchProtection - Protection settings by branch name or pattern
+ * @param {string} defaultBranch - The repository's default branch, as listed for the organization
+ * @returns {Promise<Record<string, Object>>} Update endpoint input by existing branch name
+ * @throws {Error} If the settings are invalid or the GitHub API request fails
+ */
+export async function resolveBranchProtection(octokit, org, repo, branchProtection, defaultBranch) {
+  const entries = Object.entries(branchProtection).map(([key, settings]) => [
+    key,
+    toBranchProtectionInput(key, settings),
+  ]);
+  const branches = await listBranchNames(octokit, org, repo);
+  const patterns = entries.filter(([key]) => isGlob(key));
+  const names = entries.filter(([key]) => !isGlob(key));
+  const resolved = {};
+
+  for (const [pattern, settings] of patterns) {
+    const regExp = globToRegExp(pattern);
+    const matches = branches.filter((branch) => regExp.test(branch));
+    if (matches.length === 0) {
+      console.log(`⏭️ Skipping branch protection for ${pattern} in ${repo} - no branches match`);
+    }
+    for (const branch of matches) {
+      resolved[branch] = settings;
+    }
+  }
+
+  for (const [name, settings] of names) {
+    const branch = name === DEFAULT_BRANCH_ALIAS ? defaultBranch : name;
+    if (!branches.includes(branch)) {
+      console.log(`⏭️ Skipping branch protection for ${branch} in ${repo} - branch does not exist`);
+      continue;
+    }
+    resolved[branch] = settings;
+  }
+
+  return resolved;
+}
+
+/**
+ * Gets the current protection for each of the given branches.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<string>} branches - Branch names
+ * @returns {Promise<Record<string, Object | null>>} Current protection of each branch in the update shape
+ */
+export async function getBranchProtectionState(octokit, org, repo, branches) {
+  const state = {};
+  for (const branch of branches) {
+    state[branch] = normalizeBranchProtection(
+      await getBranchProtection(octokit, org, repo, branch)
+    );
+  }
+  return state;
+}
+
+/**
+ * Finds the protected branches of a repository that are not in the given branches and gets their
+ * current protection. Branches protected only by a ruleset are also listed as protected, so
+ * branches without branch protection are left out.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<string>} branches - The branches in the settings
+ * @returns {Promise<Record<string, Object>>} Current protection of each protected branch that is not in the settings
+ * @throws {Error} If the GitHub API request fails
+ */
+async function getUnlistedProtectedBranches(octokit, org, repo, branches) {
+  const unlisted = {};
+  for (const branch of await listBranchNames(octokit, org, repo, true)) {
+    if (branches.includes(branch)) {
+      continue;
+    }
+    const protection = await getBranchProtection(octokit, org, repo, branch);
+    if (protection) {
+      unlisted[branch] = protection;
+    }
+  }
+  return unlisted;
+}
+
+/**
+ * Plans the API calls needed to bring the protection of each branch in line with the desired settings.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Record<string, Object>} branchProtection - Desired protection settings by branch name or pattern
+ * @param {Object} options - Plan options
+ * @param {string} options.defaultBranch - The repository's default branch, as listed for the organization
+ * @param {string} [options.mode] - The branch protection mode; `authoritative` removes the protection of
+ *   branches that are not in the settings
+ * @returns {Promise<{state: Record<string, Object | null>, operations: Array<{method: string, params: Object}>}>}
+ *   The current protection of each resolved branch and the API calls to make
+ */
+export async function planBranchProtection(
+  octokit,
+  org,
+  repo,
+  branchProtection,
+  { defaultBranch, mode }
+) {
+  const branches = await resolveBranchProtection(
+    octokit,
+    org,
+    repo,
+    branchProtection,
+    defaultBranch
+  );
+  const unlisted =
+    mode === 'authoritative'
+      ? await getUnlistedProtectedBranches(octokit, org, repo, Object.keys(branches))
+      : {};
+  const state = await getBranchProtectionState(octokit, org, repo, Object.keys(branches));
+  for (const [branch, protection] of Object.entries(unlisted)) {
+    state[branch] = normalizeBranchProtection(protection);
+  }
+  const operations = Object.entries(branches)
+    .filter(
+      ([branch, settings]) =>
+        Object.keys(getBranchProtectionDiff(state[branch], settings)).length > 0
+    )
+    .map(([branch, settings]) => ({
+      method: 'repos.updateBranchProtection',
+      params: { owner: org, repo, branch, ...settings },
+    }));
+  for (const branch of Object.keys(unlisted)) {
+    operations.push({
+      method: 'repos.deleteBranchProtection',
+      params: { owner: org, repo, branch },
+    });
+  }
+  return { state, operations };
+}
+
+/**
+ * Removes the protection of every protected branch that is not in the given branches.
+ * Protection that is already gone when it is removed is skipped.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<string>} branches - The branches in the settings
+ * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
+ * @returns {Promise<Array<string>>} The branches whose protection was (or would be) removed
+ * @throws {Error} If the GitHub API request fails
+ */
+export async function removeUnlistedBranchProtection(octokit, org, repo, branches, dryRun = false) {
+  const unlisted = await getUnlistedProtectedBranches(octokit, org, repo, branches);
+  const removed = [];
+
+  for (const branch of Object.keys(unlisted)) {
+    if (dryRun) {
+      console.log(`🔍 Would remove branch protection for ${branch} in ${repo}`);
+    } else {
+      try {
+        await octokit.repos.deleteBranchProtection({
+          owner: org,
+          repo,
+          branch,
+        });
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
+        }
+        console.log(`⏭️ Skipping branch protection for ${branch} in ${repo} - already removed`);
+        continue;
+      }
+      console.log(`✅ Removed branch protection for ${branch} in ${repo}`);
+    }
+    removed.push(branch);
+  }
+
+  return removed;
+}
+
 /**
  * Updates branch protection rules for a repository.
+ * Only updates the protection when it differs from the desired settings. The settings may use
+ * the shorthand accepted by `toBranchProtectionInput`.
  *
  * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
  * @param {string} org - The GitHub organization name
@@ -31,32 +630,41 @@
  * @param {string} branch - Branch name to protect (e.g., 'main')
  * @param {Object} settings - Branch protection settings
  * @param {boolean} [settings.enforce_admins] - Enforce restrictions for administrators
- * @param {boolean} [settings.required_status_checks] - Require status checks to pass before merging
- * @param {Array<string>} [settings.required_status_checks.contexts] - Required status check contexts
+ * @param {boolean | Array<string> | Object} [settings.required_status_checks] - Require status checks to pass before merging
+ * @param {Array<string>} [settings.contexts] - Required status check contexts
  * @param {boolean} [settings.strict] - Require branches to be up to date before merging
- * @param {boolean} [settings.required_pull_request_reviews] - Require pull request reviews before merging
+ * @param {boolean | Object} [settings.required_pull_request_reviews] - Require pull request reviews before merging
  * @param {number} [settings.required_approving_review_count] - Number of required approving reviews
  * @param {boolean} [settings.dismiss_stale_reviews] - Dismiss stale pull request approvals
  * @param {boolean} [settings.require_code_owner_reviews] - Require review from Code Owners
+ * @param {Array<string> | Object} [settings.bypass_pull_request_allowances] - Users, teams and apps that can bypass pull request requirements
+ * @param {Array<string> | Object} [settings.restrictions] - Users, teams and apps that can push to the branch
  * @param {boolean} [settings.allow_force_pushes] - Allow force pushes to the branch
  * @param {boolean} [settings.allow_deletions] - Allow deletion of the branch
  * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
- * @returns {Promise<void>}
+ * @returns {Promise<Record<string, {from: *, to: *}>>} The fields that were (or would be) updated
+ * @throws {Error} If the settings are invalid or the GitHub API request fails
  */
 export async function updateBranchProtection(octokit, org, repo, branch, settings, dryRun = false) {
-  try {
-    if (dryRun) {
-      console.log(`🔍 Would update branch protection for ${branch} in ${repo}:`, settings);
-    } else {
-      await octokit.repos.updateBranchProtection({
-        owner: org,
-        repo,
-        branch,
-        ...settings,
-      });
-      console.log(`✅ Successfully updated branch protection for ${branch} in ${repo}`);
-    }
-  } catch (error) {
-    console.error(`❌ Failed to update branch protection for ${repo}:`, error);
+  const input = toBranchProtectionInput(branch, settings);
+  const current = normalizeBranchProtection(await getBranchProtection(octokit, org, repo, branch));
+  const diff = getBranchProtectionDiff(current, input);
+
+  if (Object.keys(diff).length === 0) {
+    console.log(`⏭️ Skipping branch protection for ${branch} in ${repo} - settings match`);
+    return diff;
+  }
+
+  if (dryRun) {
+    console.log(`🔍 Would update branch protection for ${branch} in ${repo}:`, diff);
+  } else {
+    await octokit.repos.updateBranchProtection({
+      owner: org,
+      repo,
+      branch,
+      ...input,
+    });
+    console.log(`✅ Successfully updated branch protection for ${branch} in ${repo}`);
   }
+  return diff;
 }
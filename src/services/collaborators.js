@@ -21,35 +21,333 @@
  * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
  * SOFTWARE.
  */
+import { executeOperation } from '../utils/operations.js';
 
 /**
- * Fetches all collaborators for a given repository.
+ * The built-in repository roles, from the least to the most access.
+ */
+const ROLE_RANKS = ['read', 'triage', 'write', 'maintain', 'admin'];
+
+/**
+ * Checks whether a role grants more access than another. Custom roles cannot be ranked.
+ *
+ * @param {string} role - The role to check
+ * @param {string} other - The role to compare with
+ * @returns {boolean} True if both roles are built-in and the role grants more access
+ */
+function outranks(role, other) {
+  const rank = ROLE_RANKS.indexOf(role);
+  const otherRank = ROLE_RANKS.indexOf(other);
+  return rank !== -1 && otherRank !== -1 && rank > otherRank;
+}
+
+/**
+ * Fetches the usernames and roles of the collaborators of a repository with the given affiliation.
+ * Handles pagination automatically to get all collaborators.
  *
  * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
  * @param {string} org - The GitHub organization name
  * @param {string} repo - The repository name
- * @returns {Promise<Array<Object>>} Array of collaborator objects with their roles
+ * @param {'all' | 'direct' | 'outside'} affiliation - The affiliation to filter collaborators by
+ * @returns {Promise<Array<{username: string, role: string}>>} The collaborators
+ * @throws {Error} If the GitHub API request fails
  */
-export async function getRepositoryCollaborators(octokit, org, repo) {
-  try {
+async function listCollaborators(octokit, org, repo, affiliation) {
+  const collaborators = [];
+  let page = 1;
+
+  while (true) {
     const { data } = await octokit.repos.listCollaborators({
       owner: org,
       repo,
+      affiliation,
+      per_page: 100,
+      page,
+    });
+
+    collaborators.push(
+      ...data.map((collab) => ({ username: collab.login, role: collab.role_name }))
+    );
+
+    if (data.length < 100) {
+      break;
+    }
+    page++;
+  }
+
+  return collaborators;
+}
+
+/**
+ * Fetches all collaborators for a given repository with their affiliation:
+ * - `outside`: a direct collaborator who is not a member of the organization
+ * - `direct`: an organization member who was added to the repository directly
+ * - `inherited`: an organization member who only has access through a team or the base permission
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @returns {Promise<Array<{username: string, role: string, affiliation: string}>>} Array of
+ *   collaborator objects with their roles and affiliations
+ * @throws {Error} If the GitHub API request fails
+ */
+export async function getRepositoryCollaborators(octokit, org, repo) {
+  const all = await listCollaborators(octokit, org, repo, 'all');
+  const direct = new Set(
+    (await listCollaborators(octokit, org, repo, 'direct')).map((c) => c.username)
+  );
+  const outside = new Set(
+    (await listCollaborators(octokit, org, repo, 'outside')).map((c) => c.username)
+  );
+
+  return all.map((collaborator) => {
+    let affiliation = 'inherited';
+    if (outside.has(collaborator.username)) {
+      affiliation = 'outside';
+    } else if (direct.has(collaborator.username)) {
+      affiliation = 'direct';
+    }
+    return { ...collaborator, affiliation };
+  });
+}
+
+/**
+ * Fetches the pending collaborator invitations of a repository.
+ * Handles pagination automatically to get all invitations.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @returns {Promise<Array<{id: number, username: string, permission: string}>>} The pending invitations
+ * @throws {Error} If the GitHub API request fails
+ */
+async function listInvitations(octokit, org, repo) {
+  const invitations = [];
+  let page = 1;
+
+  while (true) {
+    const { data } = await octokit.repos.listInvitations({
+      owner: org,
+      repo,
+      per_page: 100,
+      page,
     });
-    return data.map((collab) => ({
-      username: collab.login,
-      role: collab.role_name,
-    }));
-  } catch (error) {
-    console.warn(`⚠️ Could not fetch collaborators for ${repo}: ${error.message}`);
-    return [];
+
+    invitations.push(
+      ...data.map((invitation) => ({
+        id: invitation.id,
+        username: invitation.invitee?.login ?? null,
+        permission: invitation.permissions,
+      }))
+    );
+
+    if (data.length < 100) {
+      break;
+    }
+    page++;
+  }
+
+  return invitations;
+}
+
+/**
+ * Readers for the parts of the collaborator state.
+ */
+const STATE_READERS = {
+  collaborators: getRepositoryCollaborators,
+  invitations: listInvitations,
+};
+
+/**
+ * Gets the given parts of the current collaborator state.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<string>} keys - The parts to read: `collaborators` and `invitations`
+ * @returns {Promise<Object>} The current value of each part
+ * @throws {Error} If the GitHub API request fails
+ */
+export async function getCollaboratorState(octokit, org, repo, keys) {
+  const state = {};
+  for (const key of keys) {
+    state[key] = await STATE_READERS[key](octokit, org, repo);
   }
+  return state;
+}
+
+/**
+ * Finds an entry by username. Usernames are case-insensitive.
+ *
+ * @param {Array<{username: string | null}>} entries - The collaborators or invitations to search
+ * @param {string} username - The username
+ * @returns {Object | undefined} The matching entry
+ */
+function findByUsername(entries, username) {
+  return entries.find((entry) => entry.username?.toLowerCase() === username.toLowerCase());
+}
+
+/**
+ * Compares the current collaborator state with the desired collaborators and builds the changes
+ * to make, each with the API call that makes it. Pending invitations count as collaborators with
+ * the requested permission, so they are updated instead of sent again. The role of an inherited
+ * collaborator is the access granted through teams or the base permission, which a direct role
+ * cannot lower, so they are skipped when it already exceeds the desired role.
+ *
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {{collaborators: Array<Object>, invitations: Array<Object>}} state - The current collaborator state
+ * @param {Array<Object>} desiredCollaborators - Array of desired collaborator configurations
+ * @param {Object} options - Collaborator options
+ * @param {boolean} options.exact - If true, unlisted direct collaborators and invitations are removed
+ * @param {Array<string>} options.allowlist - Usernames that are never removed
+ * @returns {Array<{change: Object, operation: {method: string, params: Object}}>} The changes
+ */
+function getCollaboratorChanges(org, repo, state, desiredCollaborators, { exact, allowlist }) {
+  const params = { owner: org, repo };
+  const changes = [];
+
+  for (const { username, role } of desiredCollaborators) {
+    const collaborator = findByUsername(state.collaborators, username);
+    const invitation = !collaborator && findByUsername(state.invitations, username);
+
+    if (invitation) {
+      if (invitation.permission !== role) {
+        changes.push({
+          change: { username, from: invitation.permission, to: role, invitation: true },
+          operation: {
+            method: 'repos.updateInvitation',
+            params: { ...params, invitation_id: invitation.id, permissions: role },
+          },
+        });
+      }
+    } else if (collaborator?.affiliation === 'inherited' && outranks(collaborator.role, role)) {
+      console.warn(
+        `⚠️ Skipping ${username} in ${repo} - has ${collaborator.role} through a team or the base permission, above ${role}`
+      );
+    } else if (collaborator?.role !== role) {
+      changes.push({
+        change: { username, from: collaborator?.role ?? null, to: role },
+        operation: {
+          method: 'repos.addCollaborator',
+          params: { ...params, username, permission: role },
+        },
+      });
+    }
+  }
+
+  if (exact) {
+    const kept = new Set(
+      [...desiredCollaborators.map((c) => c.username), ...allowlist].map((username) =>
+        username.toLowerCase()
+      )
+    );
+
+    for (const collaborator of state.collaborators) {
+      if (
+        collaborator.affiliation !== 'inherited' &&
+        !kept.has(collaborator.username.toLowerCase())
+      ) {
+        changes.push({
+          change: { username: collaborator.username, from: collaborator.role, to: null },
+          operation: {
+            method: 'repos.removeCollaborator',
+            params: { ...params, username: collaborator.username },
+          },
+        });
+      }
+    }
+
+    for (const invitation of state.invitations) {
+      if (!invitation.username || !kept.has(invitation.username.toLowerCase())) {
+        changes.push({
+          change: {
+            username: invitation.username,
+            from: invitation.permission,
+            to: null,
+            invitation: true,
+          },
+          operation: {
+            method: 'repos.deleteInvitation',
+            params: { ...params, invitation_id: invitation.id },
+          },
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Builds the log messages for a collaborator change.
+ *
+ * @param {{username: string, from: string | null, to: string | null, invitation?: boolean}} change - The change
+ * @param {string} repo - The repository name
+ * @returns {{planned: string, applied: string}} The messages for a planned and an applied change
+ */
+function describeChange({ username, from, to, invitation }, repo) {
+  if (to === null) {
+    const target = invitation ? `invitation for ${username}` : `collaborator ${username}`;
+    return {
+      planned: `🔍 Would remove ${target} from ${repo}`,
+      applied: `✅ Removed ${target} from ${repo}`,
+    };
+  }
+  if (invitation) {
+    return {
+      planned: `🔍 Would update invitation for ${username} from ${from} to ${to} in ${repo}`,
+      applied: `✅ Updated invitation for ${username} to ${to} in ${repo}`,
+    };
+  }
+  if (from === null) {
+    return {
+      planned: `🔍 Would add collaborator ${username} with role ${to} to ${repo}`,
+      applied: `✅ Added collaborator ${username} with role ${to} to ${repo}`,
+    };
+  }
+  return {
+    planned: `🔍 Would update role for ${username} from ${from} to ${to} in ${repo}`,
+    applied: `✅ Updated role for ${username} to ${to} in ${repo}`,
+  };
+}
+
+/**
+ * Plans the API calls needed to add the desired collaborators and update their roles.
+ * In `exact` mode, also plans the removal of unlisted direct collaborators and invitations.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<Object>} desiredCollaborators - Array of desired collaborator configurations
+ * @param {Object} [options] - Collaborator options
+ * @param {string} [options.mode] - The collaborators mode; `exact` removes unlisted collaborators
+ * @param {Array<string>} [options.allowlist] - Usernames that are never removed
+ * @returns {Promise<{state: Object, operations: Array<{method: string, params: Object}>}>}
+ *   The current collaborator state and the API calls to make
+ */
+export async function planRepositoryCollaborators(
+  octokit,
+  org,
+  repo,
+  desiredCollaborators,
+  { mode, allowlist = [] } = {}
+) {
+  const state = await getCollaboratorState(octokit, org, repo, ['collaborators', 'invitations']);
+  const operations = getCollaboratorChanges(org, repo, state, desiredCollaborators, {
+    exact: mode === 'exact',
+    allowlist,
+  }).map(({ operation }) => operation);
+  return { state, operations };
 }
 
 /**
  * Updates the collaborators for a repository to match the desired configuration.
- * Only adds new collaborators and updates roles for existing ones.
- * Does not remove existing collaborators.
+ * Adds new collaborators and updates roles for existing ones. Pending invitations are updated
+ * with the desired role instead of being sent again. Existing collaborators are only removed in
+ * `exact` mode, which removes direct collaborators that are not listed and cancels their pending
+ * invitations, except for the usernames in the allowlist. Organization members who only have
+ * access through a team or the base permission are never removed.
  *
  * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
  * @param {string} org - The GitHub organization name
@@ -58,68 +356,36 @@ export async function getRepositoryCollaborators(octokit, org, repo) {
  * @param {string} desiredCollaborators[].username - GitHub username
  * @param {string} desiredCollaborators[].role - Desired role (admin, maintain, write, triage, read)
  * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
- * @returns {Promise<void>}
+ * @param {Object} [options] - Collaborator options
+ * @param {string} [options.mode] - The collaborators mode; `exact` removes unlisted collaborators
+ * @param {Array<string>} [options.allowlist] - Usernames that are never removed
+ * @returns {Promise<Array<{username: string, from: string | null, to: string | null, invitation?: boolean}>>}
+ *   The role changes that were (or would be) made; `to` is null for removals
+ * @throws {Error} If the GitHub API request fails
  */
 export async function updateRepositoryCollaborators(
   octokit,
   org,
   repo,
   desiredCollaborators,
-  dryRun = false
+  dryRun = false,
+  { mode, allowlist = [] } = {}
 ) {
-  const currentCollaborators = await getRepositoryCollaborators(octokit, org, repo);
-  const currentUsernames = new Set(currentCollaborators.map((c) => c.username));
-
-  // Add new collaborators and update existing ones
-  for (const collaborator of desiredCollaborators) {
-    if (!currentUsernames.has(collaborator.username)) {
-      if (dryRun) {
-        console.log(
-          `🔍 Would add collaborator ${collaborator.username} with role ${collaborator.role} to ${repo}`
-        );
-      } else {
-        try {
-          await octokit.repos.addCollaborator({
-            owner: org,
-            repo,
-            username: collaborator.username,
-            permission: collaborator.role,
-          });
-          console.log(
-            `✅ Added collaborator ${collaborator.username} with role ${collaborator.role} to ${repo}`
-          );
-        } catch (error) {
-          console.error(
-            `❌ Failed to add collaborator ${collaborator.username} to ${repo}: ${error.message}`
-          );
-        }
-      }
+  const state = await getCollaboratorState(octokit, org, repo, ['collaborators', 'invitations']);
+  const changes = getCollaboratorChanges(org, repo, state, desiredCollaborators, {
+    exact: mode === 'exact',
+    allowlist,
+  });
+
+  for (const { change, operation } of changes) {
+    const { planned, applied } = describeChange(change, repo);
+    if (dryRun) {
+      console.log(planned);
     } else {
-      // Update role if needed
-      const currentCollab = currentCollaborators.find((c) => c.username === collaborator.username);
-      if (currentCollab && currentCollab.role !== collaborator.role) {
-        if (dryRun) {
-          console.log(
-            `🔍 Would update role for ${collaborator.username} from ${currentCollab.role} to ${collaborator.role} in ${repo}`
-          );
-        } else {
-          try {
-            await octokit.repos.addCollaborator({
-              owner: org,
-              repo,
-              username: collaborator.username,
-              permission: collaborator.role,
-            });
-            console.log(
-              `✅ Updated role for ${collaborator.username} to ${collaborator.role} in ${repo}`
-            );
-          } catch (error) {
-            console.error(
-              `❌ Failed to update role for ${collaborator.username} in ${repo}: ${error.message}`
-            );
-          }
-        }
-      }
+      await executeOperation(octokit, operation);
+      console.log(applied);
     }
   }
+
+  return changes.map(({ change }) => change);
 }
@@ -22,7 +22,34 @@
  * SOFTWARE.
  */
 
-import { readFile } from 'fs/promises';
+import { readdir, readFile, stat } from 'fs/promises';
+import { join, relative, sep } from 'path';
+
+import { replaceBlock } from '../utils/block.js';
+import { globToRegExp, isGlob } from '../utils/glob.js';
+import { mergeFile } from '../utils/merge.js';
+import { renderTemplate } from '../utils/template.js';
+
+/**
+ * The pull request settings used when `files_pull_request` leaves them out.
+ */
+export const DEFAULT_PULL_REQUEST = {
+  branch: 'settings-sync/update',
+  title: 'Synchronize repository files',
+  body: 'This pull request synchronizes files with the organization settings.',
+  labels: [],
+  reviewers: [],
+  team_reviewers: [],
+};
+
+/**
+ * The verb used in commit messages for each file action.
+ */
+const COMMIT_VERBS = {
+  create: 'Add',
+  update: 'Update',
+  delete: 'Delete',
+};
 
 /**
  * Gets the content of a file in a repository.
@@ -31,14 +58,16 @@ import { readFile } from 'fs/promises';
  * @param {string} org - The GitHub organization name
  * @param {string} repo - The repository name
  * @param {string} path - Path to the file in the repository
+ * @param {string} [ref] - The branch to read the file from, the default branch if omitted
  * @returns {Promise<{content: string, sha: string} | null>} File content and SHA if exists, null otherwise
  */
-export async function getFileContent(octokit, org, repo, path) {
+export async function getFileContent(octokit, org, repo, path, ref) {
   try {
     const { data } = await octokit.repos.getContent({
       owner: org,
       repo,
       path,
+      ...(ref && { ref }),
     });
 
     if (data.type === 'file') {
@@ -57,68 +86,721 @@ export async function getFileContent(octokit, org, repo, path) {
 }
 
 /**
- * Updates or creates a file in a repository.
+ * Gets the SHA of each of the given files in a repository.
  *
  * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
  * @param {string} org - The GitHub organization name
  * @param {string} repo - The repository name
- * @param {string} path - Path to the file in the repository
- * @param {string} content - Content to write to the file
- * @param {string} [sha] - SHA of the existing file (required for updates)
- * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
+ * @param {Array<string>} paths - Paths to the files in the repository
+ * @returns {Promise<Record<string, string | null>>} SHA of each file, null if the file does not exist
+ */
+export async function getFileState(octokit, org, repo, paths) {
+  const state = {};
+  for (const path of paths) {
+    const currentFile = await getFileContent(octokit, org, repo, path);
+    state[path] = currentFile?.sha ?? null;
+  }
+  return state;
+}
+
+/**
+ * Lists the files in a local directory and its subdirectories.
+ *
+ * @param {string} dir - Path to the local directory
+ * @returns {Promise<Array<string>>} Paths to the files, sorted
+ * @throws {Error} If the directory cannot be read
+ */
+async function listLocalFiles(dir) {
+  const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) => join(entry.parentPath ?? entry.path, entry.name))
+    .sort();
+}
+
+/**
+ * Expands a file synchronization configuration whose `localPath` is a directory or a glob
+ * pattern into one configuration per local file. Each file is synchronized to its path relative
+ * to the directory, or to the part of the pattern before the first wildcard, under `path`.
+ *
+ * @param {Object} fileSync - File synchronization configuration
+ * @returns {Promise<Array<Object>>} The configuration of each file
+ * @throws {Error} If the path is missing, the state is invalid or a glob pattern matches no local files
+ */
+async function expandFileSync(fileSync) {
+  const { localPath, path, state = 'present' } = fileSync;
+  let base = localPath;
+  let files;
+
+  if (typeof path !== 'string') {
+    throw new Error(`Files entry for ${localPath} must have a path`);
+  }
+  if (state !== 'present' && state !== 'absent') {
+    throw new Error(`Invalid state for ${path}: ${state}`);
+  }
+
+  if (state === 'absent') {
+    return [fileSync];
+  } else if (isGlob(localPath)) {
+    const segments = localPath.split('/');
+    const index = segments.findIndex(isGlob);
+    base = segments.slice(0, index).join('/') || '.';
+    const regExp = globToRegExp(segments.slice(index).join('/'));
+    files = (await listLocalFiles(base)).filter((file) =>
+      regExp.test(relative(base, file).split(sep).join('/'))
+    );
+    if (files.length === 0) {
+      throw new Error(`No local files match ${localPath}`);
+    }
+  } else if ((await stat(localPath).catch(() => null))?.isDirectory()) {
+    files = await listLocalFiles(localPath);
+  } else {
+    return [fileSync];
+  }
+
+  const prefix = path.replace(/\/+$/, '');
+  return files.map((file) => {
+    const name = relative(base, file).split(sep).join('/');
+    return { ...fileSync, localPath: file, path: prefix ? `${prefix}/${name}` : name };
+  });
+}
+
+/**
+ * Expands the directories and glob patterns in the file synchronization configurations.
+ * If several configurations resolve to the same repository path, the last one wins.
+ *
+ * @param {Array<Object>} files - File synchronization configurations
+ * @returns {Promise<Array<Object>>} The configuration of each file
+ * @throws {Error} If a path is missing, a state is invalid or a glob pattern matches no local files
+ */
+async function expandFiles(files) {
+  const expanded = new Map();
+  for (const fileSync of files) {
+    for (const file of await expandFileSync(fileSync)) {
+      expanded.delete(file.path);
+      expanded.set(file.path, file);
+    }
+  }
+  return [...expanded.values()];
+}
+
+/**
+ * Gets the repository variables available to file templates as `repo.*`. Custom properties are
+ * left empty if the server does not support them or the token cannot read them.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @returns {Promise<Object>} The repository name, full name, description, default branch,
+ *   language, topics and custom properties
+ * @throws {Error} If the GitHub API request fails
+ */
+export async function getRepositoryVariables(octokit, org, repo) {
+  const { data } = await octokit.repos.get({ owner: org, repo });
+  let properties = [];
+  try {
+    ({ data: properties } = await octokit.repos.getCustomPropertiesValues({
+      owner: org,
+      repo,
+    }));
+  } catch (error) {
+    if (error.status !== 403 && error.status !== 404) {
+      throw error;
+    }
+    console.warn(`⚠️ Could not read the custom properties of ${repo}, templates cannot use them`);
+  }
+  return {
+    name: data.name,
+    full_name: data.full_name,
+    description: data.description,
+    default_branch: data.default_branch,
+    language: data.language,
+    topics: data.topics ?? [],
+    custom_properties: Object.fromEntries(
+      properties.map(({ property_name, value }) => [property_name, value])
+    ),
+  };
+}
+
+/**
+ * Builds the context for rendering the file templates of a repository. The repository variables
+ * are only fetched if one of the files is a template.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<Object>} files - File synchronization configurations
+ * @param {Record<string, *>} [variables] - Variables defined in the settings
+ * @returns {Promise<{repository: Object | null, variables: Record<string, *>}>} The template context
+ * @throws {Error} If the GitHub API request fails
+ */
+async function getTemplateContext(octokit, org, repo, files, variables = {}) {
+  const repository = files.some((fileSync) => fileSync.template)
+    ? await getRepositoryVariables(octokit, org, repo)
+    : null;
+  return { repository, variables };
+}
+
+/**
+ * Reads the content of a local file, rendering it for the repository if it is a template.
+ * Variables defined on the file override the variables defined in the settings.
+ *
+ * @param {Object} fileSync - File synchronization configuration
+ * @param {string} fileSync.localPath - Path to the local file
+ * @param {boolean} [fileSync.template] - If true, the file is rendered as a template
+ * @param {Record<string, *>} [fileSync.variables] - Variables for this file
+ * @param {{repository: Object | null, variables: Record<string, *>}} context - The template context
+ * @returns {Promise<string>} The desired file content
+ * @throws {Error} If the local file cannot be read or references an unknown variable
+ */
+async function readLocalFile({ localPath, template, variables }, context) {
+  const content = await readFile(localPath, 'utf-8');
+  if (!template) {
+    return content;
+  }
+  return renderTemplate(content, {
+    repo: context.repository,
+    vars: { ...context.variables, ...variables },
+  });
+}
+
+/**
+ * Determines the desired content of a file in a repository from the local file according to the
+ * file's strategy: `overwrite` replaces the file with the local file, `merge` deep-merges the
+ * local JSON or YAML fragment into the existing file, `block` replaces the managed block
+ * between the marker lines of the existing file with the local file and `create-only` keeps
+ * the existing file.
+ *
+ * @param {Object} fileSync - File synchronization configuration
+ * @param {string} fileSync.path - Path in the repository where the file should be
+ * @param {'overwrite' | 'merge' | 'block' | 'create-only'} [fileSync.strategy] - How the local file is applied,
+ *   `overwrite` if omitted
+ * @param {{begin?: string, end?: string}} [fileSync.markers] - The marker lines of the managed block
+ * @param {string} localContent - The content of the local file
+ * @param {{content: string, sha: string} | null} currentFile - The file in the repository
+ * @returns {string} The desired file content
+ * @throws {Error} If the strategy is invalid, the file cannot be merged or its block has no end marker
+ */
+function getDesiredContent({ path, strategy = 'overwrite', markers }, localContent, currentFile) {
+  switch (strategy) {
+    case 'overwrite':
+      return localContent;
+    case 'merge':
+      return currentFile ? mergeFile(path, currentFile.content, localContent) : localContent;
+    case 'block':
+      try {
+        return replaceBlock(currentFile?.content ?? '', localContent, markers);
+      } catch (error) {
+        throw new Error(`Failed to update the block in ${path}: ${error.message}`, {
+          cause: error,
+        });
+      }
+    case 'create-only':
+      return currentFile ? currentFile.content : localContent;
+    default:
+      throw new Error(`Invalid strategy for ${path}: ${strategy}`);
+  }
+}
+
+/**
+ * Plans the commit needed to synchronize file contents from local files to a repository. All
+ * changed files are planned as a single `files.commit` operation, which is applied with
+ * `commitPlannedFiles` so a plan never updates only some of the files.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<Object>} fileSyncs - File synchronization configurations, whose `localPath` can be a
+ *   file, a directory or a glob pattern
+ * @param {Object} [options] - File synchronization options
+ * @param {Record<string, *>} [options.variables] - Template variables defined in the settings
+ * @param {Object} [options.commit] - Commit settings
+ * @param {string} [options.commit.message] - The commit message
+ * @param {{name: string, email: string}} [options.commit.author] - The commit author
+ * @returns {Promise<{state: Record<string, string | null>, operations: Array<{method: string, params: Object}>}>}
+ *   The SHA of each file and the operation to apply
+ */
+export async function planFileSync(octokit, org, repo, fileSyncs, { variables, commit } = {}) {
+  const files = await expandFiles(fileSyncs);
+  const context = await getTemplateContext(octokit, org, repo, files, variables);
+  const state = {};
+  const changes = [];
+  for (const fileSync of files) {
+    const { sha, change } = await getFileChange(octokit, org, repo, fileSync, context);
+    state[fileSync.path] = sha;
+    if (change) {
+      const { path, action, content, mode } = change;
+      changes.push({ path, action, content, mode });
+    }
+  }
+
+  const operations =
+    changes.length > 0
+      ? [
+          {
+            method: 'files.commit',
+            params: {
+              owner: org,
+              repo,
+              changes,
+              message: commit?.message,
+              author: commit?.author,
+            },
+          },
+        ]
+      : [];
+  return { state, operations };
+}
+
+/**
+ * Applies a planned `files.commit` operation by committing the files to the default branch of
+ * the repository in a single commit.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {Object} operation - The planned operation
+ * @param {Object} operation.params - The repository, file changes and commit settings
  * @returns {Promise<void>}
+ * @throws {Error} If the GitHub API request fails
+ */
+export async function commitPlannedFiles(octokit, { params }) {
+  const { owner, repo, changes, message, author } = params;
+  await commitToDefaultBranch(octokit, owner, repo, changes, { message, author });
+}
+
+/**
+ * Gets the Git file mode of a local file: executable or regular.
+ *
+ * @param {string} localPath - Path to the local file
+ * @returns {Promise<'100755' | '100644'>} The file mode, regular if the file cannot be read
+ */
+async function getLocalFileMode(localPath) {
+  const stats = await stat(localPath).catch(() => null);
+  return stats && stats.mode & 0o111 ? '100755' : '100644';
+}
+
+/**
+ * Compares the desired content of a file with the file in the default branch of a repository.
+ * Files whose state is `absent` are deleted if they exist.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Object} fileSync - File synchronization configuration
+ * @param {string} fileSync.path - Path in the repository where the file should be
+ * @param {string} [fileSync.localPath] - Path to the local file
+ * @param {'present' | 'absent'} [fileSync.state] - Whether the file must exist, `present` if omitted
+ * @param {{repository: Object | null, variables: Record<string, *>}} context - The template context
+ * @returns {Promise<{sha: string | null, change: {path: string, action: 'create' | 'update' | 'delete', content: string | null, sha?: string, mode?: string} | null}>}
+ *   The SHA of the file in the repository, null if it does not exist, and the change to make, null
+ *   if the file matches. Created files have the mode of the local file.
+ * @throws {Error} If the local file cannot be read or the GitHub API request fails
+ */
+async function getFileChange(octokit, org, repo, fileSync, context) {
+  const { path } = fileSync;
+
+  if (fileSync.state === 'absent') {
+    const currentFile = await getFileContent(octokit, org, repo, path);
+    if (currentFile) {
+      const { sha } = currentFile;
+      return { sha, change: { path, action: 'delete', content: null, sha } };
+    }
+    console.log(`⏭️ Skipping ${path} in ${repo} - file does not exist`);
+    return { sha: null, change: null };
+  }
+
+  const localContent = await readLocalFile(fileSync, context);
+  const currentFile = await getFileContent(octokit, org, repo, path);
+  if (!currentFile) {
+    const content = getDesiredContent(fileSync, localContent, null);
+    const mode = await getLocalFileMode(fileSync.localPath);
+    return { sha: null, change: { path, action: 'create', content, mode } };
+  }
+
+  const { sha } = currentFile;
+  if (fileSync.strategy === 'create-only') {
+    console.log(`⏭️ Skipping ${path} in ${repo} - file exists`);
+    return { sha, change: null };
+  }
+  const content = getDesiredContent(fileSync, localContent, currentFile);
+  if (currentFile.content !== content) {
+    return { sha, change: { path, action: 'update', content, sha } };
+  }
+  console.log(`⏭️ Skipping ${path} in ${repo} - content matches`);
+  return { sha, change: null };
+}
+
+/**
+ * Gets the commit SHA a branch points to.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {string} branch - The branch name
+ * @returns {Promise<string | null>} The commit SHA, or null if the branch does not exist or the
+ *   repository is empty
+ * @throws {Error} If the GitHub API request fails
  */
-export async function updateFileContent(octokit, org, repo, path, content, sha, dryRun = false) {
+async function getBranchSha(octokit, org, repo, branch) {
   try {
-    const message = sha ? `Update ${path}` : `Add ${path}`;
-    if (dryRun) {
-      console.log(`🔍 Would ${sha ? 'update' : 'create'} file ${path} in ${repo}`);
-      console.log(`🔍 Content length: ${content.length} characters`);
-    } else {
-      await octokit.repos.createOrUpdateFileContents({
+    const { data } = await octokit.git.getRef({ owner: org, repo, ref: `heads/${branch}` });
+    return data.object.sha;
+  } catch (error) {
+    // An empty repository answers with 409 Conflict instead of 404
+    if (error.status === 404 || error.status === 409) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finds the open pull request for a branch.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {string} branch - The head branch of the pull request
+ * @returns {Promise<Object | null>} The open pull request, or null if there is none
+ * @throws {Error} If the GitHub API request fails
+ */
+async function findPullRequest(octokit, org, repo, branch) {
+  const { data } = await octokit.pulls.list({
+    owner: org,
+    repo,
+    head: `${org}:${branch}`,
+    state: 'open',
+  });
+  return data[0] ?? null;
+}
+
+/**
+ * Opens a pull request for the branch, or updates the title and body of the open one.
+ * Labels are added to the pull request in both cases, reviewers are only requested when it is opened.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {string} base - The branch to merge the pull request into
+ * @param {Object} pullRequest - The pull request settings
+ * @param {Object | null} existing - The open pull request for the branch
+ * @returns {Promise<number>} The pull request number
+ * @throws {Error} If the GitHub API request fails
+ */
+async function openPullRequest(octokit, org, repo, base, pullRequest, existing) {
+  const { branch, title, body, labels, reviewers, team_reviewers } = pullRequest;
+  let number = existing?.number;
+
+  if (existing) {
+    await octokit.pulls.update({ owner: org, repo, pull_number: number, title, body });
+    console.log(`✅ Successfully updated pull request #${number} in ${repo}`);
+  } else {
+    ({
+      data: { number },
+    } = await octokit.pulls.create({ owner: org, repo, title, body, head: branch, base }));
+    console.log(`✅ Successfully opened pull request #${number} in ${repo}`);
+
+    if (reviewers.length > 0 || team_reviewers.length > 0) {
+      await octokit.pulls.requestReviewers({
         owner: org,
         repo,
-        path,
-        message,
-        content: Buffer.from(content).toString('base64'),
-        sha,
+        pull_number: number,
+        reviewers,
+        team_reviewers,
       });
-      console.log(`✅ Successfully ${sha ? 'updated' : 'created'} ${path} in ${repo}`);
     }
-  } catch (error) {
-    console.error(`❌ Failed to update ${path} in ${repo}:`, error);
   }
+
+  if (labels.length > 0) {
+    await octokit.issues.addLabels({ owner: org, repo, issue_number: number, labels });
+  }
+  return number;
+}
+
+/**
+ * Builds the default commit message for file changes.
+ *
+ * @param {Array<{path: string, action: 'create' | 'update' | 'delete'}>} changes - The file changes
+ * @returns {string} The commit message
+ */
+function getCommitMessage(changes) {
+  const lines = changes.map(({ path, action }) => `${COMMIT_VERBS[action]} ${path}`);
+  return lines.length === 1 ? lines[0] : `Synchronize files\n\n${lines.join('\n')}`;
 }
 
 /**
- * Synchronizes file contents from local files to a repository.
+ * Gets the mode of each file in a tree, so updated files keep being executable.
  *
  * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
  * @param {string} org - The GitHub organization name
  * @param {string} repo - The repository name
- * @param {Object} fileSync - File synchronization configuration
- * @param {string} fileSync.path - Path in the repository where the file should be
- * @param {string} fileSync.localPath - Path to the local file
- * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
+ * @param {string} treeSha - The SHA of the tree
+ * @returns {Promise<Map<string, string>>} The mode of each file, by path
+ * @throws {Error} If the GitHub API request fails
+ */
+async function getFileModes(octokit, org, repo, treeSha) {
+  const {
+    data: { tree },
+  } = await octokit.git.getTree({ owner: org, repo, tree_sha: treeSha, recursive: 'true' });
+  return new Map(
+    tree.filter((entry) => entry.type === 'blob').map((entry) => [entry.path, entry.mode])
+  );
+}
+
+/**
+ * Commits file changes to a branch as a single commit using the Git Data API: a blob is created
+ * for each created or updated file, then a tree on top of the branch's tree that also removes the
+ * deleted files, and a commit that the branch is moved to. Updated files keep their mode and
+ * created files get the mode of the local file.
+ * The branch is only moved forward, so the commit fails instead of overwriting concurrent changes.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {string} branch - The branch to commit to
+ * @param {string} parent - The SHA of the commit the branch points to
+ * @param {Array<{path: string, action: 'create' | 'update' | 'delete', content: string | null, mode?: string}>} changes -
+ *   The file changes
+ * @param {Object} [commit] - Commit settings
+ * @param {string} [commit.message] - The commit message, generated from the changes if omitted
+ * @param {{name: string, email: string}} [commit.author] - The commit author, the token's user if omitted
+ * @returns {Promise<string>} The SHA of the new commit
+ * @throws {Error} If the GitHub API request fails
+ */
+async function commitFiles(octokit, org, repo, branch, parent, changes, { message, author } = {}) {
+  const {
+    data: { tree: baseTree },
+  } = await octokit.git.getCommit({ owner: org, repo, commit_sha: parent });
+
+  const modes = changes.some(({ action }) => action === 'update')
+    ? await getFileModes(octokit, org, repo, baseTree.sha)
+    : new Map();
+
+  const tree = [];
+  for (const { path, action, content, mode } of changes) {
+    if (action === 'delete') {
+      tree.push({ path, mode: '100644', type: 'blob', sha: null });
+      continue;
+    }
+    const { data: blob } = await octokit.git.createBlob({
+      owner: org,
+      repo,
+      content: Buffer.from(content).toString('base64'),
+      encoding: 'base64',
+    });
+    tree.push({ path, mode: modes.get(path) ?? mode ?? '100644', type: 'blob', sha: blob.sha });
+  }
+
+  const { data: newTree } = await octokit.git.createTree({
+    owner: org,
+    repo,
+    base_tree: baseTree.sha,
+    tree,
+  });
+  const { data: newCommit } = await octokit.git.createCommit({
+    owner: org,
+    repo,
+    message: message ?? getCommitMessage(changes),
+    tree: newTree.sha,
+    parents: [parent],
+    ...(author && { author }),
+  });
+  await octokit.git.updateRef({ owner: org, repo, ref: `heads/${branch}`, sha: newCommit.sha });
+
+  console.log(`✅ Successfully committed ${changes.length} file(s) to ${branch} in ${repo}`);
+  return newCommit.sha;
+}
+
+/**
+ * Creates files in an empty repository with the contents API, one commit per file. The Git Data
+ * API cannot be used until the repository has a first commit.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<{path: string, action: 'create', content: string}>} changes - The files to create
+ * @param {Object} [commit] - Commit settings
+ * @param {string} [commit.message] - The commit message, generated from each change if omitted
+ * @param {{name: string, email: string}} [commit.author] - The commit author, the token's user if omitted
  * @returns {Promise<void>}
+ * @throws {Error} If the GitHub API request fails
  */
-export async function syncFileContent(octokit, org, repo, fileSync, dryRun = false) {
-  try {
-    const { path, localPath } = fileSync;
+async function createFiles(octokit, org, repo, changes, { message, author } = {}) {
+  for (const change of changes) {
+    await octokit.repos.createOrUpdateFileContents({
+      owner: org,
+      repo,
+      path: change.path,
+      message: message ?? getCommitMessage([change]),
+      content: Buffer.from(change.content).toString('base64'),
+      ...(author && { author }),
+    });
+  }
+  console.log(`✅ Successfully created ${changes.length} file(s) in empty repository ${repo}`);
+}
 
-    // Read local file content
-    const localContent = await readFile(localPath, 'utf-8');
+/**
+ * Commits file changes to the default branch of a repository in a single commit. The files of
+ * an empty repository are created with the contents API instead.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<Object>} changes - The file changes
+ * @param {Object} [commit] - Commit settings
+ * @returns {Promise<void>}
+ * @throws {Error} If the GitHub API request fails
+ */
+async function commitToDefaultBranch(octokit, org, repo, changes, commit) {
+  const {
+    data: { default_branch: branch },
+  } = await octokit.repos.get({ owner: org, repo });
+  const parent = await getBranchSha(octokit, org, repo, branch);
+  if (parent) {
+    await commitFiles(octokit, org, repo, branch, parent, changes, commit);
+  } else {
+    await createFiles(octokit, org, repo, changes, commit);
+  }
+}
 
-    // Get current file content in repository
-    const currentFile = await getFileContent(octokit, org, repo, path);
+/**
+ * Proposes file changes in a pull request. The changes are committed to the pull request branch
+ * in a single commit. While a pull request for the branch is open, re-runs commit the files that
+ * differ on its branch and update it instead of opening another one. Otherwise the branch is
+ * created or reset from the default branch before committing. An empty repository has no branch
+ * to propose changes against, so its files are created on the default branch directly.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<Object>} changes - The changes to the files in the default branch
+ * @param {Object} pullRequest - The pull request settings
+ * @param {Object} [commit] - Commit settings
+ * @param {boolean} dryRun - If true, only show what would be changed without making changes
+ * @returns {Promise<void>}
+ * @throws {Error} If the GitHub API request fails
+ */
+async function proposeFileChanges(octokit, org, repo, changes, pullRequest, commit, dryRun) {
+  const { branch } = pullRequest;
+  const existing = await findPullRequest(octokit, org, repo, branch);
 
-    // Update if file doesn't exist or content is different
-    if (!currentFile || currentFile.content !== localContent) {
-      await updateFileContent(octokit, org, repo, path, localContent, currentFile?.sha, dryRun);
-    } else {
-      console.log(`⏭️ Skipping ${path} in ${repo} - content matches`);
+  if (dryRun) {
+    for (const change of changes) {
+      console.log(`🔍 Would ${change.action} file ${change.path} in ${repo} on branch ${branch}`);
     }
-  } catch (error) {
-    console.error(`❌ Failed to sync file ${fileSync.path} in ${repo}:`, error);
+    console.log(
+      existing
+        ? `🔍 Would update pull request #${existing.number} in ${repo}`
+        : `🔍 Would open a pull request from ${branch} in ${repo}`
+    );
+    return;
+  }
+
+  const {
+    data: { default_branch: base },
+  } = await octokit.repos.get({ owner: org, repo });
+  const baseSha = await getBranchSha(octokit, org, repo, base);
+  if (!baseSha) {
+    console.warn(`⚠️ ${repo} is empty, creating the files without a pull request`);
+    await createFiles(octokit, org, repo, changes, commit);
+    return;
   }
+  const branchSha = await getBranchSha(octokit, org, repo, branch);
+  let parent = baseSha;
+  let pending = changes;
+
+  if (!branchSha) {
+    await octokit.git.createRef({ owner: org, repo, ref: `refs/heads/${branch}`, sha: baseSha });
+  } else if (!existing) {
+    await octokit.git.updateRef({
+      owner: org,
+      repo,
+      ref: `heads/${branch}`,
+      sha: baseSha,
+      force: true,
+    });
+  } else {
+    parent = branchSha;
+    pending = [];
+    for (const change of changes) {
+      const branchFile = await getFileContent(octokit, org, repo, change.path, branch);
+      if ((branchFile?.content ?? null) !== change.content) {
+        pending.push(change);
+      }
+    }
+  }
+
+  if (pending.length > 0) {
+    await commitFiles(octokit, org, repo, branch, parent, pending, commit);
+  }
+  await openPullRequest(octokit, org, repo, base, pullRequest, existing);
+}
+
+/**
+ * Synchronizes file contents from local files to a repository and deletes the files whose state
+ * is `absent`. All changed files are committed together in a single commit, either to the
+ * default branch or, when pull request settings are given, to a branch that is proposed in a pull
+ * request.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<Object>} fileSyncs - File synchronization configurations, whose `localPath` can be a
+ *   file, a directory or a glob pattern
+ * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
+ * @param {Object} [options] - File synchronization options
+ * @param {Object} [options.pullRequest] - Pull request settings; when set, changes are proposed in a pull request
+ * @param {string} [options.pullRequest.branch] - The pull request branch
+ * @param {string} [options.pullRequest.title] - The pull request title
+ * @param {string} [options.pullRequest.body] - The pull request body
+ * @param {Array<string>} [options.pullRequest.labels] - Labels to add to the pull request
+ * @param {Array<string>} [options.pullRequest.reviewers] - Users to request a review from
+ * @param {Array<string>} [options.pullRequest.team_reviewers] - Team slugs to request a review from
+ * @param {Record<string, *>} [options.variables] - Template variables defined in the settings
+ * @param {Object} [options.commit] - Commit settings
+ * @param {string} [options.commit.message] - The commit message
+ * @param {{name: string, email: string}} [options.commit.author] - The commit author
+ * @returns {Promise<Array<{path: string, action: 'create' | 'update' | 'delete'}>>} The changes
+ *   that were (or would be) made
+ * @throws {Error} If a local file cannot be read or the GitHub API request fails
+ */
+export async function syncFiles(
+  octokit,
+  org,
+  repo,
+  fileSyncs,
+  dryRun = false,
+  { pullRequest, variables, commit } = {}
+) {
+  const files = await expandFiles(fileSyncs);
+  const context = await getTemplateContext(octokit, org, repo, files, variables);
+  const changes = [];
+  for (const fileSync of files) {
+    const { change } = await getFileChange(octokit, org, repo, fileSync, context);
+    if (change) {
+      changes.push(change);
+    }
+  }
+  if (changes.length === 0) {
+    return [];
+  }
+
+  if (pullRequest) {
+    await proposeFileChanges(
+      octokit,
+      org,
+      repo,
+      changes,
+      { ...DEFAULT_PULL_REQUEST, ...pullRequest },
+      commit,
+      dryRun
+    );
+  } else if (dryRun) {
+    for (const change of changes) {
+      console.log(`🔍 Would ${change.action} file ${change.path} in ${repo}`);
+    }
+  } else {
+    await commitToDefaultBranch(octokit, org, repo, changes, commit);
+  }
+
+  return changes.map(({ path, action }) => ({ path, action }));
 }
@@ -0,0 +1,195 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { listRepositoryLabels } from '../utils/labels.js';
+import { executeOperation } from '../utils/operations.js';
+
+/**
+ * Past-tense verbs for logging applied label changes.
+ */
+const LABEL_ACTIONS = {
+  create: 'Created',
+  update: 'Updated',
+  rename: 'Renamed',
+  delete: 'Deleted',
+};
+
+/**
+ * Normalizes a label color to the lowercase hex form the API returns, without a leading `#`.
+ *
+ * @param {string} [color] - The label color
+ * @returns {string | undefined} The normalized color
+ */
+function normalizeColor(color) {
+  return color?.replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Finds a label by name. Label names are case-insensitive.
+ *
+ * @param {Array<Object>} labels - The labels to search
+ * @param {string} name - The label name
+ * @returns {Object | undefined} The matching label
+ */
+function findLabel(labels, name) {
+  return labels.find((label) => label.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Compares the current labels with the desired labels and builds the changes to make,
+ * each with the API call that makes it.
+ *
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<Object>} current - The current labels
+ * @param {Array<Object>} labels - The desired labels
+ * @param {boolean} exact - If true, labels that are not in the desired labels are deleted
+ * @returns {Array<{change: Object, operation: {method: string, params: Object}}>} The changes
+ * @throws {Error} If a desired label has no name
+ */
+function getLabelChanges(org, repo, current, labels, exact) {
+  const params = { owner: org, repo };
+  const matched = new Set();
+  const changes = [];
+
+  for (const label of labels) {
+    if (!label.name) {
+      throw new Error('Labels must have a name');
+    }
+    const color = normalizeColor(label.color);
+    const desired = {
+      ...(color !== undefined && { color }),
+      ...(label.description !== undefined && { description: label.description }),
+    };
+
+    let existing = findLabel(current, label.name);
+    if (!existing) {
+      existing = [label.from ?? []]
+        .flat()
+        .map((alias) => findLabel(current, alias))
+        .find((alias) => alias && !matched.has(alias.name));
+    }
+
+    if (!existing) {
+      changes.push({
+        change: { name: label.name, action: 'create' },
+        operation: {
+          method: 'issues.createLabel',
+          params: { ...params, name: label.name, ...desired },
+        },
+      });
+      continue;
+    }
+
+    matched.add(existing.name);
+    const renamed = existing.name !== label.name;
+    const updated = Object.entries(desired).some(([key, value]) => existing[key] !== value);
+    if (renamed || updated) {
+      changes.push({
+        change: {
+          name: label.name,
+          action: renamed ? 'rename' : 'update',
+          ...(renamed && { from: existing.name }),
+        },
+        operation: {
+          method: 'issues.updateLabel',
+          params: {
+            ...params,
+            name: existing.name,
+            ...(renamed && { new_name: label.name }),
+            ...desired,
+          },
+        },
+      });
+    }
+  }
+
+  if (exact) {
+    for (const label of current.filter((label) => !matched.has(label.name))) {
+      changes.push({
+        change: { name: label.name, action: 'delete' },
+        operation: { method: 'issues.deleteLabel', params: { ...params, name: label.name } },
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Plans the API calls needed to bring the repository labels in line with the desired labels.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<Object>} labels - The desired labels
+ * @param {string} [mode] - The labels mode; `exact` deletes labels that are not listed
+ * @returns {Promise<{state: Array<Object>, operations: Array<{method: string, params: Object}>}>}
+ *   The current labels and the API calls to make
+ * @throws {Error} If the labels are invalid or the GitHub API request fails
+ */
+export async function planRepositoryLabels(octokit, org, repo, labels, mode) {
+  const state = await listRepositoryLabels(octokit, org, repo);
+  const operations = getLabelChanges(org, repo, state, labels, mode === 'exact').map(
+    ({ operation }) => operation
+  );
+  return { state, operations };
+}
+
+/**
+ * Updates the issue labels of a repository to match the desired labels.
+ * Creates missing labels, updates the color and description of existing ones and renames
+ * labels listed in a label's `from` aliases. Labels that are not listed are only deleted
+ * in `exact` mode.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<Object>} labels - The desired labels
+ * @param {string} labels[].name - The label name
+ * @param {string} [labels[].color] - The label color as a hex code, e.g. `d73a4a`
+ * @param {string} [labels[].description] - The label description
+ * @param {string | Array<string>} [labels[].from] - Existing label names to rename to this label
+ * @param {string} [mode] - The labels mode; `exact` deletes labels that are not listed
+ * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
+ * @returns {Promise<Array<{name: string, action: string, from?: string}>>} The label changes that
+ *   were (or would be) made
+ * @throws {Error} If the labels are invalid or the GitHub API request fails
+ */
+export async function updateRepositoryLabels(octokit, org, repo, labels, mode, dryRun = false) {
+  const current = await listRepositoryLabels(octokit, org, repo);
+  const changes = getLabelChanges(org, repo, current, labels, mode === 'exact');
+
+  for (const { change, operation } of changes) {
+    const label = change.from ? `${change.from} → ${change.name}` : change.name;
+    if (dryRun) {
+      console.log(`🔍 Would ${change.action} label ${label} in ${repo}`);
+    } else {
+      await executeOperation(octokit, operation);
+      console.log(`✅ ${LABEL_ACTIONS[change.action]} label ${label} in ${repo}`);
+    }
+  }
+
+  return changes.map(({ change }) => change);
+}
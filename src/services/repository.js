@@ -60,18 +60,14 @@ export async function getRepositories(octokit, org) {
  * @param {string} org - The GitHub organization name
  * @param {string} repo - The repository name
  * @returns {Promise<Object>} Current repository settings
+ * @throws {Error} If the GitHub API request fails
  */
 async function getRepositorySettings(octokit, org, repo) {
-  try {
-    const { data } = await octokit.repos.get({
-      owner: org,
-      repo,
-    });
-    return data;
-  } catch (error) {
-    console.error(`❌ Failed to fetch settings for ${repo}:`, error);
-    return null;
-  }
+  const { data } = await octokit.repos.get({
+    owner: org,
+    repo,
+  });
+  return data;
 }
 
 /**
@@ -91,6 +87,41 @@ function getSettingsDiff(current, desired) {
   return diff;
 }
 
+/**
+ * Gets the current values of the given repository settings.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<string>} keys - The settings to read
+ * @returns {Promise<Object>} Current value of each setting, null if unset
+ * @throws {Error} If the GitHub API request fails
+ */
+export async function getRepositoryState(octokit, org, repo, keys) {
+  const currentSettings = await getRepositorySettings(octokit, org, repo);
+  return Object.fromEntries(keys.map((key) => [key, currentSettings[key] ?? null]));
+}
+
+/**
+ * Plans the API calls needed to bring the repository settings in line with the desired settings.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Object} repository - The desired repository settings
+ * @returns {Promise<{state: Object, operations: Array<{method: string, params: Object}>}>}
+ *   The current state of the managed settings and the API calls to make
+ */
+export async function planRepositorySettings(octokit, org, repo, repository) {
+  const state = await getRepositoryState(octokit, org, repo, Object.keys(repository));
+  const settingsDiff = getSettingsDiff(state, repository);
+  const operations =
+    Object.keys(settingsDiff).length > 0
+      ? [{ method: 'repos.update', params: { owner: org, repo, ...settingsDiff } }]
+      : [];
+  return { state, operations };
+}
+
 /**
  * Updates the settings for a specific repository.
  * Only updates settings that differ from the current configuration.
@@ -101,39 +132,36 @@ function getSettingsDiff(current, desired) {
  * @param {Object} settings - The settings to apply to the repository
  * @param {Object} [settings.repository] - Repository settings
  * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} The settings that were (or would be) updated
+ * @throws {Error} If the GitHub API request fails
  */
 export async function updateRepositorySettings(octokit, org, repo, settings, dryRun = false) {
-  try {
-    const { repository } = settings;
+  const { repository } = settings;
 
-    if (repository) {
-      // Get current repository settings
-      const currentSettings = await getRepositorySettings(octokit, org, repo);
-      if (!currentSettings) {
-        return;
-      }
+  if (!repository) {
+    return {};
+  }
 
-      // Compare current settings with desired settings
-      const settingsDiff = getSettingsDiff(currentSettings, repository);
+  // Get current repository settings
+  const currentSettings = await getRepositorySettings(octokit, org, repo);
 
-      if (Object.keys(settingsDiff).length === 0) {
-        console.log(`⏭️ Skipping ${repo} - settings match`);
-        return;
-      }
+  // Compare current settings with desired settings
+  const settingsDiff = getSettingsDiff(currentSettings, repository);
 
-      if (dryRun) {
-        console.log(`🔍 Would update repository settings for ${repo}:`, settingsDiff);
-      } else {
-        await octokit.repos.update({
-          owner: org,
-          repo,
-          ...settingsDiff,
-        });
-        console.log(`✅ Successfully updated settings for ${repo}`);
-      }
-    }
-  } catch (error) {
-    console.error(`❌ Failed to update settings for ${repo}:`, error);
+  if (Object.keys(settingsDiff).length === 0) {
+    console.log(`⏭️ Skipping ${repo} - settings match`);
+    return settingsDiff;
+  }
+
+  if (dryRun) {
+    console.log(`🔍 Would update repository settings for ${repo}:`, settingsDiff);
+  } else {
+    await octokit.repos.update({
+      owner: org,
+      repo,
+      ...settingsDiff,
+    });
+    console.log(`✅ Successfully updated settings for ${repo}`);
   }
+  return settingsDiff;
 }
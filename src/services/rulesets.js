@@ -0,0 +1,242 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { executeOperation } from '../utils/operations.js';
+
+/**
+ * The ruleset settings that are compared and applied.
+ */
+const RULESET_FIELDS = ['target', 'enforcement', 'bypass_actors', 'conditions', 'rules'];
+
+/**
+ * Fetches the rulesets defined on a repository, excluding rulesets inherited from the
+ * organization. Handles pagination automatically to get all rulesets.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @returns {Promise<Array<Object>>} The ruleset summaries
+ * @throws {Error} If the GitHub API request fails
+ */
+async function listRepositoryRulesets(octokit, org, repo) {
+  const rulesets = [];
+  let page = 1;
+
+  while (true) {
+    const { data } = await octokit.repos.getRepoRulesets({
+      owner: org,
+      repo,
+      includes_parents: false,
+      per_page: 100,
+      page,
+    });
+
+    rulesets.push(...data);
+
+    if (data.length < 100) {
+      break;
+    }
+    page++;
+  }
+
+  return rulesets;
+}
+
+/**
+ * Gets the current rulesets with the given names.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<string>} names - The ruleset names
+ * @returns {Promise<Record<string, Object | null>>} The current ruleset for each name, or null
+ *   if the repository has no ruleset with that name
+ * @throws {Error} If the GitHub API request fails
+ */
+export async function getRulesetState(octokit, org, repo, names) {
+  const rulesets = await listRepositoryRulesets(octokit, org, repo);
+  const state = {};
+
+  for (const name of names) {
+    const summary = rulesets.find((ruleset) => ruleset.name === name);
+    if (!summary) {
+      state[name] = null;
+      continue;
+    }
+    const { data } = await octokit.repos.getRepoRuleset({
+      owner: org,
+      repo,
+      ruleset_id: summary.id,
+    });
+    state[name] = {
+      id: data.id,
+      ...Object.fromEntries(RULESET_FIELDS.map((field) => [field, data[field] ?? null])),
+    };
+  }
+  return state;
+}
+
+/**
+ * Checks whether a value from the current ruleset matches the desired value. Only the keys
+ * present in a desired object are compared, so defaults the API fills in are ignored. Arrays
+ * match when every desired item matches a different current item, in any order.
+ *
+ * @param {*} current - Value from the current ruleset
+ * @param {*} desired - Desired value
+ * @returns {boolean} True if the current value satisfies the desired value
+ */
+function matchesRuleset(current, desired) {
+  if (Array.isArray(desired)) {
+    if (!Array.isArray(current) || current.length !== desired.length) {
+      return false;
+    }
+    const remaining = [...current];
+    return desired.every((item) => {
+      const index = remaining.findIndex((candidate) => matchesRuleset(candidate, item));
+      if (index === -1) {
+        return false;
+      }
+      remaining.splice(index, 1);
+      return true;
+    });
+  }
+  if (desired && typeof desired === 'object') {
+    return (
+      current !== null &&
+      typeof current === 'object' &&
+      Object.entries(desired).every(([key, value]) => matchesRuleset(current[key], value))
+    );
+  }
+  return current === desired;
+}
+
+/**
+ * Compares the current rulesets with the desired rulesets and builds the changes to make,
+ * each with the API call that makes it.
+ *
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Record<string, Object | null>} current - The current rulesets by name
+ * @param {Record<string, Object | null>} rulesets - The desired rulesets by name; null deletes
+ * @returns {Array<{change: Object, operation: {method: string, params: Object}}>} The changes
+ */
+function getRulesetChanges(org, repo, current, rulesets) {
+  const params = { owner: org, repo };
+  const changes = [];
+
+  for (const [name, desired] of Object.entries(rulesets)) {
+    const existing = current[name];
+
+    if (desired === null) {
+      if (existing) {
+        changes.push({
+          change: { name, action: 'delete' },
+          operation: {
+            method: 'repos.deleteRepoRuleset',
+            params: { ...params, ruleset_id: existing.id },
+          },
+        });
+      }
+      continue;
+    }
+
+    if (!existing) {
+      changes.push({
+        change: { name, action: 'create' },
+        operation: { method: 'repos.createRepoRuleset', params: { ...params, name, ...desired } },
+      });
+      continue;
+    }
+
+    const fields = Object.keys(desired).filter(
+      (field) => !matchesRuleset(existing[field], desired[field])
+    );
+    if (fields.length > 0) {
+      changes.push({
+        change: { name, action: 'update', fields },
+        operation: {
+          method: 'repos.updateRepoRuleset',
+          params: { ...params, ruleset_id: existing.id, name, ...desired },
+        },
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Plans the API calls needed to bring the repository rulesets in line with the desired rulesets.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Record<string, Object | null>} rulesets - The desired rulesets by name
+ * @returns {Promise<{state: Record<string, Object | null>, operations: Array<{method: string, params: Object}>}>}
+ *   The current rulesets and the API calls to make
+ */
+export async function planRulesets(octokit, org, repo, rulesets) {
+  const state = await getRulesetState(octokit, org, repo, Object.keys(rulesets));
+  const operations = getRulesetChanges(org, repo, state, rulesets).map(
+    ({ operation }) => operation
+  );
+  return { state, operations };
+}
+
+/**
+ * Updates the rulesets of a repository to match the desired rulesets.
+ * Rulesets are matched by name. Missing rulesets are created, rulesets that differ are
+ * updated and rulesets set to null are deleted. Other rulesets are left untouched.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Record<string, Object | null>} rulesets - The desired rulesets by name
+ * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
+ * @returns {Promise<Array<{name: string, action: string, fields?: Array<string>}>>} The ruleset
+ *   changes that were (or would be) made
+ * @throws {Error} If the GitHub API request fails
+ */
+export async function updateRulesets(octokit, org, repo, rulesets, dryRun = false) {
+  const current = await getRulesetState(octokit, org, repo, Object.keys(rulesets));
+  const changes = getRulesetChanges(org, repo, current, rulesets);
+
+  if (changes.length === 0) {
+    console.log(`⏭️ Skipping rulesets for ${repo} - rulesets match`);
+  }
+
+  for (const { change, operation } of changes) {
+    if (dryRun) {
+      console.log(
+        `🔍 Would ${change.action} ruleset ${change.name} in ${repo}`,
+        ...(change.fields ? [change.fields] : [])
+      );
+    } else {
+      await executeOperation(octokit, operation);
+      console.log(`✅ Successfully ${change.action}d ruleset ${change.name} in ${repo}`);
+    }
+  }
+
+  return changes.map(({ change }) => change);
+}
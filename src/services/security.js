@@ -0,0 +1,191 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { executeOperation } from '../utils/operations.js';
+
+/**
+ * Security settings that are managed through the nested `security_and_analysis` object
+ * of the repository.
+ */
+const ANALYSIS_SETTINGS = ['secret_scanning', 'secret_scanning_push_protection'];
+
+/**
+ * Reads whether a feature checked by a dedicated endpoint is enabled.
+ * The endpoints respond with 404 when the feature is disabled.
+ *
+ * @param {Function} check - Calls the endpoint that checks the feature
+ * @returns {Promise<boolean>} True if the feature is enabled
+ * @throws {Error} If the GitHub API request fails
+ */
+async function isEnabled(check) {
+  try {
+    const { data } = await check();
+    return data?.enabled ?? true;
+  } catch (error) {
+    if (error.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets the current values of the given security settings.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<string>} keys - The security settings to read
+ * @returns {Promise<Object<string, boolean>>} Whether each setting is enabled
+ * @throws {Error} If a setting is unknown or the GitHub API request fails
+ */
+export async function getSecurityState(octokit, org, repo, keys) {
+  const params = { owner: org, repo };
+  const state = {};
+  let analysis;
+
+  for (const key of keys) {
+    if (key === 'vulnerability_alerts') {
+      state[key] = await isEnabled(() => octokit.repos.checkVulnerabilityAlerts(params));
+    } else if (key === 'automated_security_fixes') {
+      state[key] = await isEnabled(() => octokit.repos.checkAutomatedSecurityFixes(params));
+    } else if (ANALYSIS_SETTINGS.includes(key)) {
+      if (!analysis) {
+        const { data } = await octokit.repos.get(params);
+        analysis = data.security_and_analysis ?? {};
+      }
+      state[key] = analysis[key]?.status === 'enabled';
+    } else {
+      throw new Error(`Unknown security setting: ${key}`);
+    }
+  }
+  return state;
+}
+
+/**
+ * Compares the current and desired security settings.
+ *
+ * @param {Object<string, boolean>} current - Current security settings
+ * @param {Object<string, boolean>} desired - Desired security settings
+ * @returns {Object<string, boolean>} The settings that need to be changed
+ */
+function getSecurityDiff(current, desired) {
+  return Object.fromEntries(
+    Object.entries(desired).filter(([key, value]) => current[key] !== Boolean(value))
+  );
+}
+
+/**
+ * Builds the API calls that apply a security settings diff. Vulnerability alerts are enabled
+ * before and disabled after Dependabot security updates, which depend on them.
+ *
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Object<string, boolean>} diff - The settings to change
+ * @returns {Array<{method: string, params: Object}>} The API calls to make
+ */
+function getSecurityOperations(org, repo, diff) {
+  const params = { owner: org, repo };
+  const toggle = (feature, enabled) => ({
+    method: `repos.${enabled ? 'enable' : 'disable'}${feature}`,
+    params,
+  });
+  const operations = [];
+
+  if (diff.vulnerability_alerts === true) {
+    operations.push(toggle('VulnerabilityAlerts', true));
+  }
+  if ('automated_security_fixes' in diff) {
+    operations.push(toggle('AutomatedSecurityFixes', Boolean(diff.automated_security_fixes)));
+  }
+  if (diff.vulnerability_alerts === false) {
+    operations.push(toggle('VulnerabilityAlerts', false));
+  }
+
+  const analysis = ANALYSIS_SETTINGS.filter((key) => key in diff);
+  if (analysis.length > 0) {
+    operations.push({
+      method: 'repos.update',
+      params: {
+        ...params,
+        security_and_analysis: Object.fromEntries(
+          analysis.map((key) => [key, { status: diff[key] ? 'enabled' : 'disabled' }])
+        ),
+      },
+    });
+  }
+  return operations;
+}
+
+/**
+ * Plans the API calls needed to bring the security settings in line with the desired settings.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Object<string, boolean>} security - The desired security settings
+ * @returns {Promise<{state: Object<string, boolean>, operations: Array<{method: string, params: Object}>}>}
+ *   The current security settings and the API calls to make
+ */
+export async function planSecuritySettings(octokit, org, repo, security) {
+  const state = await getSecurityState(octokit, org, repo, Object.keys(security));
+  const operations = getSecurityOperations(org, repo, getSecurityDiff(state, security));
+  return { state, operations };
+}
+
+/**
+ * Updates the security and analysis settings for a repository.
+ * Only updates settings that differ from the current configuration.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Object} security - The desired security settings
+ * @param {boolean} [security.vulnerability_alerts] - Dependabot vulnerability alerts
+ * @param {boolean} [security.automated_security_fixes] - Dependabot security updates
+ * @param {boolean} [security.secret_scanning] - Secret scanning
+ * @param {boolean} [security.secret_scanning_push_protection] - Secret scanning push protection
+ * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
+ * @returns {Promise<Object<string, boolean>>} The settings that were (or would be) changed
+ * @throws {Error} If a setting is unknown or the GitHub API request fails
+ */
+export async function updateSecuritySettings(octokit, org, repo, security, dryRun = false) {
+  const current = await getSecurityState(octokit, org, repo, Object.keys(security));
+  const diff = getSecurityDiff(current, security);
+
+  if (Object.keys(diff).length === 0) {
+    console.log(`⏭️ Skipping security settings for ${repo} - settings match`);
+    return diff;
+  }
+
+  if (dryRun) {
+    console.log(`🔍 Would update security settings for ${repo}:`, diff);
+  } else {
+    for (const operation of getSecurityOperations(org, repo, diff)) {
+      await executeOperation(octokit, operation);
+    }
+    console.log(`✅ Successfully updated security settings for ${repo}`);
+  }
+  return diff;
+}
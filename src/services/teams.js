@@ -0,0 +1,197 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import { executeOperation } from '../utils/operations.js';
+
+/**
+ * Role names that the teams API knows by another name.
+ */
+const PERMISSION_ALIASES = {
+  read: 'pull',
+  write: 'push',
+};
+
+/**
+ * Past-tense verbs for logging applied team changes.
+ */
+const TEAM_ACTIONS = {
+  add: 'Added',
+  update: 'Updated',
+  remove: 'Removed',
+};
+
+/**
+ * Fetches the teams that have access to a repository.
+ * Handles pagination automatically to get all teams.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @returns {Promise<Array<{slug: string, permission: string}>>} The teams and their permissions
+ * @throws {Error} If the GitHub API request fails
+ */
+export async function listRepositoryTeams(octokit, org, repo) {
+  const teams = [];
+  let page = 1;
+
+  while (true) {
+    const { data } = await octokit.repos.listTeams({
+      owner: org,
+      repo,
+      per_page: 100,
+      page,
+    });
+
+    teams.push(...data.map(({ slug, permission }) => ({ slug, permission })));
+
+    if (data.length < 100) {
+      break;
+    }
+    page++;
+  }
+
+  return teams;
+}
+
+/**
+ * Normalizes a permission to the name the teams API uses.
+ *
+ * @param {string} permission - The permission or custom role name
+ * @returns {string} The normalized permission
+ */
+function normalizePermission(permission) {
+  return PERMISSION_ALIASES[permission] ?? permission;
+}
+
+/**
+ * Compares the current teams with the desired teams and builds the changes to make,
+ * each with the API call that makes it.
+ *
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Array<{slug: string, permission: string}>} current - The current teams
+ * @param {Record<string, string>} teams - The desired permission of each team, by team slug
+ * @param {boolean} exact - If true, teams that are not in the desired teams are removed
+ * @returns {Array<{change: Object, operation: {method: string, params: Object}}>} The changes
+ * @throws {Error} If a desired team has no permission
+ */
+function getTeamChanges(org, repo, current, teams, exact) {
+  const changes = [];
+  const listed = new Set();
+
+  for (const [slug, permission] of Object.entries(teams)) {
+    if (typeof permission !== 'string' || !permission) {
+      throw new Error(`Team ${slug} must have a permission`);
+    }
+    const desired = normalizePermission(permission);
+    const existing = current.find((team) => team.slug.toLowerCase() === slug.toLowerCase());
+    listed.add(slug.toLowerCase());
+
+    if (existing?.permission !== desired) {
+      changes.push({
+        change: { team: slug, from: existing?.permission ?? null, to: desired },
+        operation: {
+          method: 'teams.addOrUpdateRepoPermissionsInOrg',
+          params: { org, team_slug: slug, owner: org, repo, permission: desired },
+        },
+      });
+    }
+  }
+
+  if (exact) {
+    for (const team of current.filter((team) => !listed.has(team.slug.toLowerCase()))) {
+      changes.push({
+        change: { team: team.slug, from: team.permission, to: null },
+        operation: {
+          method: 'teams.removeRepoInOrg',
+          params: { org, team_slug: team.slug, owner: org, repo },
+        },
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Plans the API calls needed to bring the team permissions of a repository in line with the
+ * desired teams.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Record<string, string>} teams - The desired permission of each team, by team slug
+ * @param {string} [mode] - The teams mode; `exact` removes teams that are not listed
+ * @returns {Promise<{state: Array<Object>, operations: Array<{method: string, params: Object}>}>}
+ *   The current teams and the API calls to make
+ * @throws {Error} If the teams are invalid or the GitHub API request fails
+ */
+export async function planRepositoryTeams(octokit, org, repo, teams, mode) {
+  const state = await listRepositoryTeams(octokit, org, repo);
+  const operations = getTeamChanges(org, repo, state, teams, mode === 'exact').map(
+    ({ operation }) => operation
+  );
+  return { state, operations };
+}
+
+/**
+ * Updates the team permissions of a repository to match the desired teams.
+ * Grants missing teams access and updates the permission of existing ones. Teams that are not
+ * listed are only removed in `exact` mode.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Record<string, string>} teams - The desired permission of each team, by team slug;
+ *   `pull`, `triage`, `push`, `maintain`, `admin` or the name of a custom repository role
+ * @param {string} [mode] - The teams mode; `exact` removes teams that are not listed
+ * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
+ * @returns {Promise<Array<{team: string, from: string | null, to: string | null}>>} The permission
+ *   changes that were (or would be) made; `to` is null for removals
+ * @throws {Error} If the teams are invalid or the GitHub API request fails
+ */
+export async function updateRepositoryTeams(octokit, org, repo, teams, mode, dryRun = false) {
+  const current = await listRepositoryTeams(octokit, org, repo);
+  const changes = getTeamChanges(org, repo, current, teams, mode === 'exact');
+
+  for (const { change, operation } of changes) {
+    let action = 'update';
+    let details = `permission for team ${change.team} from ${change.from} to ${change.to}`;
+    if (change.to === null) {
+      action = 'remove';
+      details = `team ${change.team}`;
+    } else if (change.from === null) {
+      action = 'add';
+      details = `team ${change.team} with permission ${change.to}`;
+    }
+
+    if (dryRun) {
+      console.log(`🔍 Would ${action} ${details} in ${repo}`);
+    } else {
+      await executeOperation(octokit, operation);
+      console.log(`✅ ${TEAM_ACTIONS[action]} ${details} in ${repo}`);
+    }
+  }
+
+  return changes.map(({ change }) => change);
+}
@@ -0,0 +1,140 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Fetches the topics of a repository.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @returns {Promise<Array<string>>} The repository topics
+ * @throws {Error} If the GitHub API request fails
+ */
+export async function getRepositoryTopics(octokit, org, repo) {
+  const { data } = await octokit.repos.getAllTopics({
+    owner: org,
+    repo,
+  });
+  return data.names;
+}
+
+/**
+ * Computes the topics a repository should have.
+ *
+ * @param {Array<string>} current - The current repository topics
+ * @param {Object} topics - Topic settings
+ * @param {Array<string>} [topics.exact] - The exact set of topics the repository must have
+ * @param {Array<string>} [topics.present] - Topics the repository must have
+ * @param {Array<string>} [topics.absent] - Topics the repository must not have
+ * @returns {Array<string>} The desired repository topics
+ * @throws {Error} If `exact` is combined with `present` or `absent`
+ */
+export function getDesiredTopics(current, topics) {
+  const normalize = (names = []) => names.map((name) => name.toLowerCase());
+
+  if (topics.exact) {
+    if (topics.present || topics.absent) {
+      throw new Error('Topic settings cannot combine exact with present or absent');
+    }
+    return [...new Set(normalize(topics.exact))];
+  }
+
+  const absent = new Set(normalize(topics.absent));
+  return [...new Set([...current, ...normalize(topics.present)])].filter(
+    (name) => !absent.has(name)
+  );
+}
+
+/**
+ * Compares the current and desired topics.
+ *
+ * @param {Array<string>} current - The current repository topics
+ * @param {Array<string>} desired - The desired repository topics
+ * @returns {{added: Array<string>, removed: Array<string>} | {}} The topics to add and remove,
+ *   or an empty object if the topics match
+ */
+function getTopicsDiff(current, desired) {
+  const added = desired.filter((name) => !current.includes(name));
+  const removed = current.filter((name) => !desired.includes(name));
+  return added.length > 0 || removed.length > 0 ? { added, removed } : {};
+}
+
+/**
+ * Plans the API call needed to bring the repository topics in line with the topic settings.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Object} topics - Topic settings
+ * @returns {Promise<{state: Array<string>, operations: Array<{method: string, params: Object}>}>}
+ *   The current topics and the API calls to make
+ */
+export async function planRepositoryTopics(octokit, org, repo, topics) {
+  const state = await getRepositoryTopics(octokit, org, repo);
+  const desired = getDesiredTopics(state, topics);
+  const operations =
+    Object.keys(getTopicsDiff(state, desired)).length > 0
+      ? [{ method: 'repos.replaceAllTopics', params: { owner: org, repo, names: desired } }]
+      : [];
+  return { state, operations };
+}
+
+/**
+ * Updates the topics of a repository to match the topic settings.
+ * All topics are replaced in a single request.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {string} org - The GitHub organization name
+ * @param {string} repo - The repository name
+ * @param {Object} topics - Topic settings
+ * @param {Array<string>} [topics.exact] - The exact set of topics the repository must have
+ * @param {Array<string>} [topics.present] - Topics the repository must have
+ * @param {Array<string>} [topics.absent] - Topics the repository must not have
+ * @param {boolean} [dryRun] - If true, only show what would be changed without making changes
+ * @returns {Promise<{added: Array<string>, removed: Array<string>} | {}>} The topics that were
+ *   (or would be) added and removed
+ * @throws {Error} If the topic settings are invalid or the GitHub API request fails
+ */
+export async function updateRepositoryTopics(octokit, org, repo, topics, dryRun = false) {
+  const current = await getRepositoryTopics(octokit, org, repo);
+  const desired = getDesiredTopics(current, topics);
+  const diff = getTopicsDiff(current, desired);
+
+  if (Object.keys(diff).length === 0) {
+    console.log(`⏭️ Skipping topics for ${repo} - topics match`);
+    return diff;
+  }
+
+  if (dryRun) {
+    console.log(`🔍 Would update topics for ${repo}:`, diff);
+  } else {
+    await octokit.repos.replaceAllTopics({
+      owner: org,
+      repo,
+      names: desired,
+    });
+    console.log(`✅ Successfully updated topics for ${repo}`);
+  }
+  return diff;
+}
@@ -0,0 +1,63 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+/**
+ * The marker lines that surround a managed block unless others are configured.
+ */
+export const DEFAULT_MARKERS = {
+  begin: '# BEGIN settings-sync',
+  end: '# END settings-sync',
+};
+
+/**
+ * Replaces the text between the marker lines of a managed block with the given content,
+ * leaving the rest of the text intact. If the text has no block, it is added at the end. The
+ * block uses the line ending of the text, so CRLF files stay CRLF.
+ *
+ * @param {string} text - The existing text
+ * @param {string} content - The content of the block
+ * @param {Object} [markers] - The marker lines that surround the block
+ * @param {string} [markers.begin] - The line that starts the block
+ * @param {string} [markers.end] - The line that ends the block
+ * @returns {string} The text with the block
+ * @throws {Error} If the text has a begin marker without an end marker
+ */
+export function replaceBlock(text, content, markers = {}) {
+  const { begin, end } = { ...DEFAULT_MARKERS, ...markers };
+  const eol = /\r?\n/.exec(text)?.[0] ?? '\n';
+  const block = [begin, ...(content ? content.replace(/\r?\n$/, '').split(/\r?\n/) : []), end];
+  const lines = text.split(eol);
+  const start = lines.findIndex((line) => line.trim() === begin);
+
+  if (start === -1) {
+    const prefix = text && !text.endsWith('\n') ? `${text}${eol}` : text;
+    return `${prefix}${block.join(eol)}${eol}`;
+  }
+
+  const length = lines.slice(start + 1).findIndex((line) => line.trim() === end);
+  if (length === -1) {
+    throw new Error(`Missing end marker: ${end}`);
+  }
+  lines.splice(start, length + 2, ...block);
+  return lines.join(eol);
+}
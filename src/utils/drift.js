@@ -0,0 +1,114 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Describes the drift of a single settings section as a short, human-readable string.
+ *
+ * @param {string} section - The settings section name (e.g., 'repository', 'files')
+ * @param {*} changes - The changes reported for the section by `syncSettings`
+ * @returns {string} Description of the drift
+ */
+export function describeSection(section, changes) {
+  switch (section) {
+    case 'topics':
+      return [
+        ...changes.added.map((name) => `+${name}`),
+        ...changes.removed.map((name) => `-${name}`),
+      ].join(', ');
+    case 'labels':
+      return changes
+        .map((change) =>
+          change.from
+            ? `${change.action} ${change.from} → ${change.name}`
+            : `${change.action} ${change.name}`
+        )
+        .join(', ');
+    case 'collaborators':
+      return changes
+        .map((change) => {
+          if (change.to === null) {
+            return change.invitation
+              ? `cancel invitation for ${change.username}`
+              : `remove ${change.username}`;
+          }
+          if (change.invitation) {
+            return `invitation for ${change.username} ${change.from} → ${change.to}`;
+          }
+          return change.from
+            ? `${change.username} ${change.from} → ${change.to}`
+            : `add ${change.username} (${change.to})`;
+        })
+        .join(', ');
+    case 'teams':
+      return changes
+        .map((change) => {
+          if (change.to === null) {
+            return `remove ${change.team}`;
+          }
+          return change.from
+            ? `${change.team} ${change.from} → ${change.to}`
+            : `add ${change.team} (${change.to})`;
+        })
+        .join(', ');
+    case 'branch_protection':
+      return Object.entries(changes)
+        .map(([branch, diff]) => `${branch} (${Object.keys(diff).join(', ')})`)
+        .join(', ');
+    case 'rulesets':
+      return changes
+        .map((change) =>
+          change.fields
+            ? `${change.action} ${change.name} (${change.fields.join(', ')})`
+            : `${change.action} ${change.name}`
+        )
+        .join(', ');
+    case 'files':
+      return changes.map((change) => `${change.action} ${change.path}`).join(', ');
+    default:
+      return Object.keys(changes).join(', ');
+  }
+}
+
+/**
+ * Formats the repositories that differ from the settings as a per-repository drift listing.
+ *
+ * @param {Array<import('../index.js').RepositoryResult>} repositories - Repository results from `syncSettings`
+ * @returns {string} The formatted drift listing, one line per changed or failed section
+ */
+export function formatDrift(repositories) {
+  const lines = [];
+  for (const { repo, sections } of repositories) {
+    lines.push(`❌ ${repo}`);
+    for (const [section, result] of Object.entries(sections)) {
+      if (result.status === 'changed') {
+        lines.push(`  - ${section}: ${describeSection(section, result.diff)}`);
+      } else if (result.status === 'failed') {
+        lines.push(
+          `  - ${section}: failed (${result.error.cause?.message ?? result.error.message})`
+        );
+      }
+    }
+  }
+  return lines.join('\n');
+}
@@ -22,8 +22,11 @@
  * SOFTWARE.
  */
 
+import { listRepositoryLabels } from './labels.js';
+
 /**
- * Fetches all labels for a given repository.
+ * Fetches the names of all labels for a given repository.
+ * Returns no labels if they cannot be fetched.
  *
  * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
  * @param {string} org - The GitHub organization name
@@ -32,11 +35,8 @@
  */
 export async function getRepositoryLabels(octokit, org, repo) {
   try {
-    const { data } = await octokit.issues.listLabelsForRepo({
-      owner: org,
-      repo,
-    });
-    return data.map((label) => label.name);
+    const labels = await listRepositoryLabels(octokit, org, repo);
+    return labels.map((label) => label.name);
   } catch (error) {
     console.warn(`⚠️ Could not fetch labels for ${repo}: ${error.message}`);
     return [];
@@ -0,0 +1,140 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import { isDeepStrictEqual } from 'util';
+
+import { isMap, parse, parseDocument } from 'yaml';
+
+/**
+ * Checks whether a value is a plain object that is merged key by key.
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is an object that is not an array or null
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merges a fragment into a value. Objects are merged key by key, keeping the order of the
+ * existing keys and adding new keys at the end; arrays and other values in the fragment replace
+ * the existing value.
+ *
+ * @param {*} target - The existing value
+ * @param {*} fragment - The value to merge into it
+ * @returns {*} The merged value
+ */
+export function deepMerge(target, fragment) {
+  if (!isPlainObject(target) || !isPlainObject(fragment)) {
+    return fragment;
+  }
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(fragment)) {
+    merged[key] = Object.hasOwn(target, key) ? deepMerge(target[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Merges a JSON fragment into a JSON document, keeping its indentation and trailing newline.
+ *
+ * @param {string} existing - The existing JSON document
+ * @param {string} fragment - The JSON fragment
+ * @returns {string} The merged document, or the existing document if the merge changes nothing
+ * @throws {SyntaxError} If the document or the fragment is not valid JSON
+ */
+export function mergeJson(existing, fragment) {
+  const current = JSON.parse(existing);
+  const merged = deepMerge(current, JSON.parse(fragment));
+  if (isDeepStrictEqual(merged, current)) {
+    return existing;
+  }
+  const indent = existing.match(/^([ \t]+)\S/m)?.[1] ?? 2;
+  return JSON.stringify(merged, null, indent) + (existing.endsWith('\n') ? '\n' : '');
+}
+
+/**
+ * Merges the entries of a fragment into a YAML map node of a document in place.
+ *
+ * @param {import('yaml').Document} doc - The YAML document
+ * @param {Array<string>} path - The path of the map in the document
+ * @param {Object} fragment - The entries to merge into the map
+ */
+function mergeYamlMap(doc, path, fragment) {
+  for (const [key, value] of Object.entries(fragment)) {
+    const keyPath = [...path, key];
+    const node = doc.getIn(keyPath, true);
+    if (isPlainObject(value) && isMap(node)) {
+      mergeYamlMap(doc, keyPath, value);
+    } else {
+      doc.setIn(keyPath, value);
+    }
+  }
+}
+
+/**
+ * Merges a YAML fragment into a YAML document. Comments and the formatting of untouched entries
+ * are kept.
+ *
+ * @param {string} existing - The existing YAML document
+ * @param {string} fragment - The YAML fragment
+ * @returns {string} The merged document, or the existing document if the merge changes nothing
+ * @throws {Error} If the document or the fragment is not valid YAML
+ */
+export function mergeYaml(existing, fragment) {
+  const doc = parseDocument(existing);
+  if (doc.errors.length > 0) {
+    throw doc.errors[0];
+  }
+  const current = doc.toJS();
+  const value = parse(fragment);
+  if (isPlainObject(value) && (isMap(doc.contents) || doc.contents === null)) {
+    mergeYamlMap(doc, [], value);
+  } else {
+    doc.contents = doc.createNode(value);
+  }
+  return isDeepStrictEqual(doc.toJS(), current) ? existing : doc.toString();
+}
+
+/**
+ * Merges a fragment into a JSON or YAML file, choosing the format from the file extension.
+ *
+ * @param {string} path - Path to the file, e.g. `renovate.json` or `.github/workflows/ci.yml`
+ * @param {string} existing - The existing file content
+ * @param {string} fragment - The fragment to merge into the file
+ * @returns {string} The merged file content
+ * @throws {Error} If the file is not a JSON or YAML file or cannot be parsed
+ */
+export function mergeFile(path, existing, fragment) {
+  try {
+    if (/\.json$/i.test(path)) {
+      return mergeJson(existing, fragment);
+    }
+    if (/\.ya?ml$/i.test(path)) {
+      return mergeYaml(existing, fragment);
+    }
+  } catch (error) {
+    throw new Error(`Failed to merge ${path}: ${error.message}`, { cause: error });
+  }
+  throw new Error(`Cannot merge ${path}: only JSON and YAML files can be merged`);
+}
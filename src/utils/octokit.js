@@ -0,0 +1,77 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { retry } from '@octokit/plugin-retry';
+import { throttling } from '@octokit/plugin-throttling';
+import { Octokit } from '@octokit/rest';
+
+const ThrottledOctokit = Octokit.plugin(throttling, retry);
+
+/**
+ * Creates a handler for rate limit responses that waits and retries the request
+ * until the maximum number of retries is reached.
+ *
+ * @param {string} type - The kind of rate limit, used in log messages
+ * @param {number} maxRetries - The maximum number of times to retry a request
+ * @returns {(retryAfter: number, options: Object, octokit: Octokit, retryCount: number) => boolean}
+ *   The handler, returning true to retry the request
+ */
+function createRateLimitHandler(type, maxRetries) {
+  return (retryAfter, options, octokit, retryCount) => {
+    if (retryCount < maxRetries) {
+      console.warn(
+        `⚠️ ${type} hit for ${options.method} ${options.url}, retrying after ${retryAfter} seconds`
+      );
+      return true;
+    }
+    console.warn(`⚠️ ${type} hit for ${options.method} ${options.url}, giving up`);
+    return false;
+  };
+}
+
+/**
+ * Creates an Octokit instance that handles rate limits and retries failed requests.
+ * Requests that hit the primary rate limit wait until `x-ratelimit-reset`, requests that hit a
+ * secondary (abuse) rate limit wait for `retry-after`, and server errors are retried with
+ * an increasing backoff.
+ *
+ * @param {Object} options - Client options
+ * @param {string} options.auth - GitHub token
+ * @param {string} [options.baseUrl] - GitHub API base URL (for GitHub Enterprise)
+ * @param {number} [options.maxRetries] - The maximum number of times to retry a request
+ * @returns {Octokit} Initialized Octokit instance
+ */
+export function createThrottledOctokit({ auth, baseUrl, maxRetries = 3 }) {
+  return new ThrottledOctokit({
+    auth,
+    baseUrl,
+    throttle: {
+      onRateLimit: createRateLimitHandler('Rate limit', maxRetries),
+      onSecondaryRateLimit: createRateLimitHandler('Secondary rate limit', maxRetries),
+    },
+    retry: {
+      retries: maxRetries,
+    },
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { PlanError } from '../errors.js';
+
+/**
+ * The Octokit methods a plan is allowed to call. Plans are read from files, so only the
+ * methods the services plan are executed.
+ */
+const ALLOWED_METHODS = new Set([
+  'repos.update',
+  'repos.replaceAllTopics',
+  'repos.enableVulnerabilityAlerts',
+  'repos.disableVulnerabilityAlerts',
+  'repos.enableAutomatedSecurityFixes',
+  'repos.disableAutomatedSecurityFixes',
+  'issues.createLabel',
+  'issues.updateLabel',
+  'issues.deleteLabel',
+  'actions.setGithubActionsPermissionsRepository',
+  'actions.setAllowedActionsRepository',
+  'actions.setGithubActionsDefaultWorkflowPermissionsRepository',
+  'actions.setArtifactAndLogRetentionRepository',
+  'repos.addCollaborator',
+  'repos.removeCollaborator',
+  'repos.updateInvitation',
+  'repos.deleteInvitation',
+  'teams.addOrUpdateRepoPermissionsInOrg',
+  'teams.removeRepoInOrg',
+  'repos.updateBranchProtection',
+  'repos.deleteBranchProtection',
+  'repos.createRepoRuleset',
+  'repos.updateRepoRuleset',
+  'repos.deleteRepoRuleset',
+]);
+
+/**
+ * Routes for plannable methods that Octokit does not provide yet, called through `octokit.request`.
+ */
+export const REQUEST_ROUTES = {
+  'actions.getArtifactAndLogRetentionRepository':
+    'GET /repos/{owner}/{repo}/actions/permissions/artifact-and-log-retention',
+  'actions.setArtifactAndLogRetentionRepository':
+    'PUT /repos/{owner}/{repo}/actions/permissions/artifact-and-log-retention',
+};
+
+/**
+ * Executes a planned API call.
+ *
+ * @param {import('@octokit/rest').Octokit} octokit - Initialized Octokit instance
+ * @param {Object} operation - The planned API call
+ * @param {string} operation.method - The Octokit method, e.g. 'repos.update'
+ * @param {Object} operation.params - The parameters to call the method with
+ * @returns {Promise<Object>} The API response
+ * @throws {PlanError} If the method is not one that can be planned
+ */
+export async function executeOperation(octokit, { method, params }) {
+  if (!ALLOWED_METHODS.has(method)) {
+    throw new PlanError(`Unsupported operation: ${method}`);
+  }
+  if (REQUEST_ROUTES[method]) {
+    return octokit.request(REQUEST_ROUTES[method], params);
+  }
+  const [namespace, name] = method.split('.');
+  return octokit[namespace][name](params);
+}
@@ -0,0 +1,234 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { InvalidArgumentError } from 'commander';
+
+import { describeSection } from './drift.js';
+
+/**
+ * Counts the processed repositories by status.
+ *
+ * @param {import('../index.js').SyncResult} result - The result of `syncSettings`
+ * @returns {{unchanged: number, changed: number, failed: number}} Number of repositories with each status
+ */
+function countStatuses(result) {
+  const counts = { unchanged: 0, changed: 0, failed: 0 };
+  for (const { status } of result.repositories) {
+    counts[status]++;
+  }
+  return counts;
+}
+
+/**
+ * Describes the outcome of a section for a human reader.
+ *
+ * @param {string} section - The settings section name
+ * @param {import('../index.js').SectionResult} sectionResult - The result of the section
+ * @returns {string} Description of the changes or the error, empty if the section is unchanged
+ */
+function describeResult(section, { status, diff, error }) {
+  if (status === 'changed') {
+    return describeSection(section, diff);
+  }
+  if (status === 'failed') {
+    return error.cause?.message ?? error.message;
+  }
+  return '';
+}
+
+/**
+ * Formats the result of a sync as a JSON report.
+ *
+ * @param {import('../index.js').SyncResult} result - The result of `syncSettings`
+ * @returns {string} The JSON report
+ */
+export function formatJsonReport(result) {
+  const report = {
+    org: result.org,
+    mode: result.dryRun ? 'dry-run' : 'live',
+    total: result.total,
+    processed: result.processed,
+    skipped: result.skipped,
+    ...countStatuses(result),
+    repositories: result.repositories.map(({ repo, status, sections }) => ({
+      repo,
+      status,
+      sections: Object.fromEntries(
+        Object.entries(sections).map(([section, { status, diff, error }]) => [
+          section,
+          {
+            status,
+            ...(diff !== undefined && { diff }),
+            ...(error && { error: { name: error.name, message: error.message } }),
+          },
+        ])
+      ),
+    })),
+  };
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+/**
+ * Escapes a value for use in XML text or attributes.
+ *
+ * @param {string} value - The value to escape
+ * @returns {string} The escaped value
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats the result of a sync as a JUnit XML report with one test case per repository section.
+ * Failed sections are reported as errors. In dry-run mode, sections that differ from the settings
+ * are reported as failures so CI shows the drift.
+ *
+ * @param {import('../index.js').SyncResult} result - The result of `syncSettings`
+ * @returns {string} The JUnit XML report
+ */
+export function formatJUnitReport(result) {
+  const testCases = [];
+  let failures = 0;
+  let errors = 0;
+
+  for (const { repo, sections } of result.repositories) {
+    for (const [section, sectionResult] of Object.entries(sections)) {
+      const name = `<testcase classname="${escapeXml(repo)}" name="${escapeXml(section)}"`;
+      const details = escapeXml(describeResult(section, sectionResult));
+
+      if (sectionResult.status === 'failed') {
+        errors++;
+        testCases.push(
+          `    ${name}>\n      <error message="${details}">${escapeXml(sectionResult.error.message)}</error>\n    </testcase>`
+        );
+      } else if (sectionResult.status === 'changed' && result.dryRun) {
+        failures++;
+        testCases.push(
+          `    ${name}>\n      <failure message="Drift detected in ${escapeXml(section)}">${details}</failure>\n    </testcase>`
+        );
+      } else if (sectionResult.status === 'changed') {
+        testCases.push(`    ${name}>\n      <system-out>${details}</system-out>\n    </testcase>`);
+      } else {
+        testCases.push(`    ${name} />`);
+      }
+    }
+  }
+
+  const counts = `tests="${testCases.length}" failures="${failures}" errors="${errors}"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="github-settings-sync" ${counts}>`,
+    `  <testsuite name="${escapeXml(result.org)}" ${counts}>`,
+    ...testCases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Escapes a value for use in a Markdown table cell.
+ *
+ * @param {string} value - The value to escape
+ * @returns {string} The escaped value
+ */
+function escapeMarkdown(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/</g, '&lt;').replace(/\n/g, ' ');
+}
+
+/**
+ * Formats the result of a sync as a Markdown summary, suitable for a GitHub Actions job summary.
+ *
+ * @param {import('../index.js').SyncResult} result - The result of `syncSettings`
+ * @returns {string} The Markdown summary
+ */
+export function formatMarkdownReport(result) {
+  const counts = countStatuses(result);
+  const changedLabel = result.dryRun ? 'Drifted' : 'Updated';
+  const lines = [
+    `## GitHub Settings Sync: ${escapeMarkdown(result.org)}`,
+    '',
+    `Mode: ${result.dryRun ? 'Dry Run' : 'Live'}`,
+    '',
+    `| Total | Processed | Skipped | Unchanged | ${changedLabel} | Failed |`,
+    '| ---: | ---: | ---: | ---: | ---: | ---: |',
+    `| ${result.total} | ${result.processed} | ${result.skipped} | ${counts.unchanged} | ${counts.changed} | ${counts.failed} |`,
+  ];
+
+  const rows = [];
+  for (const { repo, sections } of result.repositories) {
+    for (const [section, sectionResult] of Object.entries(sections)) {
+      if (sectionResult.status !== 'unchanged') {
+        rows.push(
+          `| ${escapeMarkdown(repo)} | ${section} | ${sectionResult.status} | ${escapeMarkdown(describeResult(section, sectionResult))} |`
+        );
+      }
+    }
+  }
+
+  if (rows.length > 0) {
+    lines.push(
+      '',
+      '| Repository | Section | Status | Details |',
+      '| --- | --- | --- | --- |',
+      ...rows
+    );
+  } else {
+    lines.push('', 'All repositories match the settings.');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * The report formatters by report format name.
+ */
+export const REPORT_FORMATS = {
+  json: formatJsonReport,
+  junit: formatJUnitReport,
+  markdown: formatMarkdownReport,
+};
+
+/**
+ * Parses a `<format>:<path>` report option, collecting repeated options into a list.
+ *
+ * @param {string} value - The option value
+ * @param {Array<{format: string, path: string}>} previous - The reports parsed so far
+ * @returns {Array<{format: string, path: string}>} The reports to write
+ */
+export function parseReportOption(value, previous) {
+  const separator = value.indexOf(':');
+  const format = value.slice(0, separator);
+  const path = value.slice(separator + 1);
+  if (separator === -1 || !Object.hasOwn(REPORT_FORMATS, format) || !path) {
+    throw new InvalidArgumentError(
+      `Expected <format>:<path> with format one of ${Object.keys(REPORT_FORMATS).join(', ')}`
+    );
+  }
+  return [...previous, { format, path }];
+}
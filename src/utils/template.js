@@ -0,0 +1,72 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+/**
+ * Matches a `{{ name }}` placeholder, where the name is a dot-separated variable path.
+ * GitHub Actions expressions such as `${{ github.ref }}` are not placeholders.
+ */
+const PLACEHOLDER = /(?<!\$)\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Looks up a dot-separated variable path, e.g. `repo.custom_properties.team`.
+ *
+ * @param {Object} variables - The template variables
+ * @param {string} name - The variable path
+ * @returns {*} The variable value, or undefined if it is not defined
+ */
+function lookup(variables, name) {
+  return name
+    .split('.')
+    .reduce(
+      (scope, key) =>
+        scope !== null && typeof scope === 'object' && Object.hasOwn(scope, key)
+          ? scope[key]
+          : undefined,
+      variables
+    );
+}
+
+/**
+ * Renders a template by replacing each `{{ name }}` placeholder with the value of the variable.
+ * Arrays are joined with commas, objects are written as JSON and null values are left empty.
+ *
+ * @param {string} template - The template content
+ * @param {Object} variables - The template variables
+ * @returns {string} The rendered content
+ * @throws {Error} If a placeholder references a variable that is not defined
+ */
+export function renderTemplate(template, variables) {
+  return template.replace(PLACEHOLDER, (placeholder, name) => {
+    const value = lookup(variables, name);
+    if (value === undefined) {
+      throw new Error(`Unknown template variable: ${name}`);
+    }
+    if (value === null) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.join(', ');
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
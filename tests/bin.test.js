@@ -29,23 +29,32 @@ import fs from 'fs/promises';
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
 import { syncSettings } from '../src/index.js';
+import { applyPlan, createPlan } from '../src/plan.js';
 
 // Mock dependencies
 vi.mock('fs/promises');
 vi.mock('../src/index.js');
+vi.mock('../src/plan.js');
 
 // Robust Commander mock for proper chaining and callback handling
 let commanderOptions = {};
-let commanderAction = null;
+let commanderCommand = 'sync';
+let commanderActions = {};
 
 vi.mock('commander', () => {
   class MockCommand {
+    constructor(name) {
+      this.commandName = name;
+    }
     name() {
       return this;
     }
     description() {
       return this;
     }
+    command(name) {
+      return new MockCommand(name);
+    }
     requiredOption() {
       return this;
     }
@@ -53,14 +62,14 @@ vi.mock('commander', () => {
       return this;
     }
     action(cb) {
-      commanderAction = cb;
+      commanderActions[this.commandName] = cb;
       return this;
     }
     parse() {
-      if (commanderAction) commanderAction(commanderOptions);
+      if (commanderActions[commanderCommand]) commanderActions[commanderCommand](commanderOptions);
     }
   }
-  return { Command: MockCommand };
+  return { Command: MockCommand, InvalidArgumentError: class extends Error {} };
 });
 
 describe('github-settings-sync CLI', () => {
@@ -81,18 +90,26 @@ describe('github-settings-sync CLI', () => {
     vi.clearAllMocks();
 
     // Default CLI options
+    commanderCommand = 'sync';
+    commanderActions = {};
     commanderOptions = {
       org: 'test-org',
       settings: 'test-settings.json',
       token: 'test-token',
       dryRun: false,
+      concurrency: 4,
     };
 
     // Mock fs.readFile
     fs.readFile.mockResolvedValue(JSON.stringify(mockSettings));
 
     // Mock syncSettings
-    syncSettings.mockResolvedValue(undefined);
+    syncSettings.mockResolvedValue({
+      total: 1,
+      processed: 1,
+      skipped: 0,
+      repositories: [{ repo: 'test-repo', status: 'unchanged', sections: {} }],
+    });
 
     // Mock console methods
     vi.spyOn(console, 'error').mockImplementation(() => {});
@@ -116,7 +133,8 @@ describe('github-settings-sync CLI', () => {
       'test-org',
       mockSettings,
       expect.any(Object),
-      false
+      false,
+      { concurrency: 4 }
     );
   });
 
@@ -193,7 +211,8 @@ describe('github-settings-sync CLI', () => {
         label: 'test-label',
         language: 'javascript',
       },
-      undefined
+      undefined,
+      { concurrency: undefined }
     );
   });
 
@@ -211,7 +230,202 @@ describe('github-settings-sync CLI', () => {
       'test-org',
       mockSettings,
       expect.any(Object),
-      true
+      true,
+      { concurrency: undefined }
+    );
+  });
+
+  it('should run in dry-run mode and succeed when no drift is found in check mode', async () => {
+    commanderOptions = {
+      org: 'test-org',
+      settings: 'test-settings.json',
+      token: 'test-token',
+      check: true,
+    };
+    await vi.resetModules();
+    await import('../src/bin.js');
+    await vi.waitFor(() => expect(console.log).toHaveBeenCalledWith('✅ No drift detected'));
+    expect(syncSettings).toHaveBeenCalledWith(
+      expect.any(Object),
+      'test-org',
+      mockSettings,
+      expect.any(Object),
+      true,
+      { concurrency: undefined }
+    );
+    expect(process.exit).not.toHaveBeenCalled();
+  });
+
+  it('should exit with an error and list the drift in check mode', async () => {
+    syncSettings.mockResolvedValue({
+      total: 1,
+      processed: 1,
+      skipped: 0,
+      repositories: [
+        {
+          repo: 'test-repo',
+          status: 'changed',
+          sections: { repository: { status: 'changed', diff: { has_wiki: false } } },
+        },
+        { repo: 'other-repo', status: 'unchanged', sections: {} },
+      ],
+    });
+    commanderOptions = {
+      org: 'test-org',
+      settings: 'test-settings.json',
+      token: 'test-token',
+      check: true,
+    };
+    await vi.resetModules();
+    await import('../src/bin.js');
+    await vi.waitFor(() => expect(process.exit).toHaveBeenCalledWith(1));
+    expect(console.error).toHaveBeenCalledWith('❌ Drift detected in 1 repositories:');
+    expect(console.error).toHaveBeenCalledWith('❌ test-repo\n  - repository: has_wiki');
+  });
+
+  it('should write a plan file in plan mode', async () => {
+    const plan = { version: 1, org: 'test-org', repositories: [] };
+    createPlan.mockResolvedValue(plan);
+    commanderCommand = 'plan';
+    commanderOptions = {
+      org: 'test-org',
+      settings: 'test-settings.json',
+      token: 'test-token',
+      plan: 'plan.json',
+      concurrency: 2,
+    };
+    await vi.resetModules();
+    await import('../src/bin.js');
+    await vi.waitFor(() =>
+      expect(fs.writeFile).toHaveBeenCalledWith('plan.json', `${JSON.stringify(plan, null, 2)}\n`)
+    );
+    expect(createPlan).toHaveBeenCalledWith(
+      expect.any(Object),
+      'test-org',
+      mockSettings,
+      expect.any(Object),
+      { concurrency: 2 }
+    );
+    expect(syncSettings).not.toHaveBeenCalled();
+  });
+
+  it('should handle errors creating a plan', async () => {
+    const testError = new Error('API Error');
+    createPlan.mockRejectedValue(testError);
+    commanderCommand = 'plan';
+    commanderOptions = {
+      org: 'test-org',
+      settings: 'test-settings.json',
+      token: 'test-token',
+      plan: 'plan.json',
+    };
+    await vi.resetModules();
+    await import('../src/bin.js');
+    await vi.waitFor(() => expect(process.exit).toHaveBeenCalledWith(1));
+    expect(console.error).toHaveBeenCalledWith('❌ Error creating plan:', testError);
+  });
+
+  it('should apply a plan file in apply mode', async () => {
+    const plan = { version: 1, org: 'test-org', repositories: [] };
+    fs.readFile.mockResolvedValue(JSON.stringify(plan));
+    applyPlan.mockResolvedValue({ applied: [], stale: [], failed: [] });
+    commanderCommand = 'apply';
+    commanderOptions = { token: 'test-token', plan: 'plan.json' };
+    await vi.resetModules();
+    await import('../src/bin.js');
+    await vi.waitFor(() => expect(applyPlan).toHaveBeenCalledWith(expect.any(Object), plan));
+    expect(fs.readFile).toHaveBeenCalledWith('plan.json', 'utf-8');
+    expect(process.exit).not.toHaveBeenCalled();
+  });
+
+  it('should exit with an error when repositories changed since the plan was created', async () => {
+    fs.readFile.mockResolvedValue(
+      JSON.stringify({ version: 1, org: 'test-org', repositories: [] })
+    );
+    applyPlan.mockResolvedValue({ applied: [], stale: ['test-repo'], failed: [] });
+    commanderCommand = 'apply';
+    commanderOptions = { token: 'test-token', plan: 'plan.json' };
+    await vi.resetModules();
+    await import('../src/bin.js');
+    await vi.waitFor(() => expect(process.exit).toHaveBeenCalledWith(1));
+  });
+
+  it('should handle errors applying a plan', async () => {
+    const testError = new Error('Unsupported plan version: 2');
+    fs.readFile.mockResolvedValue(JSON.stringify({ version: 2 }));
+    applyPlan.mockRejectedValue(testError);
+    commanderCommand = 'apply';
+    commanderOptions = { token: 'test-token', plan: 'plan.json' };
+    await vi.resetModules();
+    await import('../src/bin.js');
+    await vi.waitFor(() => expect(process.exit).toHaveBeenCalledWith(1));
+    expect(console.error).toHaveBeenCalledWith('❌ Error applying plan:', testError);
+  });
+
+  it('should exit with an error when repositories fail to sync', async () => {
+    syncSettings.mockResolvedValue({
+      total: 1,
+      processed: 1,
+      skipped: 0,
+      repositories: [{ repo: 'test-repo', status: 'failed', sections: {} }],
+    });
+    await vi.resetModules();
+    await import('../src/bin.js');
+    await vi.waitFor(() => expect(process.exit).toHaveBeenCalledWith(1));
+    expect(console.error).toHaveBeenCalledWith('❌ Failed to sync 1 repositories');
+  });
+
+  it('should handle sync errors', async () => {
+    await vi.resetModules();
+    const { SyncError } = await import('../src/errors.js');
+    const testError = new SyncError('Failed to sync settings for test-org: API Error');
+    syncSettings.mockRejectedValue(testError);
+    await import('../src/bin.js');
+    await vi.waitFor(() => expect(process.exit).toHaveBeenCalledWith(1));
+    expect(console.error).toHaveBeenCalledWith('❌ Error during sync:', testError);
+  });
+
+  it('should write the requested reports', async () => {
+    commanderOptions = {
+      org: 'test-org',
+      settings: 'test-settings.json',
+      token: 'test-token',
+      report: [
+        { format: 'json', path: 'report.json' },
+        { format: 'markdown', path: 'summary.md' },
+      ],
+    };
+    await vi.resetModules();
+    await import('../src/bin.js');
+    await vi.waitFor(() =>
+      expect(fs.writeFile).toHaveBeenCalledWith('summary.md', expect.stringContaining('## GitHub'))
+    );
+    expect(fs.writeFile).toHaveBeenCalledWith('report.json', expect.stringContaining('"total": 1'));
+  });
+
+  it('should report a report that cannot be written without blaming the settings file', async () => {
+    const testError = new Error('EACCES: permission denied');
+    fs.writeFile.mockRejectedValueOnce(testError);
+    commanderOptions = {
+      org: 'test-org',
+      settings: 'test-settings.json',
+      token: 'test-token',
+      report: [
+        { format: 'json', path: '/readonly/report.json' },
+        { format: 'markdown', path: 'summary.md' },
+      ],
+    };
+    await vi.resetModules();
+    await import('../src/bin.js');
+    await vi.waitFor(() => expect(process.exit).toHaveBeenCalledWith(1));
+    expect(console.error).toHaveBeenCalledWith(
+      '❌ Error writing json report to /readonly/report.json:',
+      testError
+    );
+    expect(console.error).not.toHaveBeenCalledWith(
+      '❌ Error reading settings file:',
+      expect.anything()
     );
+    expect(fs.writeFile).toHaveBeenCalledWith('summary.md', expect.stringContaining('## GitHub'));
   });
 });
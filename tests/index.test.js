@@ -24,10 +24,17 @@
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 
+import { SectionSyncError, SyncError } from '../src/errors.js';
 import { syncSettings } from '../src/index.js';
 
 // Mock all the imported services
+vi.mock('../src/services/actions.js', () => ({
+  updateActionsSettings: vi.fn(),
+}));
+
 vi.mock('../src/services/branch-protection.js', () => ({
+  removeUnlistedBranchProtection: vi.fn(),
+  resolveBranchProtection: vi.fn(async (octokit, org, repo, branchProtection) => branchProtection),
   updateBranchProtection: vi.fn(),
 }));
 
@@ -36,7 +43,15 @@ vi.mock('../src/services/collaborators.js', () => ({
 }));
 
 vi.mock('../src/services/file-sync.js', () => ({
-  syncFileContent: vi.fn(),
+  syncFiles: vi.fn(),
+}));
+
+vi.mock('../src/services/labels.js', () => ({
+  updateRepositoryLabels: vi.fn(),
+}));
+
+vi.mock('../src/services/rulesets.js', () => ({
+  updateRulesets: vi.fn(),
 }));
 
 vi.mock('../src/services/repository.js', () => ({
@@ -44,6 +59,18 @@ vi.mock('../src/services/repository.js', () => ({
   updateRepositorySettings: vi.fn(),
 }));
 
+vi.mock('../src/services/security.js', () => ({
+  updateSecuritySettings: vi.fn(),
+}));
+
+vi.mock('../src/services/teams.js', () => ({
+  updateRepositoryTeams: vi.fn(),
+}));
+
+vi.mock('../src/services/topics.js', () => ({
+  updateRepositoryTopics: vi.fn(),
+}));
+
 vi.mock('../src/utils/filters.js', () => ({
   shouldProcessRepository: vi.fn(),
 }));
@@ -52,6 +79,9 @@ describe('syncSettings', () => {
   const mockOctokit = {};
   const mockOrg = 'test-org';
   const mockSettings = {
+    repository: {
+      has_wiki: false,
+    },
     collaborators: {
       user1: 'admin',
       user2: 'write',
@@ -92,14 +122,14 @@ describe('syncSettings', () => {
     const { updateRepositorySettings } = await import('../src/services/repository.js');
     const { updateRepositoryCollaborators } = await import('../src/services/collaborators.js');
     const { updateBranchProtection } = await import('../src/services/branch-protection.js');
-    const { syncFileContent } = await import('../src/services/file-sync.js');
+    const { syncFiles } = await import('../src/services/file-sync.js');
 
     getRepositories.mockResolvedValue(mockRepos);
     shouldProcessRepository.mockResolvedValue(true);
     updateRepositorySettings.mockResolvedValue();
     updateRepositoryCollaborators.mockResolvedValue();
     updateBranchProtection.mockResolvedValue();
-    syncFileContent.mockResolvedValue();
+    syncFiles.mockResolvedValue();
 
     await syncSettings(mockOctokit, mockOrg, mockSettings, mockFilters);
 
@@ -109,7 +139,375 @@ describe('syncSettings', () => {
     expect(updateRepositorySettings).toHaveBeenCalledTimes(2);
     expect(updateRepositoryCollaborators).toHaveBeenCalledTimes(2);
     expect(updateBranchProtection).toHaveBeenCalledTimes(2);
-    expect(syncFileContent).toHaveBeenCalledTimes(2);
+    expect(syncFiles).toHaveBeenCalledTimes(2);
+  });
+
+  it('should return the drift found in each repository', async () => {
+    const mockRepos = [{ name: 'test-repo-1' }, { name: 'test-repo-2' }];
+
+    const { getRepositories } = await import('../src/services/repository.js');
+    const { shouldProcessRepository } = await import('../src/utils/filters.js');
+    const { updateRepositorySettings } = await import('../src/services/repository.js');
+    const { updateRepositoryCollaborators } = await import('../src/services/collaborators.js');
+    const { updateBranchProtection } = await import('../src/services/branch-protection.js');
+    const { syncFiles } = await import('../src/services/file-sync.js');
+
+    getRepositories.mockResolvedValue(mockRepos);
+    shouldProcessRepository.mockResolvedValue(true);
+    updateRepositorySettings.mockResolvedValueOnce({ has_wiki: false }).mockResolvedValueOnce({});
+    updateRepositoryCollaborators
+      .mockResolvedValueOnce([{ username: 'user1', from: 'write', to: 'admin' }])
+      .mockResolvedValueOnce([]);
+    updateBranchProtection
+      .mockResolvedValueOnce({ enforce_admins: true })
+      .mockResolvedValueOnce({});
+    syncFiles
+      .mockResolvedValueOnce([{ path: '.github/workflows/ci.yml', action: 'update' }])
+      .mockResolvedValueOnce([]);
+
+    const result = await syncSettings(mockOctokit, mockOrg, mockSettings, mockFilters, true);
+
+    expect(result).toEqual({
+      org: mockOrg,
+      dryRun: true,
+      total: 2,
+      processed: 2,
+      skipped: 0,
+      repositories: [
+        {
+          repo: 'test-repo-1',
+          status: 'changed',
+          sections: {
+            repository: { status: 'changed', diff: { has_wiki: false } },
+            collaborators: {
+              status: 'changed',
+              diff: [{ username: 'user1', from: 'write', to: 'admin' }],
+            },
+            branch_protection: { status: 'changed', diff: { main: { enforce_admins: true } } },
+            files: {
+              status: 'changed',
+              diff: [{ path: '.github/workflows/ci.yml', action: 'update' }],
+            },
+          },
+        },
+        {
+          repo: 'test-repo-2',
+          status: 'unchanged',
+          sections: {
+            repository: { status: 'unchanged' },
+            collaborators: { status: 'unchanged' },
+            branch_protection: { status: 'unchanged' },
+            files: { status: 'unchanged' },
+          },
+        },
+      ],
+    });
+  });
+
+  it('should capture section failures and continue with other sections', async () => {
+    const mockError = new Error('API Error');
+
+    const { getRepositories } = await import('../src/services/repository.js');
+    const { shouldProcessRepository } = await import('../src/utils/filters.js');
+    const { updateRepositorySettings } = await import('../src/services/repository.js');
+    const { updateRepositoryCollaborators } = await import('../src/services/collaborators.js');
+    const { updateBranchProtection } = await import('../src/services/branch-protection.js');
+    const { syncFiles } = await import('../src/services/file-sync.js');
+
+    getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+    shouldProcessRepository.mockResolvedValue(true);
+    updateRepositorySettings.mockResolvedValue({});
+    updateRepositoryCollaborators.mockRejectedValue(mockError);
+    updateBranchProtection.mockResolvedValue({ enforce_admins: true });
+    syncFiles.mockResolvedValue([]);
+
+    const result = await syncSettings(mockOctokit, mockOrg, mockSettings, mockFilters);
+
+    const [repoResult] = result.repositories;
+    expect(repoResult.status).toBe('failed');
+    expect(repoResult.sections.collaborators.status).toBe('failed');
+    expect(repoResult.sections.collaborators.error).toBeInstanceOf(SectionSyncError);
+    expect(repoResult.sections.collaborators.error).toMatchObject({
+      repo: 'test-repo-1',
+      section: 'collaborators',
+      cause: mockError,
+      message: 'Failed to sync collaborators for test-repo-1: API Error',
+    });
+    expect(repoResult.sections.branch_protection.status).toBe('changed');
+    expect(syncFiles).toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith(
+      '❌ Failed to sync collaborators for test-repo-1: API Error'
+    );
+  });
+
+  it('should process repositories concurrently and keep them in order', async () => {
+    const mockRepos = [{ name: 'test-repo-1' }, { name: 'test-repo-2' }, { name: 'other-repo' }];
+
+    const { getRepositories } = await import('../src/services/repository.js');
+    const { shouldProcessRepository } = await import('../src/utils/filters.js');
+    const { updateRepositorySettings } = await import('../src/services/repository.js');
+
+    getRepositories.mockResolvedValue(mockRepos);
+    shouldProcessRepository.mockImplementation(async (octokit, repo) => repo.name !== 'other-repo');
+    updateRepositorySettings.mockImplementation(async (octokit, org, repo) => {
+      await new Promise((resolve) => setTimeout(resolve, repo === 'test-repo-1' ? 10 : 0));
+      return {};
+    });
+
+    const result = await syncSettings(
+      mockOctokit,
+      mockOrg,
+      { repository: mockSettings.repository },
+      mockFilters,
+      false,
+      { concurrency: 3 }
+    );
+
+    expect(result.repositories.map(({ repo }) => repo)).toEqual(['test-repo-1', 'test-repo-2']);
+    expect(result.skipped).toBe(1);
+  });
+
+  it('should sync topics, security and actions settings when specified', async () => {
+    const { getRepositories } = await import('../src/services/repository.js');
+    const { shouldProcessRepository } = await import('../src/utils/filters.js');
+    const { updateRepositoryTopics } = await import('../src/services/topics.js');
+    const { updateSecuritySettings } = await import('../src/services/security.js');
+    const { updateActionsSettings } = await import('../src/services/actions.js');
+
+    getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+    shouldProcessRepository.mockResolvedValue(true);
+    updateRepositoryTopics.mockResolvedValue({ added: ['catalog'], removed: [] });
+    updateSecuritySettings.mockResolvedValue({});
+    updateActionsSettings.mockRejectedValue(new Error('Forbidden'));
+
+    const topics = { present: ['catalog'] };
+    const security = { secret_scanning: true };
+    const actions = { default_workflow_permissions: 'read' };
+    const result = await syncSettings(
+      mockOctokit,
+      mockOrg,
+      { topics, security, actions },
+      mockFilters,
+      true
+    );
+
+    expect(updateRepositoryTopics).toHaveBeenCalledWith(
+      mockOctokit,
+      mockOrg,
+      'test-repo-1',
+      topics,
+      true
+    );
+    expect(updateSecuritySettings).toHaveBeenCalledWith(
+      mockOctokit,
+      mockOrg,
+      'test-repo-1',
+      security,
+      true
+    );
+    expect(updateActionsSettings).toHaveBeenCalledWith(
+      mockOctokit,
+      mockOrg,
+      'test-repo-1',
+      actions,
+      true
+    );
+    expect(result.repositories[0].sections).toEqual({
+      topics: { status: 'changed', diff: { added: ['catalog'], removed: [] } },
+      security: { status: 'unchanged' },
+      actions: { status: 'failed', error: expect.any(SectionSyncError) },
+    });
+  });
+
+  it('should sync labels with the labels mode', async () => {
+    const { getRepositories } = await import('../src/services/repository.js');
+    const { shouldProcessRepository } = await import('../src/utils/filters.js');
+    const { updateRepositoryLabels } = await import('../src/services/labels.js');
+
+    getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+    shouldProcessRepository.mockResolvedValue(true);
+    updateRepositoryLabels.mockResolvedValue([{ name: 'triage', action: 'create' }]);
+
+    const labels = [{ name: 'triage', color: 'fbca04' }];
+    const result = await syncSettings(
+      mockOctokit,
+      mockOrg,
+      { labels, labels_mode: 'exact' },
+      mockFilters
+    );
+
+    expect(updateRepositoryLabels).toHaveBeenCalledWith(
+      mockOctokit,
+      mockOrg,
+      'test-repo-1',
+      labels,
+      'exact',
+      false
+    );
+    expect(result.repositories[0].sections.labels).toEqual({
+      status: 'changed',
+      diff: [{ name: 'triage', action: 'create' }],
+    });
+  });
+
+  it('should sync collaborators with the collaborators mode and allowlist', async () => {
+    const { getRepositories } = await import('../src/services/repository.js');
+    const { shouldProcessRepository } = await import('../src/utils/filters.js');
+    const { updateRepositoryCollaborators } = await import('../src/services/collaborators.js');
+
+    getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+    shouldProcessRepository.mockResolvedValue(true);
+    updateRepositoryCollaborators.mockResolvedValue([
+      { username: 'user2', from: 'write', to: null },
+    ]);
+
+    const collaborators = [{ username: 'user1', role: 'admin' }];
+    const result = await syncSettings(
+      mockOctokit,
+      mockOrg,
+      { collaborators, collaborators_mode: 'exact', collaborators_allowlist: ['release-bot'] },
+      mockFilters,
+      true
+    );
+
+    expect(updateRepositoryCollaborators).toHaveBeenCalledWith(
+      mockOctokit,
+      mockOrg,
+      'test-repo-1',
+      collaborators,
+      true,
+      { mode: 'exact', allowlist: ['release-bot'] }
+    );
+    expect(result.repositories[0].sections.collaborators).toEqual({
+      status: 'changed',
+      diff: [{ username: 'user2', from: 'write', to: null }],
+    });
+  });
+
+  it('should sync team permissions with the teams mode', async () => {
+    const { getRepositories } = await import('../src/services/repository.js');
+    const { shouldProcessRepository } = await import('../src/utils/filters.js');
+    const { updateRepositoryTeams } = await import('../src/services/teams.js');
+
+    getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+    shouldProcessRepository.mockResolvedValue(true);
+    updateRepositoryTeams.mockResolvedValue([{ team: 'platform', from: null, to: 'admin' }]);
+
+    const teams = { platform: 'admin' };
+    const result = await syncSettings(
+      mockOctokit,
+      mockOrg,
+      { teams, teams_mode: 'exact' },
+      mockFilters
+    );
+
+    expect(updateRepositoryTeams).toHaveBeenCalledWith(
+      mockOctokit,
+      mockOrg,
+      'test-repo-1',
+      teams,
+      'exact',
+      false
+    );
+    expect(result.repositories[0].sections.teams).toEqual({
+      status: 'changed',
+      diff: [{ team: 'platform', from: null, to: 'admin' }],
+    });
+  });
+
+  it('should remove unlisted branch protection in authoritative mode', async () => {
+    const { getRepositories } = await import('../src/services/repository.js');
+    const { shouldProcessRepository } = await import('../src/utils/filters.js');
+    const { removeUnlistedBranchProtection, resolveBranchProtection, updateBranchProtection } =
+      await import('../src/services/branch-protection.js');
+
+    getRepositories.mockResolvedValue([{ name: 'test-repo-1', default_branch: 'main' }]);
+    shouldProcessRepository.mockResolvedValue(true);
+    updateBranchProtection.mockResolvedValue({});
+    removeUnlistedBranchProtection.mockResolvedValue(['legacy']);
+
+    const result = await syncSettings(
+      mockOctokit,
+      mockOrg,
+      {
+        branch_protection: { main: { enforce_admins: true } },
+        branch_protection_mode: 'authoritative',
+      },
+      mockFilters,
+      true
+    );
+
+    expect(resolveBranchProtection).toHaveBeenCalledWith(
+      mockOctokit,
+      mockOrg,
+      'test-repo-1',
+      { main: { enforce_admins: true } },
+      'main'
+    );
+    expect(removeUnlistedBranchProtection).toHaveBeenCalledWith(
+      mockOctokit,
+      mockOrg,
+      'test-repo-1',
+      ['main'],
+      true
+    );
+    expect(result.repositories[0].sections.branch_protection).toEqual({
+      status: 'changed',
+      diff: { legacy: { removed: true } },
+    });
+  });
+
+  it('should sync rulesets when specified', async () => {
+    const { getRepositories } = await import('../src/services/repository.js');
+    const { shouldProcessRepository } = await import('../src/utils/filters.js');
+    const { updateRulesets } = await import('../src/services/rulesets.js');
+
+    getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+    shouldProcessRepository.mockResolvedValue(true);
+    updateRulesets.mockResolvedValue([]);
+
+    const rulesets = { 'protect-main': { enforcement: 'active' } };
+    const result = await syncSettings(mockOctokit, mockOrg, { rulesets }, mockFilters, true);
+
+    expect(updateRulesets).toHaveBeenCalledWith(
+      mockOctokit,
+      mockOrg,
+      'test-repo-1',
+      rulesets,
+      true
+    );
+    expect(result.repositories[0].sections.rulesets).toEqual({ status: 'unchanged' });
+  });
+
+  it('should pass the pull request, template and commit settings to the file sync', async () => {
+    const { getRepositories } = await import('../src/services/repository.js');
+    const { shouldProcessRepository } = await import('../src/utils/filters.js');
+    const { syncFiles } = await import('../src/services/file-sync.js');
+
+    getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+    shouldProcessRepository.mockResolvedValue(true);
+    syncFiles.mockResolvedValue([{ path: '.gitignore', action: 'update' }]);
+
+    const files = [{ path: '.gitignore', localPath: 'templates/.gitignore' }];
+    const pullRequest = { title: 'Sync files', labels: ['chore'] };
+    const result = await syncSettings(
+      mockOctokit,
+      mockOrg,
+      {
+        files,
+        files_pull_request: pullRequest,
+        files_variables: { team: 'platform' },
+        files_commit: { message: 'chore: sync files' },
+      },
+      mockFilters
+    );
+
+    expect(syncFiles).toHaveBeenCalledWith(mockOctokit, mockOrg, 'test-repo-1', files, false, {
+      pullRequest,
+      variables: { team: 'platform' },
+      commit: { message: 'chore: sync files' },
+    });
+    expect(result.repositories[0].sections.files.status).toBe('changed');
   });
 
   it('should skip repositories that do not match filters', async () => {
@@ -130,7 +528,7 @@ describe('syncSettings', () => {
     expect(updateRepositorySettings).not.toHaveBeenCalled();
   });
 
-  it('should handle errors gracefully', async () => {
+  it('should throw a sync error when repositories cannot be listed', async () => {
     const mockError = new Error('Test error');
 
     const { getRepositories } = await import('../src/services/repository.js');
@@ -138,10 +536,14 @@ describe('syncSettings', () => {
 
     const processExitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
 
-    await syncSettings(mockOctokit, mockOrg, mockSettings, mockFilters);
+    const promise = syncSettings(mockOctokit, mockOrg, mockSettings, mockFilters);
 
-    expect(console.error).toHaveBeenCalledWith('❌ Error during sync:', mockError);
-    expect(processExitSpy).toHaveBeenCalledWith(1);
+    await expect(promise).rejects.toThrow(SyncError);
+    await expect(promise).rejects.toMatchObject({
+      message: 'Failed to sync settings for test-org: Test error',
+      cause: mockError,
+    });
+    expect(processExitSpy).not.toHaveBeenCalled();
   });
 
   it('should run in dry-run mode without making changes', async () => {
@@ -152,14 +554,14 @@ describe('syncSettings', () => {
     const { updateRepositorySettings } = await import('../src/services/repository.js');
     const { updateRepositoryCollaborators } = await import('../src/services/collaborators.js');
     const { updateBranchProtection } = await import('../src/services/branch-protection.js');
-    const { syncFileContent } = await import('../src/services/file-sync.js');
+    const { syncFiles } = await import('../src/services/file-sync.js');
 
     getRepositories.mockResolvedValue(mockRepos);
     shouldProcessRepository.mockResolvedValue(true);
     updateRepositorySettings.mockResolvedValue();
     updateRepositoryCollaborators.mockResolvedValue();
     updateBranchProtection.mockResolvedValue();
-    syncFileContent.mockResolvedValue();
+    syncFiles.mockResolvedValue();
 
     await syncSettings(mockOctokit, mockOrg, mockSettings, mockFilters, true);
 
@@ -0,0 +1,495 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import { PlanError } from '../src/errors.js';
+import { applyPlan, createPlan, PLAN_VERSION } from '../src/plan.js';
+import { getActionsState, planActionsSettings } from '../src/services/actions.js';
+import {
+  getBranchProtectionState,
+  planBranchProtection,
+} from '../src/services/branch-protection.js';
+import {
+  getCollaboratorState,
+  planRepositoryCollaborators,
+} from '../src/services/collaborators.js';
+import { commitPlannedFiles, getFileState, planFileSync } from '../src/services/file-sync.js';
+import { planRepositoryLabels } from '../src/services/labels.js';
+import {
+  getRepositories,
+  getRepositoryState,
+  planRepositorySettings,
+} from '../src/services/repository.js';
+import { getRulesetState, planRulesets } from '../src/services/rulesets.js';
+import { getSecurityState, planSecuritySettings } from '../src/services/security.js';
+import { listRepositoryTeams, planRepositoryTeams } from '../src/services/teams.js';
+import { getRepositoryTopics, planRepositoryTopics } from '../src/services/topics.js';
+import { shouldProcessRepository } from '../src/utils/filters.js';
+import { listRepositoryLabels } from '../src/utils/labels.js';
+
+vi.mock('../src/services/actions.js', () => ({
+  getActionsState: vi.fn(),
+  planActionsSettings: vi.fn(),
+}));
+
+vi.mock('../src/services/branch-protection.js', () => ({
+  getBranchProtectionState: vi.fn(),
+  planBranchProtection: vi.fn(),
+}));
+
+vi.mock('../src/services/collaborators.js', () => ({
+  getCollaboratorState: vi.fn(),
+  planRepositoryCollaborators: vi.fn(),
+}));
+
+vi.mock('../src/services/file-sync.js', () => ({
+  commitPlannedFiles: vi.fn(),
+  getFileState: vi.fn(),
+  planFileSync: vi.fn(),
+}));
+
+vi.mock('../src/services/labels.js', () => ({
+  planRepositoryLabels: vi.fn(),
+}));
+
+vi.mock('../src/services/repository.js', () => ({
+  getRepositories: vi.fn(),
+  getRepositoryState: vi.fn(),
+  planRepositorySettings: vi.fn(),
+}));
+
+vi.mock('../src/services/rulesets.js', () => ({
+  getRulesetState: vi.fn(),
+  planRulesets: vi.fn(),
+}));
+
+vi.mock('../src/services/security.js', () => ({
+  getSecurityState: vi.fn(),
+  planSecuritySettings: vi.fn(),
+}));
+
+vi.mock('../src/services/teams.js', () => ({
+  listRepositoryTeams: vi.fn(),
+  planRepositoryTeams: vi.fn(),
+}));
+
+vi.mock('../src/services/topics.js', () => ({
+  getRepositoryTopics: vi.fn(),
+  planRepositoryTopics: vi.fn(),
+}));
+
+vi.mock('../src/utils/filters.js', () => ({
+  shouldProcessRepository: vi.fn(),
+}));
+
+vi.mock('../src/utils/labels.js', () => ({
+  listRepositoryLabels: vi.fn(),
+}));
+
+describe('Plan', () => {
+  const mockOrg = 'test-org';
+  const mockSettings = {
+    repository: { has_wiki: false },
+    collaborators: [{ username: 'user1', role: 'admin' }],
+    branch_protection: { main: { enforce_admins: true } },
+    files: [{ path: '.gitignore', localPath: 'templates/.gitignore' }],
+  };
+  const repositoryUpdate = {
+    method: 'repos.update',
+    params: { owner: mockOrg, repo: 'test-repo-1', has_wiki: false },
+  };
+  const fileUpdate = {
+    method: 'files.commit',
+    params: {
+      owner: mockOrg,
+      repo: 'test-repo-1',
+      changes: [{ path: '.gitignore', action: 'update', content: 'node' }],
+    },
+  };
+  let mockOctokit;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockOctokit = {
+      repos: {
+        update: vi.fn(),
+        delete: vi.fn(),
+      },
+    };
+  });
+
+  describe('createPlan', () => {
+    it('should plan the operations for each matching repository', async () => {
+      getRepositories.mockResolvedValue([
+        { name: 'test-repo-1', default_branch: 'main' },
+        { name: 'test-repo-2', default_branch: 'main' },
+        { name: 'other-repo', default_branch: 'main' },
+      ]);
+      shouldProcessRepository.mockImplementation(
+        async (octokit, repo) => repo.name !== 'other-repo'
+      );
+      planRepositorySettings
+        .mockResolvedValueOnce({ state: { has_wiki: true }, operations: [repositoryUpdate] })
+        .mockResolvedValueOnce({ state: { has_wiki: false }, operations: [] });
+      planRepositoryCollaborators.mockResolvedValue({
+        state: { collaborators: [] },
+        operations: [],
+      });
+      planBranchProtection.mockResolvedValue({ state: {}, operations: [] });
+      planFileSync
+        .mockResolvedValueOnce({ state: { '.gitignore': 'abc123' }, operations: [fileUpdate] })
+        .mockResolvedValueOnce({ state: { '.gitignore': 'def456' }, operations: [] });
+
+      const plan = await createPlan(mockOctokit, mockOrg, mockSettings, {});
+
+      expect(plan).toEqual({
+        version: PLAN_VERSION,
+        org: mockOrg,
+        createdAt: expect.any(String),
+        repositories: [
+          {
+            repo: 'test-repo-1',
+            sections: {
+              repository: { state: { has_wiki: true }, operations: [repositoryUpdate] },
+              files: { state: { '.gitignore': 'abc123' }, operations: [fileUpdate] },
+            },
+          },
+        ],
+      });
+      expect(planRepositorySettings).toHaveBeenCalledWith(
+        mockOctokit,
+        mockOrg,
+        'test-repo-1',
+        mockSettings.repository
+      );
+      expect(planRepositoryCollaborators).toHaveBeenCalledWith(
+        mockOctokit,
+        mockOrg,
+        'test-repo-1',
+        mockSettings.collaborators,
+        { mode: undefined, allowlist: undefined }
+      );
+      expect(planBranchProtection).toHaveBeenCalledWith(
+        mockOctokit,
+        mockOrg,
+        'test-repo-1',
+        mockSettings.branch_protection,
+        { defaultBranch: 'main', mode: undefined }
+      );
+      expect(planFileSync).toHaveBeenCalledTimes(2);
+      expect(planFileSync).toHaveBeenCalledWith(
+        mockOctokit,
+        mockOrg,
+        'test-repo-1',
+        mockSettings.files,
+        { variables: undefined, commit: undefined }
+      );
+    });
+
+    it('should refuse to plan files synchronized through a pull request', async () => {
+      await expect(
+        createPlan(mockOctokit, mockOrg, { files: [], files_pull_request: {} }, {})
+      ).rejects.toThrow(
+        new PlanError('Files synchronized through a pull request cannot be planned')
+      );
+      expect(getRepositories).not.toHaveBeenCalled();
+    });
+
+    it('should only plan the sections in the settings', async () => {
+      getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+      shouldProcessRepository.mockResolvedValue(true);
+      planRepositorySettings.mockResolvedValue({ state: {}, operations: [] });
+
+      const plan = await createPlan(mockOctokit, mockOrg, { repository: {} }, {});
+
+      expect(plan.repositories).toEqual([]);
+      expect(planRepositoryCollaborators).not.toHaveBeenCalled();
+      expect(planBranchProtection).not.toHaveBeenCalled();
+      expect(planFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should plan security settings', async () => {
+      const alertsUpdate = {
+        method: 'repos.enableVulnerabilityAlerts',
+        params: { owner: mockOrg, repo: 'test-repo-1' },
+      };
+      getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+      shouldProcessRepository.mockResolvedValue(true);
+      planSecuritySettings.mockResolvedValue({
+        state: { vulnerability_alerts: false },
+        operations: [alertsUpdate],
+      });
+
+      const security = { vulnerability_alerts: true };
+      const plan = await createPlan(mockOctokit, mockOrg, { security }, {});
+
+      expect(plan.repositories[0].sections).toEqual({
+        security: { state: { vulnerability_alerts: false }, operations: [alertsUpdate] },
+      });
+      expect(planSecuritySettings).toHaveBeenCalledWith(
+        mockOctokit,
+        mockOrg,
+        'test-repo-1',
+        security
+      );
+    });
+
+    it('should plan team permissions with the teams mode', async () => {
+      const teamUpdate = {
+        method: 'teams.addOrUpdateRepoPermissionsInOrg',
+        params: {
+          org: mockOrg,
+          team_slug: 'platform',
+          owner: mockOrg,
+          repo: 'test-repo-1',
+          permission: 'admin',
+        },
+      };
+      getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+      shouldProcessRepository.mockResolvedValue(true);
+      planRepositoryTeams.mockResolvedValue({ state: [], operations: [teamUpdate] });
+
+      const teams = { platform: 'admin' };
+      const plan = await createPlan(mockOctokit, mockOrg, { teams, teams_mode: 'exact' }, {});
+
+      expect(plan.repositories[0].sections).toEqual({
+        teams: { state: [], operations: [teamUpdate] },
+      });
+      expect(planRepositoryTeams).toHaveBeenCalledWith(
+        mockOctokit,
+        mockOrg,
+        'test-repo-1',
+        teams,
+        'exact'
+      );
+    });
+
+    it('should plan actions settings', async () => {
+      getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+      shouldProcessRepository.mockResolvedValue(true);
+      planActionsSettings.mockResolvedValue({ state: { enabled: true }, operations: [] });
+
+      const actions = { enabled: true };
+      const plan = await createPlan(mockOctokit, mockOrg, { actions }, {});
+
+      expect(plan.repositories).toEqual([]);
+      expect(planActionsSettings).toHaveBeenCalledWith(
+        mockOctokit,
+        mockOrg,
+        'test-repo-1',
+        actions
+      );
+    });
+
+    it('should plan labels with the labels mode', async () => {
+      getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+      shouldProcessRepository.mockResolvedValue(true);
+      planRepositoryLabels.mockResolvedValue({ state: [], operations: [] });
+
+      const labels = [{ name: 'triage' }];
+      await createPlan(mockOctokit, mockOrg, { labels, labels_mode: 'exact' }, {});
+
+      expect(planRepositoryLabels).toHaveBeenCalledWith(
+        mockOctokit,
+        mockOrg,
+        'test-repo-1',
+        labels,
+        'exact'
+      );
+    });
+
+    it('should plan rulesets', async () => {
+      getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+      shouldProcessRepository.mockResolvedValue(true);
+      planRulesets.mockResolvedValue({ state: {}, operations: [] });
+
+      const rulesets = { 'protect-main': { enforcement: 'active' } };
+      await createPlan(mockOctokit, mockOrg, { rulesets }, {});
+
+      expect(planRulesets).toHaveBeenCalledWith(mockOctokit, mockOrg, 'test-repo-1', rulesets);
+    });
+
+    it('should plan the replacement of topics', async () => {
+      const topicsUpdate = {
+        method: 'repos.replaceAllTopics',
+        params: { owner: mockOrg, repo: 'test-repo-1', names: ['catalog'] },
+      };
+      getRepositories.mockResolvedValue([{ name: 'test-repo-1' }]);
+      shouldProcessRepository.mockResolvedValue(true);
+      planRepositoryTopics.mockResolvedValue({ state: [], operations: [topicsUpdate] });
+
+      const topics = { exact: ['catalog'] };
+      const plan = await createPlan(mockOctokit, mockOrg, { topics }, {});
+
+      expect(plan.repositories).toEqual([
+        { repo: 'test-repo-1', sections: { topics: { state: [], operations: [topicsUpdate] } } },
+      ]);
+      expect(planRepositoryTopics).toHaveBeenCalledWith(
+        mockOctokit,
+        mockOrg,
+        'test-repo-1',
+        topics
+      );
+    });
+  });
+
+  describe('applyPlan', () => {
+    const plan = {
+      version: PLAN_VERSION,
+      org: mockOrg,
+      repositories: [
+        {
+          repo: 'test-repo-1',
+          sections: {
+            repository: { state: { has_wiki: true }, operations: [repositoryUpdate] },
+            files: { state: { '.gitignore': 'abc123' }, operations: [fileUpdate] },
+          },
+        },
+      ],
+    };
+
+    it('should execute the planned operations when the state has not changed', async () => {
+      getRepositoryState.mockResolvedValue({ has_wiki: true });
+      getFileState.mockResolvedValue({ '.gitignore': 'abc123' });
+
+      const result = await applyPlan(mockOctokit, plan);
+
+      expect(result).toEqual({ applied: ['test-repo-1'], stale: [], failed: [] });
+      expect(getRepositoryState).toHaveBeenCalledWith(mockOctokit, mockOrg, 'test-repo-1', [
+        'has_wiki',
+      ]);
+      expect(getFileState).toHaveBeenCalledWith(mockOctokit, mockOrg, 'test-repo-1', [
+        '.gitignore',
+      ]);
+      expect(mockOctokit.repos.update).toHaveBeenCalledWith(repositoryUpdate.params);
+      expect(commitPlannedFiles).toHaveBeenCalledWith(mockOctokit, fileUpdate);
+    });
+
+    it('should skip repositories that changed since the plan was created', async () => {
+      getRepositoryState.mockResolvedValue({ has_wiki: false });
+      getFileState.mockResolvedValue({ '.gitignore': 'abc123' });
+
+      const result = await applyPlan(mockOctokit, plan);
+
+      expect(result).toEqual({ applied: [], stale: ['test-repo-1'], failed: [] });
+      expect(mockOctokit.repos.update).not.toHaveBeenCalled();
+      expect(commitPlannedFiles).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith(
+        '❌ Skipping test-repo-1 - repository changed since the plan was created'
+      );
+    });
+
+    it('should read the state of the other planned sections', async () => {
+      const state = { collaborators: [{ username: 'user1', role: 'write' }] };
+      getRepositoryTopics.mockResolvedValue(['catalog']);
+      getSecurityState.mockResolvedValue({ secret_scanning: true });
+      getActionsState.mockResolvedValue({ enabled: true });
+      listRepositoryLabels.mockResolvedValue([]);
+      listRepositoryTeams.mockResolvedValue([{ slug: 'platform', permission: 'admin' }]);
+      getRulesetState.mockResolvedValue({ 'protect-main': null });
+      getCollaboratorState.mockResolvedValue(state);
+      getBranchProtectionState.mockResolvedValue({ main: null });
+
+      const result = await applyPlan(mockOctokit, {
+        ...plan,
+        repositories: [
+          {
+            repo: 'test-repo-1',
+            sections: {
+              topics: { state: ['catalog'], operations: [] },
+              security: { state: { secret_scanning: true }, operations: [] },
+              actions: { state: { enabled: true }, operations: [] },
+              labels: { state: [], operations: [] },
+              teams: { state: [{ slug: 'platform', permission: 'admin' }], operations: [] },
+              rulesets: { state: { 'protect-main': null }, operations: [] },
+              collaborators: { state, operations: [] },
+              branch_protection: { state: { main: null }, operations: [] },
+            },
+          },
+        ],
+      });
+
+      expect(result.applied).toEqual(['test-repo-1']);
+      expect(getRulesetState).toHaveBeenCalledWith(mockOctokit, mockOrg, 'test-repo-1', [
+        'protect-main',
+      ]);
+      expect(listRepositoryLabels).toHaveBeenCalledWith(mockOctokit, mockOrg, 'test-repo-1');
+      expect(listRepositoryTeams).toHaveBeenCalledWith(mockOctokit, mockOrg, 'test-repo-1');
+      expect(getActionsState).toHaveBeenCalledWith(mockOctokit, mockOrg, 'test-repo-1', [
+        'enabled',
+      ]);
+      expect(getSecurityState).toHaveBeenCalledWith(mockOctokit, mockOrg, 'test-repo-1', [
+        'secret_scanning',
+      ]);
+      expect(getBranchProtectionState).toHaveBeenCalledWith(mockOctokit, mockOrg, 'test-repo-1', [
+        'main',
+      ]);
+      expect(getCollaboratorState).toHaveBeenCalledWith(mockOctokit, mockOrg, 'test-repo-1', [
+        'collaborators',
+      ]);
+    });
+
+    it('should refuse operations that cannot be planned', async () => {
+      getRepositoryState.mockResolvedValue({ has_wiki: true });
+
+      const result = await applyPlan(mockOctokit, {
+        ...plan,
+        repositories: [
+          {
+            repo: 'test-repo-1',
+            sections: {
+              repository: {
+                state: { has_wiki: true },
+                operations: [{ method: 'repos.delete', params: { owner: mockOrg } }],
+              },
+            },
+          },
+        ],
+      });
+
+      expect(result.failed).toEqual(['test-repo-1']);
+      expect(mockOctokit.repos.delete).not.toHaveBeenCalled();
+    });
+
+    it('should refuse unknown sections', async () => {
+      const result = await applyPlan(mockOctokit, {
+        ...plan,
+        repositories: [
+          { repo: 'test-repo-1', sections: { unknown: { state: {}, operations: [] } } },
+        ],
+      });
+
+      expect(result.failed).toEqual(['test-repo-1']);
+    });
+
+    it('should reject unsupported plan versions', async () => {
+      await expect(applyPlan(mockOctokit, { ...plan, version: 99 })).rejects.toThrow(
+        'Unsupported plan version: 99'
+      );
+    });
+  });
+});
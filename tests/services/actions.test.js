@@ -0,0 +1,240 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import {
+  getActionsState,
+  planActionsSettings,
+  updateActionsSettings,
+} from '../../src/services/actions';
+
+describe('Actions Service', () => {
+  let mockOctokit;
+  const org = 'test-org';
+  const repo = 'test-repo';
+  const params = { owner: org, repo };
+  const retentionRoute = 'PUT /repos/{owner}/{repo}/actions/permissions/artifact-and-log-retention';
+
+  beforeEach(() => {
+    mockOctokit = {
+      actions: {
+        getGithubActionsPermissionsRepository: vi
+          .fn()
+          .mockResolvedValue({ data: { enabled: true, allowed_actions: 'selected' } }),
+        setGithubActionsPermissionsRepository: vi.fn(),
+        getAllowedActionsRepository: vi.fn().mockResolvedValue({
+          data: {
+            github_owned_allowed: true,
+            verified_allowed: false,
+            patterns_allowed: ['test-org/*', 'docker/*'],
+          },
+        }),
+        setAllowedActionsRepository: vi.fn(),
+        getGithubActionsDefaultWorkflowPermissionsRepository: vi.fn().mockResolvedValue({
+          data: { default_workflow_permissions: 'write', can_approve_pull_request_reviews: true },
+        }),
+        setGithubActionsDefaultWorkflowPermissionsRepository: vi.fn(),
+      },
+      request: vi.fn().mockResolvedValue({ data: { days: 90, maximum_allowed_days: 400 } }),
+    };
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('getActionsState', () => {
+    it('should read each requested setting', async () => {
+      const state = await getActionsState(mockOctokit, org, repo, [
+        'enabled',
+        'selected_actions',
+        'default_workflow_permissions',
+        'artifact_and_log_retention_days',
+      ]);
+
+      expect(state).toEqual({
+        enabled: true,
+        selected_actions: {
+          github_owned_allowed: true,
+          verified_allowed: false,
+          patterns_allowed: ['test-org/*', 'docker/*'],
+        },
+        default_workflow_permissions: 'write',
+        artifact_and_log_retention_days: 90,
+      });
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'GET /repos/{owner}/{repo}/actions/permissions/artifact-and-log-retention',
+        params
+      );
+    });
+
+    it('should only call the endpoints for the requested settings', async () => {
+      await getActionsState(mockOctokit, org, repo, ['can_approve_pull_request_reviews']);
+
+      expect(mockOctokit.actions.getGithubActionsPermissionsRepository).not.toHaveBeenCalled();
+      expect(mockOctokit.request).not.toHaveBeenCalled();
+    });
+
+    it('should not read selected actions unless the policy is selected', async () => {
+      mockOctokit.actions.getGithubActionsPermissionsRepository.mockResolvedValue({
+        data: { enabled: false },
+      });
+
+      const state = await getActionsState(mockOctokit, org, repo, [
+        'allowed_actions',
+        'selected_actions',
+      ]);
+
+      expect(state).toEqual({ allowed_actions: null, selected_actions: null });
+      expect(mockOctokit.actions.getAllowedActionsRepository).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('planActionsSettings', () => {
+    it('should plan the updates of each changed group', async () => {
+      const plan = await planActionsSettings(mockOctokit, org, repo, {
+        allowed_actions: 'selected',
+        selected_actions: { patterns_allowed: ['docker/*', 'test-org/*'] },
+        default_workflow_permissions: 'read',
+        can_approve_pull_request_reviews: false,
+        artifact_and_log_retention_days: 30,
+      });
+
+      expect(plan.operations).toEqual([
+        {
+          method: 'actions.setGithubActionsDefaultWorkflowPermissionsRepository',
+          params: {
+            ...params,
+            default_workflow_permissions: 'read',
+            can_approve_pull_request_reviews: false,
+          },
+        },
+        {
+          method: 'actions.setArtifactAndLogRetentionRepository',
+          params: { ...params, days: 30 },
+        },
+      ]);
+    });
+
+    it('should set the policy before the selected actions', async () => {
+      mockOctokit.actions.getGithubActionsPermissionsRepository.mockResolvedValue({
+        data: { enabled: true, allowed_actions: 'all' },
+      });
+
+      const plan = await planActionsSettings(mockOctokit, org, repo, {
+        allowed_actions: 'selected',
+        selected_actions: { github_owned_allowed: true },
+      });
+
+      expect(plan.operations).toEqual([
+        {
+          method: 'actions.setGithubActionsPermissionsRepository',
+          params: { ...params, enabled: true, allowed_actions: 'selected' },
+        },
+        {
+          method: 'actions.setAllowedActionsRepository',
+          params: { ...params, github_owned_allowed: true },
+        },
+      ]);
+    });
+
+    it('should reject invalid settings', async () => {
+      await expect(planActionsSettings(mockOctokit, org, repo, { runners: 1 })).rejects.toThrow(
+        'Unknown actions setting: runners'
+      );
+      await expect(
+        planActionsSettings(mockOctokit, org, repo, { enabled: false, allowed_actions: 'all' })
+      ).rejects.toThrow('Actions settings cannot be combined with enabled: false');
+      await expect(
+        planActionsSettings(mockOctokit, org, repo, { selected_actions: {} })
+      ).rejects.toThrow('Actions selected_actions requires allowed_actions: selected');
+    });
+  });
+
+  describe('updateActionsSettings', () => {
+    it('should update the settings that differ in live mode', async () => {
+      const diff = await updateActionsSettings(mockOctokit, org, repo, {
+        enabled: false,
+      });
+
+      expect(diff).toEqual({ enabled: false });
+      expect(mockOctokit.actions.setGithubActionsPermissionsRepository).toHaveBeenCalledWith({
+        ...params,
+        enabled: false,
+      });
+      expect(console.log).toHaveBeenCalledWith(
+        '✅ Successfully updated actions settings for test-repo'
+      );
+    });
+
+    it('should update the retention through the request route', async () => {
+      await updateActionsSettings(mockOctokit, org, repo, {
+        artifact_and_log_retention_days: 14,
+      });
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(retentionRoute, { ...params, days: 14 });
+    });
+
+    it('should log changes in dry run mode without making API calls', async () => {
+      const diff = await updateActionsSettings(
+        mockOctokit,
+        org,
+        repo,
+        { default_workflow_permissions: 'read' },
+        true
+      );
+
+      expect(diff).toEqual({ default_workflow_permissions: 'read' });
+      expect(
+        mockOctokit.actions.setGithubActionsDefaultWorkflowPermissionsRepository
+      ).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(
+        '🔍 Would update actions settings for test-repo:',
+        diff
+      );
+    });
+
+    it('should skip update if settings match', async () => {
+      const diff = await updateActionsSettings(mockOctokit, org, repo, {
+        enabled: true,
+        allowed_actions: 'selected',
+        selected_actions: { verified_allowed: false },
+      });
+
+      expect(diff).toEqual({});
+      expect(console.log).toHaveBeenCalledWith(
+        '⏭️ Skipping actions settings for test-repo - settings match'
+      );
+    });
+
+    it('should throw API errors', async () => {
+      mockOctokit.actions.getGithubActionsPermissionsRepository.mockRejectedValue(
+        new Error('API Error')
+      );
+
+      await expect(
+        updateActionsSettings(mockOctokit, org, repo, { enabled: true })
+      ).rejects.toThrow('API Error');
+    });
+  });
+});
@@ -24,23 +24,617 @@
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 
-import { updateBranchProtection } from '../../src/services/branch-protection';
+import {
+  getBranchProtection,
+  getBranchProtectionDiff,
+  getBranchProtectionState,
+  normalizeBranchProtection,
+  planBranchProtection,
+  removeUnlistedBranchProtection,
+  resolveBranchProtection,
+  toBranchProtectionInput,
+  updateBranchProtection,
+} from '../../src/services/branch-protection';
 
 describe('Branch Protection Service', () => {
   let mockOctokit;
   const org = 'test-org';
   const repo = 'test-repo';
   const branch = 'main';
+  const requiredNulls = {
+    required_status_checks: null,
+    required_pull_request_reviews: null,
+    restrictions: null,
+    enforce_admins: null,
+  };
 
   beforeEach(() => {
     // Reset mocks before each test
     mockOctokit = {
       repos: {
+        listBranches: vi.fn().mockResolvedValue({
+          data: [{ name: 'main' }, { name: 'develop' }, { name: 'release/1.0' }],
+        }),
+        getBranchProtection: vi.fn().mockRejectedValue({ status: 404 }),
         updateBranchProtection: vi.fn(),
+        deleteBranchProtection: vi.fn(),
       },
     };
   });
 
+  describe('getBranchProtection', () => {
+    it('should fetch the current branch protection', async () => {
+      const protection = { enforce_admins: { enabled: true } };
+      mockOctokit.repos.getBranchProtection.mockResolvedValueOnce({ data: protection });
+
+      const result = await getBranchProtection(mockOctokit, org, repo, branch);
+
+      expect(result).toEqual(protection);
+      expect(mockOctokit.repos.getBranchProtection).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        branch,
+      });
+    });
+
+    it('should return null for unprotected branches', async () => {
+      mockOctokit.repos.getBranchProtection.mockRejectedValueOnce({ status: 404 });
+
+      const result = await getBranchProtection(mockOctokit, org, repo, branch);
+
+      expect(result).toBeNull();
+    });
+
+    it('should handle API errors', async () => {
+      const error = new Error('API Error');
+      mockOctokit.repos.getBranchProtection.mockRejectedValueOnce(error);
+
+      await expect(getBranchProtection(mockOctokit, org, repo, branch)).rejects.toThrow(
+        'API Error'
+      );
+    });
+  });
+
+  describe('normalizeBranchProtection', () => {
+    it('should convert the response to the update shape', () => {
+      const protection = {
+        url: 'https://api.github.com/repos/test-org/test-repo/branches/main/protection',
+        required_status_checks: {
+          url: 'https://api.github.com/repos/test-org/test-repo/branches/main/protection/required_status_checks',
+          strict: true,
+          contexts: ['ci/build'],
+          checks: [{ context: 'ci/build', app_id: null }],
+        },
+        required_pull_request_reviews: {
+          dismiss_stale_reviews: true,
+          required_approving_review_count: 2,
+          dismissal_restrictions: {
+            users: [{ login: 'user1', id: 1 }],
+            teams: [{ slug: 'team1', id: 2 }],
+            apps: [],
+          },
+        },
+        restrictions: {
+          users: [],
+          teams: [{ slug: 'team1', id: 2 }],
+          apps: [{ slug: 'app1', id: 3 }],
+        },
+        enforce_admins: { url: 'https://api.github.com/...', enabled: true },
+        allow_force_pushes: { enabled: false },
+        required_linear_history: { enabled: true },
+      };
+
+      expect(normalizeBranchProtection(protection)).toEqual({
+        required_status_checks: {
+          strict: true,
+          contexts: ['ci/build'],
+          checks: [{ context: 'ci/build', app_id: null }],
+        },
+        required_pull_request_reviews: {
+          dismiss_stale_reviews: true,
+          require_code_owner_reviews: false,
+          required_approving_review_count: 2,
+          require_last_push_approval: false,
+          dismissal_restrictions: { users: ['user1'], teams: ['team1'], apps: [] },
+          bypass_pull_request_allowances: { users: [], teams: [], apps: [] },
+        },
+        restrictions: { users: [], teams: ['team1'], apps: ['app1'] },
+        enforce_admins: true,
+        required_linear_history: true,
+        allow_force_pushes: false,
+        allow_deletions: false,
+        block_creations: false,
+        required_conversation_resolution: false,
+        lock_branch: false,
+        allow_fork_syncing: false,
+      });
+    });
+
+    it('should fill nulls for missing protection sections', () => {
+      expect(normalizeBranchProtection({ enforce_admins: { enabled: false } })).toMatchObject({
+        required_status_checks: null,
+        required_pull_request_reviews: null,
+        restrictions: null,
+        enforce_admins: false,
+      });
+      expect(normalizeBranchProtection(null)).toBeNull();
+    });
+  });
+
+  describe('toBranchProtectionInput', () => {
+    it('should translate the documented shorthand to the update shape', () => {
+      expect(
+        toBranchProtectionInput(branch, {
+          enforce_admins: true,
+          strict: true,
+          contexts: ['ci/build'],
+          required_approving_review_count: 2,
+          dismiss_stale_reviews: true,
+          bypass_pull_request_allowances: ['octocat', '@test-org/admins', 'app/renovate'],
+          restrictions: ['test-org/maintainers'],
+          allow_force_pushes: false,
+        })
+      ).toEqual({
+        enforce_admins: true,
+        required_status_checks: { strict: true, contexts: ['ci/build'] },
+        required_pull_request_reviews: {
+          required_approving_review_count: 2,
+          dismiss_stale_reviews: true,
+          bypass_pull_request_allowances: {
+            users: ['octocat'],
+            teams: ['admins'],
+            apps: ['renovate'],
+          },
+        },
+        restrictions: { users: [], teams: ['maintainers'], apps: [] },
+        allow_force_pushes: false,
+      });
+    });
+
+    it('should accept enabled sections and lists of contexts', () => {
+      expect(
+        toBranchProtectionInput(branch, {
+          required_status_checks: ['ci/build'],
+          required_pull_request_reviews: true,
+        })
+      ).toEqual({
+        required_status_checks: { strict: false, contexts: ['ci/build'] },
+        required_pull_request_reviews: {},
+        restrictions: null,
+        enforce_admins: null,
+      });
+    });
+
+    it('should keep settings already in the update shape', () => {
+      const settings = {
+        required_status_checks: {
+          strict: true,
+          contexts: ['ci/build'],
+          checks: [{ context: 'ci/build', app_id: 15368 }],
+        },
+        enforce_admins: false,
+        required_pull_request_reviews: {
+          required_approving_review_count: 1,
+          dismissal_restrictions: { users: ['octocat'], teams: [], apps: [] },
+        },
+        restrictions: { users: [], teams: ['admins'], apps: [] },
+      };
+
+      expect(toBranchProtectionInput(branch, settings)).toEqual(settings);
+    });
+
+    it('should default the lists left out of users, teams and apps to empty', () => {
+      const input = toBranchProtectionInput(branch, {
+        restrictions: { users: ['octocat'] },
+        bypass_pull_request_allowances: { teams: ['admins'] },
+      });
+
+      expect(input.restrictions).toEqual({ users: ['octocat'], teams: [], apps: [] });
+      expect(input.required_pull_request_reviews.bypass_pull_request_allowances).toEqual({
+        users: [],
+        teams: ['admins'],
+        apps: [],
+      });
+    });
+
+    it('should derive contexts from checks', () => {
+      const checks = [{ context: 'ci/build', app_id: 15368 }];
+
+      expect(
+        toBranchProtectionInput(branch, { required_status_checks: { checks } })
+          .required_status_checks
+      ).toEqual({ strict: false, contexts: ['ci/build'], checks });
+    });
+
+    it.each([
+      [{ enforce_admin: true }, 'unknown setting enforce_admin'],
+      [{ allow_deletions: 'no' }, 'allow_deletions must be true or false'],
+      [
+        { required_status_checks: 'ci/build' },
+        'required_status_checks must be true, false, null or an object',
+      ],
+      [
+        { required_status_checks: false, strict: true },
+        'strict cannot be set when required_status_checks is disabled',
+      ],
+      [{ strict: 'yes' }, 'strict must be true or false'],
+      [{ required_status_checks: { checks: 'ci/build' } }, 'checks must be a list'],
+      [{ contexts: [1] }, 'contexts must be a list of status check names'],
+      [
+        { required_approving_review_count: 7 },
+        'required_approving_review_count must be a whole number from 0 to 6',
+      ],
+      [
+        { required_pull_request_reviews: { reviewers: 2 } },
+        'unknown setting required_pull_request_reviews.reviewers',
+      ],
+      [{ dismiss_stale_reviews: 1 }, 'dismiss_stale_reviews must be true or false'],
+      [
+        { restrictions: [{ login: 'octocat' }] },
+        'restrictions must only contain user, team or app names',
+      ],
+      [
+        { restrictions: { members: ['octocat'] } },
+        'restrictions must be a list of names or an object with users, teams and apps',
+      ],
+    ])('should reject invalid settings %j', (settings, message) => {
+      expect(() => toBranchProtectionInput(branch, settings)).toThrow(
+        `Invalid branch protection for main: ${message}`
+      );
+    });
+  });
+
+  describe('getBranchProtectionDiff', () => {
+    it('should return all settings when the branch is not protected', () => {
+      const settings = { enforce_admins: true, restrictions: null };
+
+      expect(getBranchProtectionDiff(null, settings)).toEqual({
+        enforce_admins: { from: null, to: true },
+      });
+    });
+
+    it('should ignore unmanaged settings and the order of arrays', () => {
+      const current = normalizeBranchProtection({
+        enforce_admins: { enabled: true },
+        required_status_checks: { strict: true, contexts: ['ci/test', 'ci/build'], checks: [] },
+        restrictions: { users: [{ login: 'user1' }], teams: [{ slug: 'team1' }], apps: [] },
+        required_linear_history: { enabled: true },
+      });
+      const settings = {
+        enforce_admins: true,
+        allow_force_pushes: false,
+        required_status_checks: { strict: true, contexts: ['ci/build', 'ci/test'] },
+        restrictions: { users: ['user1'], teams: ['team1'] },
+        required_pull_request_reviews: null,
+      };
+
+      expect(getBranchProtectionDiff(current, settings)).toEqual({});
+    });
+
+    it('should match a protection applied from settings that leave out enforce_admins', () => {
+      const input = toBranchProtectionInput(branch, {
+        required_approving_review_count: 1,
+        contexts: ['ci'],
+        allow_force_pushes: null,
+      });
+      const current = normalizeBranchProtection({
+        required_status_checks: {
+          strict: false,
+          contexts: ['ci'],
+          checks: [{ context: 'ci', app_id: null }],
+        },
+        required_pull_request_reviews: {
+          dismiss_stale_reviews: false,
+          require_code_owner_reviews: false,
+          required_approving_review_count: 1,
+          require_last_push_approval: false,
+        },
+        enforce_admins: { enabled: false },
+        allow_force_pushes: { enabled: false },
+        allow_deletions: { enabled: false },
+      });
+
+      expect(input.enforce_admins).toBeNull();
+      expect(getBranchProtectionDiff(current, input)).toEqual({});
+    });
+
+    it('should match status checks on the fields they give', () => {
+      const current = normalizeBranchProtection({
+        required_status_checks: {
+          strict: false,
+          contexts: ['ci', 'lint'],
+          checks: [
+            { context: 'ci', app_id: null },
+            { context: 'lint', app_id: 15368 },
+          ],
+        },
+      });
+
+      expect(
+        getBranchProtectionDiff(current, {
+          required_status_checks: { checks: [{ context: 'lint' }, { context: 'ci' }] },
+        })
+      ).toEqual({});
+      expect(
+        getBranchProtectionDiff(current, {
+          required_status_checks: {
+            checks: [{ context: 'ci' }, { context: 'lint', app_id: 42 }],
+          },
+        })
+      ).toEqual({
+        'required_status_checks.checks': {
+          from: current.required_status_checks.checks,
+          to: [{ context: 'ci' }, { context: 'lint', app_id: 42 }],
+        },
+      });
+    });
+
+    it('should return the fields that differ', () => {
+      const current = normalizeBranchProtection({
+        enforce_admins: { enabled: false },
+        required_status_checks: { strict: true, contexts: ['ci/build'] },
+        required_pull_request_reviews: { required_approving_review_count: 1 },
+      });
+      const settings = {
+        enforce_admins: true,
+        required_status_checks: { strict: true, contexts: ['ci/build'] },
+        required_pull_request_reviews: {
+          required_approving_review_count: 2,
+          dismissal_restrictions: { teams: ['team1'] },
+        },
+        restrictions: { users: [], teams: ['team1'] },
+      };
+
+      expect(getBranchProtectionDiff(current, settings)).toEqual({
+        enforce_admins: { from: false, to: true },
+        'required_pull_request_reviews.required_approving_review_count': { from: 1, to: 2 },
+        'required_pull_request_reviews.dismissal_restrictions.teams': { from: [], to: ['team1'] },
+        restrictions: { from: null, to: { users: [], teams: ['team1'] } },
+      });
+    });
+  });
+
+  describe('resolveBranchProtection', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('should resolve the default branch alias', async () => {
+      const resolved = await resolveBranchProtection(
+        mockOctokit,
+        org,
+        repo,
+        { $default: { enforce_admins: true } },
+        'develop'
+      );
+
+      expect(resolved).toEqual({ develop: { ...requiredNulls, enforce_admins: true } });
+    });
+
+    it('should expand patterns and let named branches take precedence', async () => {
+      mockOctokit.repos.listBranches.mockResolvedValue({
+        data: [
+          { name: 'main' },
+          { name: 'release/1.0' },
+          { name: 'release/2.0' },
+          { name: 'release/2.0/hotfix' },
+        ],
+      });
+
+      const resolved = await resolveBranchProtection(mockOctokit, org, repo, {
+        'release/2.0': { enforce_admins: false },
+        'release/*': { enforce_admins: true },
+        'hotfix/**': { enforce_admins: true },
+      });
+
+      expect(resolved).toEqual({
+        'release/1.0': { ...requiredNulls, enforce_admins: true },
+        'release/2.0': { ...requiredNulls, enforce_admins: false },
+      });
+      expect(console.log).toHaveBeenCalledWith(
+        `⏭️ Skipping branch protection for hotfix/** in ${repo} - no branches match`
+      );
+    });
+
+    it('should skip branches that do not exist', async () => {
+      const resolved = await resolveBranchProtection(mockOctokit, org, repo, {
+        main: { enforce_admins: true },
+        master: { enforce_admins: true },
+      });
+
+      expect(resolved).toEqual({ main: { ...requiredNulls, enforce_admins: true } });
+      expect(console.log).toHaveBeenCalledWith(
+        `⏭️ Skipping branch protection for master in ${repo} - branch does not exist`
+      );
+    });
+
+    it('should validate the settings before reading the branches', async () => {
+      await expect(
+        resolveBranchProtection(mockOctokit, org, repo, { main: { enforce_admin: true } })
+      ).rejects.toThrow('Invalid branch protection for main: unknown setting enforce_admin');
+      expect(mockOctokit.repos.listBranches).not.toHaveBeenCalled();
+    });
+
+    it('should fetch branches beyond the first page', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({ name: `feature/${i}` }));
+      mockOctokit.repos.listBranches
+        .mockResolvedValueOnce({ data: firstPage })
+        .mockResolvedValueOnce({ data: [{ name: 'main' }] });
+
+      const resolved = await resolveBranchProtection(mockOctokit, org, repo, {
+        main: { enforce_admins: true },
+      });
+
+      expect(resolved).toEqual({ main: { ...requiredNulls, enforce_admins: true } });
+      expect(mockOctokit.repos.listBranches).toHaveBeenLastCalledWith({
+        owner: org,
+        repo,
+        per_page: 100,
+        page: 2,
+      });
+    });
+  });
+
+  describe('getBranchProtectionState', () => {
+    it('should fetch the protection of each branch', async () => {
+      mockOctokit.repos.getBranchProtection
+        .mockResolvedValueOnce({ data: { enforce_admins: { enabled: true } } })
+        .mockRejectedValueOnce({ status: 404 });
+
+      const state = await getBranchProtectionState(mockOctokit, org, repo, ['main', 'develop']);
+
+      expect(state).toEqual({
+        main: expect.objectContaining({ enforce_admins: true, restrictions: null }),
+        develop: null,
+      });
+    });
+  });
+
+  describe('planBranchProtection', () => {
+    it('should plan updates for the branches whose protection differs', async () => {
+      mockOctokit.repos.getBranchProtection
+        .mockResolvedValueOnce({ data: { enforce_admins: { enabled: true } } })
+        .mockRejectedValueOnce({ status: 404 });
+
+      const plan = await planBranchProtection(
+        mockOctokit,
+        org,
+        repo,
+        { main: { enforce_admins: true }, develop: { enforce_admins: false } },
+        { defaultBranch: 'main' }
+      );
+
+      expect(plan).toEqual({
+        state: { main: expect.objectContaining({ enforce_admins: true }), develop: null },
+        operations: [
+          {
+            method: 'repos.updateBranchProtection',
+            params: {
+              owner: org,
+              repo,
+              branch: 'develop',
+              ...requiredNulls,
+              enforce_admins: false,
+            },
+          },
+        ],
+      });
+      expect(mockOctokit.repos.updateBranchProtection).not.toHaveBeenCalled();
+    });
+
+    it('should plan the removal of unlisted protection in authoritative mode', async () => {
+      mockOctokit.repos.listBranches
+        .mockResolvedValueOnce({ data: [{ name: 'main' }, { name: 'legacy' }] })
+        .mockResolvedValueOnce({ data: [{ name: 'main' }, { name: 'legacy' }] });
+      mockOctokit.repos.getBranchProtection
+        .mockResolvedValueOnce({ data: { enforce_admins: { enabled: false } } })
+        .mockResolvedValueOnce({ data: { enforce_admins: { enabled: true } } });
+
+      const plan = await planBranchProtection(
+        mockOctokit,
+        org,
+        repo,
+        { main: { enforce_admins: true } },
+        { defaultBranch: 'main', mode: 'authoritative' }
+      );
+
+      expect(Object.keys(plan.state)).toEqual(['main', 'legacy']);
+      expect(plan.operations).toEqual([
+        {
+          method: 'repos.deleteBranchProtection',
+          params: { owner: org, repo, branch: 'legacy' },
+        },
+      ]);
+    });
+    it('should not plan the removal of branches protected only by a ruleset', async () => {
+      mockOctokit.repos.listBranches
+        .mockResolvedValueOnce({ data: [{ name: 'main' }, { name: 'ruleset' }] })
+        .mockResolvedValueOnce({ data: [{ name: 'main' }, { name: 'ruleset' }] });
+      mockOctokit.repos.getBranchProtection
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { enforce_admins: { enabled: true } } });
+
+      const plan = await planBranchProtection(
+        mockOctokit,
+        org,
+        repo,
+        { main: { enforce_admins: true } },
+        { defaultBranch: 'main', mode: 'authoritative' }
+      );
+
+      expect(Object.keys(plan.state)).toEqual(['main']);
+      expect(plan.operations).toEqual([]);
+    });
+  });
+
+  describe('removeUnlistedBranchProtection', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      mockOctokit.repos.listBranches.mockResolvedValue({
+        data: [{ name: 'main' }, { name: 'legacy' }],
+      });
+      mockOctokit.repos.getBranchProtection.mockResolvedValue({
+        data: { enforce_admins: { enabled: true } },
+      });
+    });
+
+    it('should remove the protection of protected branches not in the settings', async () => {
+      const removed = await removeUnlistedBranchProtection(mockOctokit, org, repo, ['main']);
+
+      expect(removed).toEqual(['legacy']);
+      expect(mockOctokit.repos.listBranches).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        protected: true,
+        per_page: 100,
+        page: 1,
+      });
+      expect(mockOctokit.repos.deleteBranchProtection).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        branch: 'legacy',
+      });
+      expect(console.log).toHaveBeenCalledWith(
+        `✅ Removed branch protection for legacy in ${repo}`
+      );
+    });
+
+    it('should skip branches protected only by a ruleset', async () => {
+      mockOctokit.repos.getBranchProtection.mockRejectedValue({ status: 404 });
+
+      const removed = await removeUnlistedBranchProtection(mockOctokit, org, repo, ['main'], true);
+
+      expect(removed).toEqual([]);
+      expect(mockOctokit.repos.getBranchProtection).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        branch: 'legacy',
+      });
+      expect(console.log).not.toHaveBeenCalled();
+    });
+
+    it('should skip protection that is already removed', async () => {
+      mockOctokit.repos.deleteBranchProtection.mockRejectedValueOnce({ status: 404 });
+
+      const removed = await removeUnlistedBranchProtection(mockOctokit, org, repo, ['main']);
+
+      expect(removed).toEqual([]);
+      expect(console.log).toHaveBeenCalledWith(
+        `⏭️ Skipping branch protection for legacy in ${repo} - already removed`
+      );
+    });
+
+    it('should log removals in dry run mode without making API calls', async () => {
+      const removed = await removeUnlistedBranchProtection(mockOctokit, org, repo, ['main'], true);
+
+      expect(removed).toEqual(['legacy']);
+      expect(mockOctokit.repos.deleteBranchProtection).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(
+        `🔍 Would remove branch protection for legacy in ${repo}`
+      );
+    });
+  });
+
   describe('updateBranchProtection', () => {
     it('should update branch protection settings in live mode', async () => {
       const settings = {
@@ -57,6 +651,7 @@ describe('Branch Protection Service', () => {
         restrictions: {
           users: ['user1'],
           teams: ['team1'],
+          apps: [],
         },
         allow_force_pushes: false,
         allow_deletions: false,
@@ -65,8 +660,13 @@ describe('Branch Protection Service', () => {
       const consoleSpy = vi.spyOn(console, 'log');
       const errorSpy = vi.spyOn(console, 'error');
 
-      await updateBranchProtection(mockOctokit, org, repo, branch, settings);
+      const diff = await updateBranchProtection(mockOctokit, org, repo, branch, settings);
 
+      expect(diff).toEqual(
+        Object.fromEntries(
+          Object.entries(settings).map(([key, value]) => [key, { from: null, to: value }])
+        )
+      );
       expect(mockOctokit.repos.updateBranchProtection).toHaveBeenCalledWith({
         owner: org,
         repo,
@@ -79,6 +679,29 @@ describe('Branch Protection Service', () => {
       expect(errorSpy).not.toHaveBeenCalled();
     });
 
+    it('should not update the protection in live mode when it matches', async () => {
+      mockOctokit.repos.getBranchProtection.mockResolvedValueOnce({
+        data: {
+          enforce_admins: { enabled: true },
+          required_pull_request_reviews: {
+            required_approving_review_count: 1,
+            bypass_pull_request_allowances: { users: [], teams: [{ slug: 'admins' }], apps: [] },
+          },
+        },
+      });
+
+      const diff = await updateBranchProtection(mockOctokit, org, repo, branch, {
+        enforce_admins: true,
+        required_pull_request_reviews: {
+          required_approving_review_count: 1,
+          bypass_pull_request_allowances: { teams: ['admins'] },
+        },
+      });
+
+      expect(diff).toEqual({});
+      expect(mockOctokit.repos.updateBranchProtection).not.toHaveBeenCalled();
+    });
+
     it('should log changes in dry run mode without making API calls', async () => {
       const settings = {
         enforce_admins: true,
@@ -87,21 +710,44 @@ describe('Branch Protection Service', () => {
           contexts: ['ci/build'],
         },
       };
+      mockOctokit.repos.getBranchProtection.mockResolvedValueOnce({
+        data: {
+          enforce_admins: { enabled: false },
+          required_status_checks: { strict: true, contexts: ['ci/build'] },
+        },
+      });
 
       const consoleSpy = vi.spyOn(console, 'log');
       const errorSpy = vi.spyOn(console, 'error');
 
-      await updateBranchProtection(mockOctokit, org, repo, branch, settings, true);
+      const diff = await updateBranchProtection(mockOctokit, org, repo, branch, settings, true);
 
+      expect(diff).toEqual({ enforce_admins: { from: false, to: true } });
       expect(mockOctokit.repos.updateBranchProtection).not.toHaveBeenCalled();
       expect(consoleSpy).toHaveBeenCalledWith(
         `🔍 Would update branch protection for ${branch} in ${repo}:`,
-        settings
+        diff
       );
       expect(errorSpy).not.toHaveBeenCalled();
     });
 
-    it('should handle API errors gracefully', async () => {
+    it('should report no changes in dry run mode when protection matches', async () => {
+      const settings = { enforce_admins: true };
+      mockOctokit.repos.getBranchProtection.mockResolvedValueOnce({
+        data: { enforce_admins: { enabled: true } },
+      });
+
+      const consoleSpy = vi.spyOn(console, 'log');
+
+      const diff = await updateBranchProtection(mockOctokit, org, repo, branch, settings, true);
+
+      expect(diff).toEqual({});
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `⏭️ Skipping branch protection for ${branch} in ${repo} - settings match`
+      );
+    });
+
+    it('should throw API errors', async () => {
       const settings = {
         enforce_admins: true,
       };
@@ -110,16 +756,13 @@ describe('Branch Protection Service', () => {
       mockOctokit.repos.updateBranchProtection.mockRejectedValueOnce(error);
 
       const consoleSpy = vi.spyOn(console, 'log');
-      const errorSpy = vi.spyOn(console, 'error');
 
-      await updateBranchProtection(mockOctokit, org, repo, branch, settings);
+      await expect(
+        updateBranchProtection(mockOctokit, org, repo, branch, settings)
+      ).rejects.toThrow('API Error');
 
       expect(mockOctokit.repos.updateBranchProtection).toHaveBeenCalled();
       expect(consoleSpy).not.toHaveBeenCalled();
-      expect(errorSpy).toHaveBeenCalledWith(
-        `❌ Failed to update branch protection for ${repo}:`,
-        error
-      );
     });
 
     it('should handle minimal settings', async () => {
@@ -136,7 +779,8 @@ describe('Branch Protection Service', () => {
         owner: org,
         repo,
         branch,
-        ...settings,
+        ...requiredNulls,
+        enforce_admins: true,
       });
       expect(consoleSpy).toHaveBeenCalledWith(
         `✅ Successfully updated branch protection for ${branch} in ${repo}`
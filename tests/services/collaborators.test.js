@@ -21,11 +21,12 @@
  * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
  * SOFTWARE.
  */
-
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 
 import {
+  getCollaboratorState,
   getRepositoryCollaborators,
+  planRepositoryCollaborators,
   updateRepositoryCollaborators,
 } from '../../src/services/collaborators';
 
@@ -34,49 +35,201 @@ describe('Collaborators Service', () => {
   const org = 'test-org';
   const repo = 'test-repo';
 
+  /**
+   * Mocks the collaborators returned for each affiliation.
+   *
+   * @param {Object} collaborators - The collaborators by affiliation
+   * @param {Array<Object>} [collaborators.all] - All collaborators
+   * @param {Array<Object>} [collaborators.direct] - The direct collaborators
+   * @param {Array<Object>} [collaborators.outside] - The outside collaborators
+   */
+  function mockCollaborators({ all = [], direct = [], outside = [] }) {
+    const byAffiliation = { all, direct, outside };
+    mockOctokit.repos.listCollaborators.mockImplementation(async ({ affiliation }) => ({
+      data: byAffiliation[affiliation],
+    }));
+  }
+
   beforeEach(() => {
     mockOctokit = {
       repos: {
-        listCollaborators: vi.fn(),
+        listCollaborators: vi.fn(async () => ({ data: [] })),
         addCollaborator: vi.fn(),
+        removeCollaborator: vi.fn(),
+        listInvitations: vi.fn(async () => ({ data: [] })),
+        updateInvitation: vi.fn(),
+        deleteInvitation: vi.fn(),
       },
     };
     vi.clearAllMocks();
   });
 
   describe('getRepositoryCollaborators', () => {
-    it('should fetch all collaborators for a repository', async () => {
-      const mockCollaborators = [
-        { login: 'user1', role_name: 'admin' },
-        { login: 'user2', role_name: 'write' },
-      ];
-
-      mockOctokit.repos.listCollaborators.mockResolvedValueOnce({ data: mockCollaborators });
+    it('should fetch all collaborators for a repository with their affiliation', async () => {
+      const user1 = { login: 'user1', role_name: 'admin' };
+      const user2 = { login: 'user2', role_name: 'write' };
+      const user3 = { login: 'user3', role_name: 'read' };
+      mockCollaborators({ all: [user1, user2, user3], direct: [user1, user2], outside: [user2] });
 
       const collaborators = await getRepositoryCollaborators(mockOctokit, org, repo);
 
       expect(collaborators).toEqual([
-        { username: 'user1', role: 'admin' },
-        { username: 'user2', role: 'write' },
+        { username: 'user1', role: 'admin', affiliation: 'direct' },
+        { username: 'user2', role: 'write', affiliation: 'outside' },
+        { username: 'user3', role: 'read', affiliation: 'inherited' },
       ]);
       expect(mockOctokit.repos.listCollaborators).toHaveBeenCalledWith({
         owner: org,
         repo,
+        affiliation: 'all',
+        per_page: 100,
+        page: 1,
+      });
+    });
+
+    it('should fetch collaborators across pages', async () => {
+      const page = Array.from({ length: 100 }, (_, i) => ({
+        login: `user${i}`,
+        role_name: 'read',
+      }));
+      mockOctokit.repos.listCollaborators
+        .mockResolvedValueOnce({ data: page })
+        .mockResolvedValueOnce({ data: [{ login: 'last', role_name: 'admin' }] });
+
+      const collaborators = await getRepositoryCollaborators(mockOctokit, org, repo);
+
+      expect(collaborators).toHaveLength(101);
+      expect(collaborators[100]).toEqual({
+        username: 'last',
+        role: 'admin',
+        affiliation: 'inherited',
+      });
+      expect(mockOctokit.repos.listCollaborators).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        affiliation: 'all',
+        per_page: 100,
+        page: 2,
       });
     });
 
-    it('should handle API errors gracefully', async () => {
+    it('should throw API errors', async () => {
       const error = new Error('API Error');
       mockOctokit.repos.listCollaborators.mockRejectedValueOnce(error);
 
-      const consoleSpy = vi.spyOn(console, 'warn');
-      const collaborators = await getRepositoryCollaborators(mockOctokit, org, repo);
+      await expect(getRepositoryCollaborators(mockOctokit, org, repo)).rejects.toThrow('API Error');
+    });
+  });
 
-      expect(collaborators).toEqual([]);
-      expect(consoleSpy).toHaveBeenCalledWith(
-        `⚠️ Could not fetch collaborators for ${repo}: ${error.message}`
+  describe('getCollaboratorState', () => {
+    it('should paginate pending invitations', async () => {
+      const page = Array.from({ length: 100 }, (_, i) => ({
+        id: i,
+        invitee: { login: `user${i}` },
+        permissions: 'read',
+      }));
+      mockOctokit.repos.listInvitations
+        .mockResolvedValueOnce({ data: page })
+        .mockResolvedValueOnce({ data: [{ id: 100, invitee: null, permissions: 'write' }] });
+
+      const state = await getCollaboratorState(mockOctokit, org, repo, ['invitations']);
+
+      expect(state.invitations).toHaveLength(101);
+      expect(state.invitations[100]).toEqual({ id: 100, username: null, permission: 'write' });
+      expect(mockOctokit.repos.listInvitations).toHaveBeenLastCalledWith({
+        owner: org,
+        repo,
+        per_page: 100,
+        page: 2,
+      });
+      expect(mockOctokit.repos.listCollaborators).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('planRepositoryCollaborators', () => {
+    it('should plan adding new collaborators and updating roles', async () => {
+      const user1 = { login: 'user1', role_name: 'write' };
+      const user2 = { login: 'user2', role_name: 'write' };
+      mockCollaborators({ all: [user1, user2], direct: [user1, user2] });
+
+      const plan = await planRepositoryCollaborators(mockOctokit, org, repo, [
+        { username: 'user1', role: 'admin' },
+        { username: 'user2', role: 'write' },
+        { username: 'user3', role: 'read' },
+      ]);
+
+      expect(plan).toEqual({
+        state: {
+          collaborators: [
+            { username: 'user1', role: 'write', affiliation: 'direct' },
+            { username: 'user2', role: 'write', affiliation: 'direct' },
+          ],
+          invitations: [],
+        },
+        operations: [
+          {
+            method: 'repos.addCollaborator',
+            params: { owner: org, repo, username: 'user1', permission: 'admin' },
+          },
+          {
+            method: 'repos.addCollaborator',
+            params: { owner: org, repo, username: 'user3', permission: 'read' },
+          },
+        ],
+      });
+      expect(mockOctokit.repos.addCollaborator).not.toHaveBeenCalled();
+    });
+
+    it('should skip inherited collaborators whose access already exceeds the desired role', async () => {
+      const lead = { login: 'lead', role_name: 'admin' };
+      const member = { login: 'member', role_name: 'read' };
+      mockCollaborators({ all: [lead, member] });
+      const warnSpy = vi.spyOn(console, 'warn');
+
+      const plan = await planRepositoryCollaborators(mockOctokit, org, repo, [
+        { username: 'lead', role: 'write' },
+        { username: 'member', role: 'write' },
+      ]);
+
+      expect(plan.operations).toEqual([
+        {
+          method: 'repos.addCollaborator',
+          params: { owner: org, repo, username: 'member', permission: 'write' },
+        },
+      ]);
+      expect(warnSpy).toHaveBeenCalledWith(
+        `⚠️ Skipping lead in ${repo} - has admin through a team or the base permission, above write`
       );
     });
+
+    it('should plan removing unlisted collaborators and invitations in exact mode', async () => {
+      const user1 = { login: 'user1', role_name: 'admin' };
+      const user2 = { login: 'user2', role_name: 'write' };
+      const member = { login: 'member', role_name: 'read' };
+      mockCollaborators({ all: [user1, user2, member], direct: [user1, user2] });
+      mockOctokit.repos.listInvitations.mockResolvedValueOnce({
+        data: [{ id: 7, invitee: { login: 'user3' }, permissions: 'read' }],
+      });
+
+      const plan = await planRepositoryCollaborators(
+        mockOctokit,
+        org,
+        repo,
+        [{ username: 'user1', role: 'admin' }],
+        { mode: 'exact' }
+      );
+
+      expect(plan.operations).toEqual([
+        {
+          method: 'repos.removeCollaborator',
+          params: { owner: org, repo, username: 'user2' },
+        },
+        {
+          method: 'repos.deleteInvitation',
+          params: { owner: org, repo, invitation_id: 7 },
+        },
+      ]);
+    });
   });
 
   describe('updateRepositoryCollaborators', () => {
@@ -87,12 +240,9 @@ describe('Collaborators Service', () => {
     ];
 
     it('should add new collaborators and update existing ones', async () => {
-      const currentCollaborators = [
-        { login: 'user1', role_name: 'write' },
-        { login: 'user2', role_name: 'write' },
-      ];
-
-      mockOctokit.repos.listCollaborators.mockResolvedValueOnce({ data: currentCollaborators });
+      const user1 = { login: 'user1', role_name: 'write' };
+      const user2 = { login: 'user2', role_name: 'write' };
+      mockCollaborators({ all: [user1, user2], direct: [user1, user2] });
       mockOctokit.repos.addCollaborator.mockResolvedValue({ data: {} });
 
       const consoleSpy = vi.spyOn(console, 'log');
@@ -122,18 +272,25 @@ describe('Collaborators Service', () => {
     });
 
     it('should log changes in dry run mode without making API calls', async () => {
-      const currentCollaborators = [
-        { login: 'user1', role_name: 'write' },
-        { login: 'user2', role_name: 'write' },
-      ];
-
-      mockOctokit.repos.listCollaborators.mockResolvedValueOnce({ data: currentCollaborators });
+      const user1 = { login: 'user1', role_name: 'write' };
+      const user2 = { login: 'user2', role_name: 'write' };
+      mockCollaborators({ all: [user1, user2], direct: [user1, user2] });
 
       const consoleSpy = vi.spyOn(console, 'log');
       const errorSpy = vi.spyOn(console, 'error');
 
-      await updateRepositoryCollaborators(mockOctokit, org, repo, desiredCollaborators, true);
+      const changes = await updateRepositoryCollaborators(
+        mockOctokit,
+        org,
+        repo,
+        desiredCollaborators,
+        true
+      );
 
+      expect(changes).toEqual([
+        { username: 'user1', from: 'write', to: 'admin' },
+        { username: 'user3', from: null, to: 'read' },
+      ]);
       expect(mockOctokit.repos.addCollaborator).not.toHaveBeenCalled();
       expect(consoleSpy).toHaveBeenCalledWith(
         `🔍 Would add collaborator user3 with role read to ${repo}`
@@ -144,12 +301,138 @@ describe('Collaborators Service', () => {
       expect(errorSpy).not.toHaveBeenCalled();
     });
 
+    it('should treat pending invitations as collaborators with the requested permission', async () => {
+      mockOctokit.repos.listInvitations.mockResolvedValueOnce({
+        data: [
+          { id: 7, invitee: { login: 'User1' }, permissions: 'write' },
+          { id: 8, invitee: { login: 'user2' }, permissions: 'write' },
+        ],
+      });
+      const consoleSpy = vi.spyOn(console, 'log');
+
+      const changes = await updateRepositoryCollaborators(mockOctokit, org, repo, [
+        { username: 'user1', role: 'admin' },
+        { username: 'user2', role: 'write' },
+      ]);
+
+      expect(changes).toEqual([
+        { username: 'user1', from: 'write', to: 'admin', invitation: true },
+      ]);
+      expect(mockOctokit.repos.addCollaborator).not.toHaveBeenCalled();
+      expect(mockOctokit.repos.updateInvitation).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        invitation_id: 7,
+        permissions: 'admin',
+      });
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `✅ Updated invitation for user1 to admin in ${repo}`
+      );
+    });
+
+    it('should log invitation updates in dry run mode', async () => {
+      mockOctokit.repos.listInvitations.mockResolvedValueOnce({
+        data: [{ id: 7, invitee: { login: 'user1' }, permissions: 'write' }],
+      });
+      const consoleSpy = vi.spyOn(console, 'log');
+
+      await updateRepositoryCollaborators(
+        mockOctokit,
+        org,
+        repo,
+        [{ username: 'user1', role: 'admin' }],
+        true
+      );
+
+      expect(mockOctokit.repos.updateInvitation).not.toHaveBeenCalled();
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `🔍 Would update invitation for user1 from write to admin in ${repo}`
+      );
+    });
+
+    it('should throw when adding a collaborator fails', async () => {
+      const error = new Error('API Error');
+      mockOctokit.repos.addCollaborator.mockRejectedValueOnce(error);
+
+      await expect(
+        updateRepositoryCollaborators(mockOctokit, org, repo, desiredCollaborators)
+      ).rejects.toThrow('API Error');
+    });
+
+    it('should remove unlisted collaborators and cancel invitations in exact mode', async () => {
+      const user1 = { login: 'User1', role_name: 'admin' };
+      const user2 = { login: 'user2', role_name: 'write' };
+      const bot = { login: 'release-bot', role_name: 'write' };
+      const member = { login: 'member', role_name: 'read' };
+      mockCollaborators({
+        all: [user1, user2, bot, member],
+        direct: [user1, user2, bot],
+        outside: [user2],
+      });
+      mockOctokit.repos.listInvitations.mockResolvedValueOnce({
+        data: [{ id: 7, invitee: { login: 'user3' }, permissions: 'read' }],
+      });
+      const consoleSpy = vi.spyOn(console, 'log');
+
+      const changes = await updateRepositoryCollaborators(
+        mockOctokit,
+        org,
+        repo,
+        [{ username: 'user1', role: 'admin' }],
+        false,
+        { mode: 'exact', allowlist: ['Release-Bot'] }
+      );
+
+      expect(changes).toEqual([
+        { username: 'user2', from: 'write', to: null },
+        { username: 'user3', from: 'read', to: null, invitation: true },
+      ]);
+      expect(mockOctokit.repos.removeCollaborator).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.repos.removeCollaborator).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        username: 'user2',
+      });
+      expect(mockOctokit.repos.deleteInvitation).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        invitation_id: 7,
+      });
+      expect(consoleSpy).toHaveBeenCalledWith(`✅ Removed collaborator user2 from ${repo}`);
+      expect(consoleSpy).toHaveBeenCalledWith(`✅ Removed invitation for user3 from ${repo}`);
+    });
+
+    it('should report removals in dry run mode without removing anyone', async () => {
+      const user2 = { login: 'user2', role_name: 'write' };
+      mockCollaborators({ all: [user2], direct: [user2] });
+      const consoleSpy = vi.spyOn(console, 'log');
+
+      const changes = await updateRepositoryCollaborators(mockOctokit, org, repo, [], true, {
+        mode: 'exact',
+      });
+
+      expect(changes).toEqual([{ username: 'user2', from: 'write', to: null }]);
+      expect(mockOctokit.repos.removeCollaborator).not.toHaveBeenCalled();
+      expect(consoleSpy).toHaveBeenCalledWith(`🔍 Would remove collaborator user2 from ${repo}`);
+    });
+
+    it('should not remove collaborators outside of exact mode', async () => {
+      const user2 = { login: 'user2', role_name: 'write' };
+      mockCollaborators({ all: [user2], direct: [user2] });
+
+      const changes = await updateRepositoryCollaborators(mockOctokit, org, repo, []);
+
+      expect(changes).toEqual([]);
+      expect(mockOctokit.repos.removeCollaborator).not.toHaveBeenCalled();
+    });
+
     it('should handle empty collaborator list', async () => {
       const consoleSpy = vi.spyOn(console, 'log');
       const errorSpy = vi.spyOn(console, 'error');
 
-      await updateRepositoryCollaborators(mockOctokit, org, repo, []);
+      const changes = await updateRepositoryCollaborators(mockOctokit, org, repo, []);
 
+      expect(changes).toEqual([]);
       expect(mockOctokit.repos.listCollaborators).toHaveBeenCalled();
       expect(mockOctokit.repos.addCollaborator).not.toHaveBeenCalled();
       expect(consoleSpy).not.toHaveBeenCalled();
@@ -22,11 +22,19 @@
  * SOFTWARE.
  */
 
-import { readFile } from 'fs/promises';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
-import { getFileContent, updateFileContent, syncFileContent } from '../../src/services/file-sync';
+import {
+  commitPlannedFiles,
+  getFileContent,
+  getFileState,
+  planFileSync,
+  syncFiles,
+} from '../../src/services/file-sync';
 
 vi.mock('fs/promises', async (importOriginal) => {
   const actual = await importOriginal();
@@ -91,183 +99,1053 @@ describe('File Sync Service', () => {
     });
   });
 
-  describe('updateFileContent', () => {
-    it('should create or update file content', async () => {
-      const content = 'new content';
-      const sha = 'abc123';
+  describe('getFileState', () => {
+    it('should return the SHA of each file', async () => {
+      mockOctokit.repos.getContent
+        .mockResolvedValueOnce({
+          data: { content: Buffer.from('test').toString('base64'), sha: 'abc123', type: 'file' },
+        })
+        .mockRejectedValueOnce({ status: 404 });
 
-      const consoleSpy = vi.spyOn(console, 'log');
-      const errorSpy = vi.spyOn(console, 'error');
+      const state = await getFileState(mockOctokit, org, repo, [filePath, 'missing.txt']);
 
-      await updateFileContent(mockOctokit, org, repo, filePath, content, sha);
+      expect(state).toEqual({ [filePath]: 'abc123', 'missing.txt': null });
+    });
+  });
 
-      expect(mockOctokit.repos.createOrUpdateFileContents).toHaveBeenCalledWith({
+  describe('planFileSync', () => {
+    it('should plan creating and updating files whose content differs', async () => {
+      readFile
+        .mockResolvedValueOnce('local content')
+        .mockResolvedValueOnce('same content')
+        .mockResolvedValueOnce('new content');
+      mockOctokit.repos.getContent
+        .mockResolvedValueOnce({
+          data: { content: Buffer.from('remote').toString('base64'), sha: 'abc123', type: 'file' },
+        })
+        .mockResolvedValueOnce({
+          data: {
+            content: Buffer.from('same content').toString('base64'),
+            sha: 'def456',
+            type: 'file',
+          },
+        })
+        .mockRejectedValueOnce({ status: 404 });
+
+      const plan = await planFileSync(mockOctokit, org, repo, [
+        { path: filePath, localPath: 'local/file.txt' },
+        { path: 'same.txt', localPath: 'local/same.txt' },
+        { path: 'new.txt', localPath: 'local/new.txt' },
+      ]);
+
+      expect(plan).toEqual({
+        state: { [filePath]: 'abc123', 'same.txt': 'def456', 'new.txt': null },
+        operations: [
+          {
+            method: 'files.commit',
+            params: {
+              owner: org,
+              repo,
+              changes: [
+                { path: filePath, action: 'update', content: 'local content' },
+                { path: 'new.txt', action: 'create', content: 'new content', mode: '100644' },
+              ],
+            },
+          },
+        ],
+      });
+      expect(mockOctokit.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
+    });
+
+    it('should plan the configured commit message and author', async () => {
+      readFile.mockResolvedValueOnce('new content');
+      mockOctokit.repos.getContent.mockRejectedValueOnce({ status: 404 });
+      const commit = { message: 'chore: sync', author: { name: 'Bot', email: 'bot@example.com' } };
+
+      const plan = await planFileSync(
+        mockOctokit,
+        org,
+        repo,
+        [{ path: 'new.txt', localPath: 'local/new.txt' }],
+        { commit }
+      );
+
+      expect(plan.operations[0].params).toMatchObject(commit);
+    });
+
+    it('should not plan anything when all files match', async () => {
+      readFile.mockResolvedValueOnce('same content');
+      mockOctokit.repos.getContent.mockResolvedValueOnce({
+        data: { content: Buffer.from('same content').toString('base64'), sha: 'a1', type: 'file' },
+      });
+
+      const plan = await planFileSync(mockOctokit, org, repo, [
+        { path: 'same.txt', localPath: 'local/same.txt' },
+      ]);
+
+      expect(plan).toEqual({ state: { 'same.txt': 'a1' }, operations: [] });
+    });
+  });
+
+  /**
+   * Mocks the Git Data API for a repository whose `main` branch is at `base-sha`.
+   */
+  function mockGitData() {
+    mockOctokit.repos.get = vi.fn(async () => ({
+      data: {
+        name: repo,
+        full_name: `${org}/${repo}`,
+        description: 'Widgets service',
+        default_branch: 'main',
+        language: 'JavaScript',
+        topics: ['catalog'],
+      },
+    }));
+    mockOctokit.git = {
+      getRef: vi.fn(async ({ ref }) => {
+        if (ref === 'heads/main') {
+          return { data: { object: { sha: 'base-sha' } } };
+        }
+        throw Object.assign(new Error('Not Found'), { status: 404 });
+      }),
+      createRef: vi.fn(),
+      updateRef: vi.fn(),
+      getCommit: vi.fn(async ({ commit_sha }) => ({
+        data: { tree: { sha: `${commit_sha}-tree` } },
+      })),
+      getTree: vi.fn(async () => ({
+        data: {
+          tree: [
+            { path: 'scripts', mode: '040000', type: 'tree' },
+            { path: 'scripts/release.sh', mode: '100755', type: 'blob' },
+          ],
+        },
+      })),
+      createBlob: vi.fn(async ({ content }) => ({ data: { sha: `blob-${content}` } })),
+      createTree: vi.fn(async () => ({ data: { sha: 'new-tree' } })),
+      createCommit: vi.fn(async () => ({ data: { sha: 'new-commit' } })),
+    };
+  }
+
+  /**
+   * Gets the decoded content of each blob created through the Git Data API.
+   *
+   * @returns {Array<string>} The blob contents
+   */
+  function getBlobContents() {
+    return mockOctokit.git.createBlob.mock.calls.map(([{ content }]) =>
+      Buffer.from(content, 'base64').toString()
+    );
+  }
+
+  describe('commitPlannedFiles', () => {
+    it('should commit the planned changes to the default branch in a single commit', async () => {
+      mockGitData();
+      const author = { name: 'Bot', email: 'bot@example.com' };
+
+      await commitPlannedFiles(mockOctokit, {
+        method: 'files.commit',
+        params: {
+          owner: org,
+          repo,
+          changes: [
+            { path: 'new.txt', action: 'create', content: 'new content', mode: '100755' },
+            { path: 'old.txt', action: 'delete', content: null },
+          ],
+          message: 'chore: sync',
+          author,
+        },
+      });
+
+      expect(mockOctokit.git.createTree).toHaveBeenCalledWith({
         owner: org,
         repo,
-        path: filePath,
-        message: `Update ${filePath}`,
-        content: Buffer.from(content).toString('base64'),
-        sha,
+        base_tree: 'base-sha-tree',
+        tree: [
+          { path: 'new.txt', mode: '100755', type: 'blob', sha: expect.any(String) },
+          { path: 'old.txt', mode: '100644', type: 'blob', sha: null },
+        ],
+      });
+      expect(mockOctokit.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'chore: sync', parents: ['base-sha'], author })
+      );
+      expect(mockOctokit.git.updateRef).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        ref: 'heads/main',
+        sha: 'new-commit',
       });
-      expect(consoleSpy).toHaveBeenCalledWith(`✅ Successfully updated ${filePath} in ${repo}`);
-      expect(errorSpy).not.toHaveBeenCalled();
     });
+  });
 
-    it('should handle API errors', async () => {
-      const error = new Error('API Error');
-      mockOctokit.repos.createOrUpdateFileContents.mockRejectedValueOnce(error);
+  describe('templates', () => {
+    beforeEach(() => {
+      mockGitData();
+      mockOctokit.repos.getCustomPropertiesValues = vi.fn(async () => ({
+        data: [{ property_name: 'team', value: 'platform' }],
+      }));
+      mockOctokit.repos.getContent.mockRejectedValue({ status: 404 });
+    });
 
-      const consoleSpy = vi.spyOn(console, 'log');
-      const errorSpy = vi.spyOn(console, 'error');
+    it('should render templates with repository and settings variables', async () => {
+      readFile.mockResolvedValue(
+        '# {{ repo.full_name }} on {{ repo.default_branch }}\n' +
+          '* @{{ vars.org }}/{{ repo.custom_properties.team }} ({{ vars.year }})\n'
+      );
 
-      await updateFileContent(mockOctokit, org, repo, filePath, 'content');
+      const changes = await syncFiles(
+        mockOctokit,
+        org,
+        repo,
+        [
+          { path: 'CODEOWNERS', localPath: 'templates/CODEOWNERS', template: true },
+          {
+            path: 'README.md',
+            localPath: 'templates/README.md',
+            template: true,
+            variables: { year: 2027 },
+          },
+        ],
+        false,
+        { variables: { org: 'acme', year: 2026 } }
+      );
 
-      expect(consoleSpy).not.toHaveBeenCalled();
-      expect(errorSpy).toHaveBeenCalledWith(`❌ Failed to update ${filePath} in ${repo}:`, error);
+      expect(changes).toHaveLength(2);
+      expect(mockOctokit.repos.getCustomPropertiesValues).toHaveBeenCalledTimes(1);
+      expect(getBlobContents()).toEqual([
+        `# ${org}/${repo} on main\n* @acme/platform (2026)\n`,
+        `# ${org}/${repo} on main\n* @acme/platform (2027)\n`,
+      ]);
     });
 
-    it('should log changes in dry run mode', async () => {
-      const content = 'new content';
-      const sha = 'abc123';
+    it('should render templates when planning', async () => {
+      readFile.mockResolvedValue('{{ repo.name }}: {{ repo.topics }}');
 
-      const consoleSpy = vi.spyOn(console, 'log');
-      const errorSpy = vi.spyOn(console, 'error');
+      const plan = await planFileSync(mockOctokit, org, repo, [
+        { path: 'NAME', localPath: 'templates/NAME', template: true },
+      ]);
 
-      await updateFileContent(mockOctokit, org, repo, filePath, content, sha, true);
+      expect(plan.operations[0].params.changes[0].content).toBe(`${repo}: catalog`);
+    });
 
-      expect(mockOctokit.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(consoleSpy).toHaveBeenCalledWith(`🔍 Would update file ${filePath} in ${repo}`);
-      expect(consoleSpy).toHaveBeenCalledWith(`🔍 Content length: ${content.length} characters`);
-      expect(errorSpy).not.toHaveBeenCalled();
+    it('should render templates without custom properties the token cannot read', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      mockOctokit.repos.getCustomPropertiesValues.mockRejectedValue({ status: 403 });
+      readFile.mockResolvedValue('{{ repo.name }}');
+
+      await syncFiles(mockOctokit, org, repo, [
+        { path: 'NAME', localPath: 'templates/NAME', template: true },
+      ]);
+
+      expect(getBlobContents()).toEqual([repo]);
+      expect(console.warn).toHaveBeenCalledWith(
+        `⚠️ Could not read the custom properties of ${repo}, templates cannot use them`
+      );
+    });
+
+    it('should copy files that are not templates verbatim', async () => {
+      readFile.mockResolvedValue('{{ repo.name }}');
+
+      await syncFiles(mockOctokit, org, repo, [{ path: 'RAW', localPath: 'templates/RAW' }]);
+
+      expect(mockOctokit.repos.getCustomPropertiesValues).not.toHaveBeenCalled();
+      expect(getBlobContents()).toEqual(['{{ repo.name }}']);
+    });
+
+    it('should throw for unknown template variables', async () => {
+      readFile.mockResolvedValue('{{ vars.missing }}');
+
+      await expect(
+        syncFiles(mockOctokit, org, repo, [
+          { path: 'BAD', localPath: 'templates/BAD', template: true },
+        ])
+      ).rejects.toThrow('Unknown template variable: vars.missing');
+      expect(mockOctokit.git.createCommit).not.toHaveBeenCalled();
     });
   });
 
-  describe('syncFileContent', () => {
-    const config = {
-      path: filePath,
-      localPath: 'local/path/to/file.txt',
-    };
+  describe('syncFiles', () => {
+    const files = [
+      { path: '.gitignore', localPath: 'templates/.gitignore' },
+      { path: 'LICENSE', localPath: 'templates/LICENSE' },
+    ];
+    const branch = 'settings-sync/update';
 
-    it('should sync file content when content differs', async () => {
-      const localContent = 'local content';
-      const remoteContent = 'remote content';
-      const sha = 'abc123';
+    /**
+     * Mocks the file content returned by the contents API for each branch.
+     *
+     * @param {Record<string, Record<string, string>>} contents - File content by branch and path;
+     *   the default branch is keyed by `default`
+     */
+    function mockContents(contents) {
+      mockOctokit.repos.getContent.mockImplementation(async ({ path, ref = 'default' }) => {
+        const content = contents[ref]?.[path];
+        if (content === undefined) {
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        }
+        return {
+          data: {
+            type: 'file',
+            content: Buffer.from(content).toString('base64'),
+            sha: `${ref}-sha`,
+          },
+        };
+      });
+    }
 
-      readFile.mockResolvedValueOnce(localContent);
-      mockOctokit.repos.getContent.mockResolvedValueOnce({
-        data: {
-          content: Buffer.from(remoteContent).toString('base64'),
-          sha,
-          type: 'file',
-        },
+    beforeEach(() => {
+      mockGitData();
+      mockOctokit.pulls = {
+        list: vi.fn(async () => ({ data: [] })),
+        create: vi.fn(async () => ({ data: { number: 12 } })),
+        update: vi.fn(),
+        requestReviewers: vi.fn(),
+      };
+      mockOctokit.issues = { addLabels: vi.fn() };
+      readFile.mockImplementation(async (localPath) => `content of ${localPath}`);
+    });
+
+    it('should commit all changed files to the default branch in a single commit', async () => {
+      mockContents({ default: { LICENSE: 'old license' } });
+      const consoleSpy = vi.spyOn(console, 'log');
+
+      const changes = await syncFiles(mockOctokit, org, repo, files);
+
+      expect(changes).toEqual([
+        { path: '.gitignore', action: 'create' },
+        { path: 'LICENSE', action: 'update' },
+      ]);
+      expect(mockOctokit.git.getCommit).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        commit_sha: 'base-sha',
+      });
+      expect(mockOctokit.git.createBlob).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        content: Buffer.from('content of templates/.gitignore').toString('base64'),
+        encoding: 'base64',
+      });
+      expect(mockOctokit.git.createTree).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        base_tree: 'base-sha-tree',
+        tree: [
+          {
+            path: '.gitignore',
+            mode: '100644',
+            type: 'blob',
+            sha: `blob-${Buffer.from('content of templates/.gitignore').toString('base64')}`,
+          },
+          {
+            path: 'LICENSE',
+            mode: '100644',
+            type: 'blob',
+            sha: `blob-${Buffer.from('content of templates/LICENSE').toString('base64')}`,
+          },
+        ],
       });
+      expect(mockOctokit.git.createCommit).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        message: 'Synchronize files\n\nAdd .gitignore\nUpdate LICENSE',
+        tree: 'new-tree',
+        parents: ['base-sha'],
+      });
+      expect(mockOctokit.git.updateRef).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        ref: 'heads/main',
+        sha: 'new-commit',
+      });
+      expect(mockOctokit.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `✅ Successfully committed 2 file(s) to main in ${repo}`
+      );
+    });
 
+    it('should skip files whose content matches', async () => {
+      mockContents({ default: { '.gitignore': 'content of templates/.gitignore' } });
       const consoleSpy = vi.spyOn(console, 'log');
-      const errorSpy = vi.spyOn(console, 'error');
 
-      await syncFileContent(mockOctokit, org, repo, config);
+      const changes = await syncFiles(mockOctokit, org, repo, [files[0]]);
+
+      expect(changes).toEqual([]);
+      expect(mockOctokit.git.createCommit).not.toHaveBeenCalled();
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `⏭️ Skipping .gitignore in ${repo} - content matches`
+      );
+    });
 
+    it('should throw local file read errors before committing', async () => {
+      mockContents({ default: {} });
+      readFile.mockRejectedValueOnce(new Error('File read error'));
+
+      await expect(syncFiles(mockOctokit, org, repo, files)).rejects.toThrow('File read error');
+      expect(mockOctokit.git.createCommit).not.toHaveBeenCalled();
+    });
+
+    it('should create the files of an empty repository with the contents API', async () => {
+      mockContents({});
+      mockOctokit.git.getRef.mockRejectedValue(
+        Object.assign(new Error('Git Repository is empty.'), { status: 409 })
+      );
+      const author = { name: 'Settings Bot', email: 'bot@example.com' };
+
+      const changes = await syncFiles(mockOctokit, org, repo, files, false, {
+        commit: { author },
+      });
+
+      expect(changes).toEqual([
+        { path: '.gitignore', action: 'create' },
+        { path: 'LICENSE', action: 'create' },
+      ]);
       expect(mockOctokit.repos.createOrUpdateFileContents).toHaveBeenCalledWith({
         owner: org,
         repo,
-        path: filePath,
-        message: `Update ${filePath}`,
-        content: Buffer.from(localContent).toString('base64'),
-        sha,
+        path: '.gitignore',
+        message: 'Add .gitignore',
+        content: Buffer.from('content of templates/.gitignore').toString('base64'),
+        author,
       });
-      expect(consoleSpy).toHaveBeenCalledWith(`✅ Successfully updated ${filePath} in ${repo}`);
-      expect(errorSpy).not.toHaveBeenCalled();
+      expect(mockOctokit.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.git.getCommit).not.toHaveBeenCalled();
+    });
+
+    it('should create the files of an empty repository without a pull request', async () => {
+      mockContents({});
+      mockOctokit.git.getRef.mockRejectedValue(
+        Object.assign(new Error('Git Repository is empty.'), { status: 409 })
+      );
+      const warnSpy = vi.spyOn(console, 'warn');
+
+      await syncFiles(mockOctokit, org, repo, files, false, { pullRequest: {} });
+
+      expect(mockOctokit.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.pulls.create).not.toHaveBeenCalled();
+      expect(warnSpy).toHaveBeenCalledWith(
+        `⚠️ ${repo} is empty, creating the files without a pull request`
+      );
     });
 
-    it('should skip sync when content matches', async () => {
-      const content = 'same content';
-      const sha = 'abc123';
+    it('should keep the mode of updated executable files', async () => {
+      mockContents({ default: { 'scripts/release.sh': 'old script' } });
 
-      readFile.mockResolvedValueOnce(content);
-      mockOctokit.repos.getContent.mockResolvedValueOnce({
-        data: {
-          content: Buffer.from(content).toString('base64'),
-          sha,
-          type: 'file',
+      await syncFiles(mockOctokit, org, repo, [
+        { path: 'scripts/release.sh', localPath: 'templates/release.sh' },
+      ]);
+
+      expect(mockOctokit.git.getTree).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        tree_sha: 'base-sha-tree',
+        recursive: 'true',
+      });
+      expect(mockOctokit.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tree: [expect.objectContaining({ path: 'scripts/release.sh', mode: '100755' })],
+        })
+      );
+    });
+
+    it('should use the configured commit message and author', async () => {
+      mockContents({ default: { LICENSE: 'content of templates/LICENSE' } });
+      const author = { name: 'Settings Bot', email: 'bot@example.com' };
+
+      await syncFiles(mockOctokit, org, repo, files, false, {
+        commit: { message: 'chore: sync files', author },
+      });
+
+      expect(mockOctokit.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'chore: sync files', author })
+      );
+    });
+
+    it('should name the file in the default message of a single change', async () => {
+      mockContents({ default: { LICENSE: 'content of templates/LICENSE' } });
+
+      await syncFiles(mockOctokit, org, repo, files);
+
+      expect(mockOctokit.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Add .gitignore' })
+      );
+    });
+
+    it('should log the file changes in dry run mode', async () => {
+      mockContents({ default: { LICENSE: 'old license' } });
+      const consoleSpy = vi.spyOn(console, 'log');
+
+      const changes = await syncFiles(mockOctokit, org, repo, files, true);
+
+      expect(changes).toHaveLength(2);
+      expect(mockOctokit.git.createCommit).not.toHaveBeenCalled();
+      expect(consoleSpy).toHaveBeenCalledWith(`🔍 Would create file .gitignore in ${repo}`);
+      expect(consoleSpy).toHaveBeenCalledWith(`🔍 Would update file LICENSE in ${repo}`);
+    });
+
+    it('should open a pull request with the changed files', async () => {
+      mockContents({ default: { LICENSE: 'old license' } });
+
+      const changes = await syncFiles(mockOctokit, org, repo, files, false, {
+        pullRequest: {
+          title: 'Sync files',
+          labels: ['chore'],
+          reviewers: ['user1'],
+          team_reviewers: ['platform'],
         },
       });
 
+      expect(changes).toEqual([
+        { path: '.gitignore', action: 'create' },
+        { path: 'LICENSE', action: 'update' },
+      ]);
+      expect(mockOctokit.git.createRef).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        ref: `refs/heads/${branch}`,
+        sha: 'base-sha',
+      });
+      expect(mockOctokit.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ parents: ['base-sha'] })
+      );
+      expect(mockOctokit.git.updateRef).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        ref: `heads/${branch}`,
+        sha: 'new-commit',
+      });
+      expect(mockOctokit.pulls.create).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        title: 'Sync files',
+        body: 'This pull request synchronizes files with the organization settings.',
+        head: branch,
+        base: 'main',
+      });
+      expect(mockOctokit.pulls.requestReviewers).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        pull_number: 12,
+        reviewers: ['user1'],
+        team_reviewers: ['platform'],
+      });
+      expect(mockOctokit.issues.addLabels).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        issue_number: 12,
+        labels: ['chore'],
+      });
+    });
+
+    it('should update the branch and pull request that are already open', async () => {
+      mockContents({
+        default: {},
+        [branch]: { '.gitignore': 'content of templates/.gitignore', LICENSE: 'old license' },
+      });
+      mockOctokit.git.getRef.mockImplementation(async ({ ref }) => ({
+        data: { object: { sha: ref === 'heads/main' ? 'base-sha' : 'branch-sha' } },
+      }));
+      mockOctokit.pulls.list.mockResolvedValue({ data: [{ number: 7 }] });
+
+      await syncFiles(mockOctokit, org, repo, files, false, { pullRequest: {} });
+
+      expect(mockOctokit.pulls.list).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        head: `${org}:${branch}`,
+        state: 'open',
+      });
+      expect(mockOctokit.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.git.getCommit).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        commit_sha: 'branch-sha',
+      });
+      expect(mockOctokit.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({ tree: [expect.objectContaining({ path: 'LICENSE' })] })
+      );
+      expect(mockOctokit.pulls.create).not.toHaveBeenCalled();
+      expect(mockOctokit.pulls.update).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        pull_number: 7,
+        title: 'Synchronize repository files',
+        body: 'This pull request synchronizes files with the organization settings.',
+      });
+      expect(mockOctokit.pulls.requestReviewers).not.toHaveBeenCalled();
+      expect(mockOctokit.issues.addLabels).not.toHaveBeenCalled();
+    });
+
+    it('should not commit when the open pull request branch already has the files', async () => {
+      mockContents({
+        default: {},
+        [branch]: {
+          '.gitignore': 'content of templates/.gitignore',
+          LICENSE: 'content of templates/LICENSE',
+        },
+      });
+      mockOctokit.git.getRef.mockResolvedValue({ data: { object: { sha: 'branch-sha' } } });
+      mockOctokit.pulls.list.mockResolvedValue({ data: [{ number: 7 }] });
+
+      await syncFiles(mockOctokit, org, repo, files, false, { pullRequest: {} });
+
+      expect(mockOctokit.git.createCommit).not.toHaveBeenCalled();
+      expect(mockOctokit.pulls.update).toHaveBeenCalled();
+    });
+
+    it('should reset a leftover branch without an open pull request', async () => {
+      mockContents({ default: {} });
+      mockOctokit.git.getRef.mockImplementation(async ({ ref }) => ({
+        data: { object: { sha: ref === 'heads/main' ? 'base-sha' : 'stale-sha' } },
+      }));
+
+      await syncFiles(mockOctokit, org, repo, files, false, { pullRequest: { branch: 'sync' } });
+
+      expect(mockOctokit.git.updateRef).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        ref: 'heads/sync',
+        sha: 'base-sha',
+        force: true,
+      });
+      expect(mockOctokit.pulls.create).toHaveBeenCalledWith(
+        expect.objectContaining({ head: 'sync', base: 'main' })
+      );
+    });
+
+    it('should not touch the pull request when the files match', async () => {
+      mockContents({
+        default: {
+          '.gitignore': 'content of templates/.gitignore',
+          LICENSE: 'content of templates/LICENSE',
+        },
+      });
+
+      const changes = await syncFiles(mockOctokit, org, repo, files, false, { pullRequest: {} });
+
+      expect(changes).toEqual([]);
+      expect(mockOctokit.pulls.list).not.toHaveBeenCalled();
+      expect(mockOctokit.git.createRef).not.toHaveBeenCalled();
+    });
+
+    it('should log the pull request changes in dry run mode', async () => {
+      mockContents({ default: { LICENSE: 'content of templates/LICENSE' } });
+      mockOctokit.pulls.list.mockResolvedValue({ data: [{ number: 7 }] });
       const consoleSpy = vi.spyOn(console, 'log');
-      const errorSpy = vi.spyOn(console, 'error');
 
-      await syncFileContent(mockOctokit, org, repo, config);
+      const changes = await syncFiles(mockOctokit, org, repo, files, true, { pullRequest: {} });
 
-      expect(mockOctokit.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
+      expect(changes).toEqual([{ path: '.gitignore', action: 'create' }]);
+      expect(mockOctokit.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.git.createCommit).not.toHaveBeenCalled();
+      expect(mockOctokit.pulls.update).not.toHaveBeenCalled();
       expect(consoleSpy).toHaveBeenCalledWith(
-        `⏭️ Skipping ${filePath} in ${repo} - content matches`
+        `🔍 Would create file .gitignore in ${repo} on branch ${branch}`
       );
-      expect(errorSpy).not.toHaveBeenCalled();
+      expect(consoleSpy).toHaveBeenCalledWith(`🔍 Would update pull request #7 in ${repo}`);
     });
 
-    it('should create file if it does not exist', async () => {
-      const content = 'new content';
+    it('should log opening a pull request in dry run mode', async () => {
+      mockContents({ default: {} });
+      const consoleSpy = vi.spyOn(console, 'log');
 
-      readFile.mockResolvedValueOnce(content);
-      mockOctokit.repos.getContent.mockRejectedValueOnce({ status: 404 });
+      await syncFiles(mockOctokit, org, repo, files, true, { pullRequest: {} });
+
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `🔍 Would open a pull request from ${branch} in ${repo}`
+      );
+    });
 
+    it('should throw errors reading the branch', async () => {
+      mockContents({ default: {} });
+      mockOctokit.git.getRef.mockRejectedValue(new Error('API Error'));
+
+      await expect(
+        syncFiles(mockOctokit, org, repo, files, false, { pullRequest: {} })
+      ).rejects.toThrow('API Error');
+    });
+
+    it('should throw when the branch moved while committing', async () => {
+      mockContents({ default: {} });
+      mockOctokit.git.updateRef.mockRejectedValue(new Error('Update is not a fast forward'));
+
+      await expect(syncFiles(mockOctokit, org, repo, files)).rejects.toThrow(
+        'Update is not a fast forward'
+      );
+    });
+  });
+
+  describe('absent files', () => {
+    const files = [
+      { path: '.travis.yml', state: 'absent' },
+      { path: 'renovate.json5', state: 'absent' },
+    ];
+
+    beforeEach(() => {
+      mockGitData();
+      mockOctokit.repos.deleteFile = vi.fn();
+      mockOctokit.repos.getContent.mockImplementation(async ({ path }) => {
+        if (path !== '.travis.yml') {
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        }
+        return {
+          data: {
+            type: 'file',
+            content: Buffer.from('language: node').toString('base64'),
+            sha: 'travis-sha',
+          },
+        };
+      });
+    });
+
+    it('should delete existing files in the commit and skip missing ones', async () => {
       const consoleSpy = vi.spyOn(console, 'log');
-      const errorSpy = vi.spyOn(console, 'error');
 
-      await syncFileContent(mockOctokit, org, repo, config);
+      const changes = await syncFiles(mockOctokit, org, repo, files);
 
-      expect(mockOctokit.repos.createOrUpdateFileContents).toHaveBeenCalledWith({
+      expect(changes).toEqual([{ path: '.travis.yml', action: 'delete' }]);
+      expect(readFile).not.toHaveBeenCalled();
+      expect(mockOctokit.git.createBlob).not.toHaveBeenCalled();
+      expect(mockOctokit.git.createTree).toHaveBeenCalledWith({
         owner: org,
         repo,
-        path: filePath,
-        message: `Add ${filePath}`,
-        content: Buffer.from(content).toString('base64'),
+        base_tree: 'base-sha-tree',
+        tree: [{ path: '.travis.yml', mode: '100644', type: 'blob', sha: null }],
       });
-      expect(consoleSpy).toHaveBeenCalledWith(`✅ Successfully created ${filePath} in ${repo}`);
-      expect(errorSpy).not.toHaveBeenCalled();
+      expect(mockOctokit.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Delete .travis.yml' })
+      );
+      expect(consoleSpy).toHaveBeenCalledWith(
+        '⏭️ Skipping renovate.json5 in test-repo - file does not exist'
+      );
     });
 
-    it('should handle file read errors', async () => {
-      const error = new Error('File read error');
-      readFile.mockRejectedValueOnce(error);
-
+    it('should log the deletion in dry run mode', async () => {
       const consoleSpy = vi.spyOn(console, 'log');
-      const errorSpy = vi.spyOn(console, 'error');
 
-      await syncFileContent(mockOctokit, org, repo, config);
+      await syncFiles(mockOctokit, org, repo, files, true);
 
-      expect(mockOctokit.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(consoleSpy).not.toHaveBeenCalled();
-      expect(errorSpy).toHaveBeenCalledWith(
-        `❌ Failed to sync file ${filePath} in ${repo}:`,
-        error
-      );
+      expect(consoleSpy).toHaveBeenCalledWith('🔍 Would delete file .travis.yml in test-repo');
+      expect(mockOctokit.git.createCommit).not.toHaveBeenCalled();
     });
 
-    it('should log changes in dry run mode', async () => {
-      const localContent = 'local content';
-      const remoteContent = 'remote content';
-      const sha = 'abc123';
+    it('should not delete a file again on an open pull request branch', async () => {
+      mockOctokit.git.getRef.mockResolvedValue({ data: { object: { sha: 'branch-sha' } } });
+      mockOctokit.repos.getContent.mockImplementation(async ({ path, ref }) => {
+        if (ref || path !== '.travis.yml') {
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        }
+        return {
+          data: {
+            type: 'file',
+            content: Buffer.from('language: node').toString('base64'),
+            sha: 'travis-sha',
+          },
+        };
+      });
+      mockOctokit.pulls = {
+        list: vi.fn(async () => ({ data: [{ number: 7 }] })),
+        update: vi.fn(),
+      };
 
-      readFile.mockResolvedValueOnce(localContent);
-      mockOctokit.repos.getContent.mockResolvedValueOnce({
-        data: {
-          content: Buffer.from(remoteContent).toString('base64'),
-          sha,
-          type: 'file',
+      await syncFiles(mockOctokit, org, repo, files, false, { pullRequest: {} });
+
+      expect(mockOctokit.git.createCommit).not.toHaveBeenCalled();
+      expect(mockOctokit.pulls.update).toHaveBeenCalled();
+    });
+
+    it('should plan deleting existing files', async () => {
+      const plan = await planFileSync(mockOctokit, org, repo, files);
+
+      expect(plan).toEqual({
+        state: { '.travis.yml': 'travis-sha', 'renovate.json5': null },
+        operations: [
+          {
+            method: 'files.commit',
+            params: {
+              owner: org,
+              repo,
+              changes: [{ path: '.travis.yml', action: 'delete', content: null }],
+            },
+          },
+        ],
+      });
+    });
+
+    it('should throw for an invalid state', async () => {
+      await expect(
+        syncFiles(mockOctokit, org, repo, [{ path: '.travis.yml', state: 'deleted' }])
+      ).rejects.toThrow('Invalid state for .travis.yml: deleted');
+    });
+  });
+
+  describe('merge strategy', () => {
+    const packageJson = '{\n  "name": "widgets",\n  "engines": {\n    "node": ">=16"\n  }\n}\n';
+
+    beforeEach(() => {
+      mockGitData();
+      mockOctokit.repos.getContent.mockImplementation(async ({ path }) => {
+        if (path !== 'package.json') {
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        }
+        return {
+          data: {
+            type: 'file',
+            content: Buffer.from(packageJson).toString('base64'),
+            sha: 'pkg-sha',
+          },
+        };
+      });
+      readFile.mockResolvedValue('{"engines": {"node": ">=20"}}');
+    });
+
+    it('should merge the local fragment into the existing file', async () => {
+      const changes = await syncFiles(mockOctokit, org, repo, [
+        { path: 'package.json', localPath: 'fragments/engines.json', strategy: 'merge' },
+      ]);
+
+      expect(changes).toEqual([{ path: 'package.json', action: 'update' }]);
+      expect(getBlobContents()).toEqual([
+        '{\n  "name": "widgets",\n  "engines": {\n    "node": ">=20"\n  }\n}\n',
+      ]);
+    });
+
+    it('should skip the file when the fragment is already present', async () => {
+      readFile.mockResolvedValue('{"engines": {"node": ">=16"}}');
+
+      const changes = await syncFiles(mockOctokit, org, repo, [
+        { path: 'package.json', localPath: 'fragments/engines.json', strategy: 'merge' },
+      ]);
+
+      expect(changes).toEqual([]);
+      expect(mockOctokit.git.createCommit).not.toHaveBeenCalled();
+    });
+
+    it('should create a missing file from the fragment', async () => {
+      await syncFiles(mockOctokit, org, repo, [
+        { path: 'renovate.json', localPath: 'fragments/engines.json', strategy: 'merge' },
+      ]);
+
+      expect(getBlobContents()).toEqual(['{"engines": {"node": ">=20"}}']);
+    });
+
+    it('should plan the merged content', async () => {
+      const plan = await planFileSync(mockOctokit, org, repo, [
+        { path: 'package.json', localPath: 'fragments/engines.json', strategy: 'merge' },
+      ]);
+
+      expect(plan.operations[0].params.changes[0].content).toContain('"node": ">=20"');
+    });
+
+    it('should throw for an invalid strategy', async () => {
+      await expect(
+        syncFiles(mockOctokit, org, repo, [
+          { path: 'package.json', localPath: 'fragments/engines.json', strategy: 'replace' },
+        ])
+      ).rejects.toThrow('Invalid strategy for package.json: replace');
+    });
+  });
+
+  describe('block strategy', () => {
+    const gitignore = 'node_modules\n# BEGIN settings-sync\n.env\n# END settings-sync\nlocal.db\n';
+
+    beforeEach(() => {
+      mockGitData();
+      mockOctokit.repos.getContent.mockImplementation(async ({ path }) => {
+        if (path !== '.gitignore') {
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        }
+        return {
+          data: {
+            type: 'file',
+            content: Buffer.from(gitignore).toString('base64'),
+            sha: 'ignore-sha',
+          },
+        };
+      });
+      readFile.mockResolvedValue('.env\ncoverage\n');
+    });
+
+    it('should replace only the managed block of the existing file', async () => {
+      const changes = await syncFiles(mockOctokit, org, repo, [
+        { path: '.gitignore', localPath: 'blocks/gitignore', strategy: 'block' },
+      ]);
+
+      expect(changes).toEqual([{ path: '.gitignore', action: 'update' }]);
+      expect(getBlobContents()).toEqual([
+        'node_modules\n# BEGIN settings-sync\n.env\ncoverage\n# END settings-sync\nlocal.db\n',
+      ]);
+    });
+
+    it('should create a missing file with the block and custom markers', async () => {
+      await syncFiles(mockOctokit, org, repo, [
+        {
+          path: 'README.md',
+          localPath: 'blocks/badges.md',
+          strategy: 'block',
+          markers: { begin: '<!-- BEGIN badges -->', end: '<!-- END badges -->' },
         },
+      ]);
+
+      expect(getBlobContents()).toEqual([
+        '<!-- BEGIN badges -->\n.env\ncoverage\n<!-- END badges -->\n',
+      ]);
+    });
+
+    it('should name the file when its block has no end marker', async () => {
+      await expect(
+        syncFiles(mockOctokit, org, repo, [
+          {
+            path: '.gitignore',
+            localPath: 'blocks/gitignore',
+            strategy: 'block',
+            markers: { end: '# END managed' },
+          },
+        ])
+      ).rejects.toThrow(
+        'Failed to update the block in .gitignore: Missing end marker: # END managed'
+      );
+    });
+  });
+
+  describe('create-only strategy', () => {
+    const files = [
+      { path: 'CHANGELOG.md', localPath: 'seeds/CHANGELOG.md', strategy: 'create-only' },
+      { path: 'CONTRIBUTING.md', localPath: 'seeds/CONTRIBUTING.md', strategy: 'create-only' },
+    ];
+
+    beforeEach(() => {
+      mockGitData();
+      mockOctokit.repos.getContent.mockImplementation(async ({ path }) => {
+        if (path !== 'CONTRIBUTING.md') {
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        }
+        return {
+          data: { type: 'file', content: Buffer.from('Team rules').toString('base64'), sha: 'sha' },
+        };
       });
+      readFile.mockImplementation(async (localPath) => `content of ${localPath}`);
+    });
 
+    it('should create missing files and never overwrite existing ones', async () => {
       const consoleSpy = vi.spyOn(console, 'log');
-      const errorSpy = vi.spyOn(console, 'error');
 
-      await syncFileContent(mockOctokit, org, repo, config, true);
+      const changes = await syncFiles(mockOctokit, org, repo, files);
 
-      expect(mockOctokit.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(consoleSpy).toHaveBeenCalledWith(`🔍 Would update file ${filePath} in ${repo}`);
+      expect(changes).toEqual([{ path: 'CHANGELOG.md', action: 'create' }]);
+      expect(getBlobContents()).toEqual(['content of seeds/CHANGELOG.md']);
       expect(consoleSpy).toHaveBeenCalledWith(
-        `🔍 Content length: ${localContent.length} characters`
+        '⏭️ Skipping CONTRIBUTING.md in test-repo - file exists'
+      );
+    });
+
+    it('should only plan creating missing files', async () => {
+      const plan = await planFileSync(mockOctokit, org, repo, files);
+
+      expect(plan.state).toEqual({ 'CHANGELOG.md': null, 'CONTRIBUTING.md': 'sha' });
+      expect(plan.operations[0].params.changes.map(({ path }) => path)).toEqual(['CHANGELOG.md']);
+    });
+  });
+
+  describe('directory and glob sources', () => {
+    let dir;
+
+    beforeEach(async () => {
+      mockGitData();
+      mockOctokit.repos.getContent.mockRejectedValue({ status: 404 });
+      dir = await mkdtemp(join(tmpdir(), 'file-sync-'));
+      await mkdir(join(dir, 'ISSUE_TEMPLATE'), { recursive: true });
+      await mkdir(join(dir, 'workflows', 'reusable'), { recursive: true });
+      await writeFile(join(dir, 'ISSUE_TEMPLATE', 'bug.md'), '');
+      await writeFile(join(dir, 'ISSUE_TEMPLATE', 'feature.md'), '');
+      await writeFile(join(dir, 'workflows', 'ci.yml'), '');
+      await writeFile(join(dir, 'workflows', 'reusable', 'release.yml'), '');
+      await writeFile(join(dir, 'workflows', 'README.md'), '');
+      readFile.mockImplementation(async (localPath) => `content of ${localPath}`);
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should sync every file in a directory under the destination prefix', async () => {
+      const changes = await syncFiles(mockOctokit, org, repo, [
+        { path: '.github/ISSUE_TEMPLATE/', localPath: join(dir, 'ISSUE_TEMPLATE') },
+      ]);
+
+      expect(changes).toEqual([
+        { path: '.github/ISSUE_TEMPLATE/bug.md', action: 'create' },
+        { path: '.github/ISSUE_TEMPLATE/feature.md', action: 'create' },
+      ]);
+      expect(getBlobContents()).toEqual([
+        `content of ${join(dir, 'ISSUE_TEMPLATE', 'bug.md')}`,
+        `content of ${join(dir, 'ISSUE_TEMPLATE', 'feature.md')}`,
+      ]);
+    });
+
+    it('should sync the files matching a glob relative to the pattern base', async () => {
+      const changes = await syncFiles(mockOctokit, org, repo, [
+        { path: '.github/workflows', localPath: `${dir}/workflows/**/*.yml` },
+      ]);
+
+      expect(changes).toEqual([
+        { path: '.github/workflows/ci.yml', action: 'create' },
+        { path: '.github/workflows/reusable/release.yml', action: 'create' },
+      ]);
+    });
+
+    it('should let later entries override the files of earlier ones', async () => {
+      const changes = await syncFiles(mockOctokit, org, repo, [
+        { path: '.github', localPath: `${dir}/**`, template: false },
+        { path: '.github/workflows/ci.yml', localPath: 'templates/ci.yml' },
+      ]);
+
+      expect(changes.map((change) => change.path)).toEqual([
+        '.github/ISSUE_TEMPLATE/bug.md',
+        '.github/ISSUE_TEMPLATE/feature.md',
+        '.github/workflows/README.md',
+        '.github/workflows/reusable/release.yml',
+        '.github/workflows/ci.yml',
+      ]);
+      expect(getBlobContents()).toContain('content of templates/ci.yml');
+    });
+
+    it('should plan the files of a directory', async () => {
+      const plan = await planFileSync(mockOctokit, org, repo, [
+        { path: '', localPath: join(dir, 'ISSUE_TEMPLATE') },
+      ]);
+
+      expect(plan.state).toEqual({ 'bug.md': null, 'feature.md': null });
+    });
+
+    it('should create files with the mode of the local file', async () => {
+      await writeFile(join(dir, 'workflows', 'setup.sh'), '', { mode: 0o755 });
+
+      await syncFiles(mockOctokit, org, repo, [
+        { path: '.github/workflows', localPath: `${dir}/workflows/*.sh` },
+        { path: '.github/workflows/ci.yml', localPath: join(dir, 'workflows', 'ci.yml') },
+      ]);
+
+      expect(mockOctokit.git.getTree).not.toHaveBeenCalled();
+      expect(mockOctokit.git.createTree.mock.calls[0][0].tree).toEqual([
+        expect.objectContaining({ path: '.github/workflows/setup.sh', mode: '100755' }),
+        expect.objectContaining({ path: '.github/workflows/ci.yml', mode: '100644' }),
+      ]);
+    });
+
+    it('should throw when a glob matches no files', async () => {
+      await expect(
+        syncFiles(mockOctokit, org, repo, [{ path: '.github', localPath: `${dir}/*.json` }])
+      ).rejects.toThrow(`No local files match ${dir}/*.json`);
+    });
+
+    it('should throw when a directory has no destination path', async () => {
+      const localPath = join(dir, 'workflows');
+
+      await expect(syncFiles(mockOctokit, org, repo, [{ localPath }])).rejects.toThrow(
+        `Files entry for ${localPath} must have a path`
       );
-      expect(errorSpy).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,167 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import { planRepositoryLabels, updateRepositoryLabels } from '../../src/services/labels';
+
+describe('Labels Service', () => {
+  let mockOctokit;
+  const org = 'test-org';
+  const repo = 'test-repo';
+  const params = { owner: org, repo };
+
+  beforeEach(() => {
+    mockOctokit = {
+      issues: {
+        listLabelsForRepo: vi.fn().mockResolvedValue({
+          data: [
+            { id: 1, name: 'bug', color: 'd73a4a', description: "Something isn't working" },
+            { id: 2, name: 'defect', color: 'ffffff', description: null },
+            { id: 3, name: 'wontfix', color: 'ffffff' },
+          ],
+        }),
+        createLabel: vi.fn(),
+        updateLabel: vi.fn(),
+        deleteLabel: vi.fn(),
+      },
+    };
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('planRepositoryLabels', () => {
+    it('should plan label creation, updates and renames', async () => {
+      const plan = await planRepositoryLabels(mockOctokit, org, repo, [
+        { name: 'bug', color: '#D73A4A', description: 'Something is broken' },
+        { name: 'regression', color: 'b60205', from: ['defect'] },
+        { name: 'triage', color: 'fbca04' },
+      ]);
+
+      expect(plan.operations).toEqual([
+        {
+          method: 'issues.updateLabel',
+          params: { ...params, name: 'bug', color: 'd73a4a', description: 'Something is broken' },
+        },
+        {
+          method: 'issues.updateLabel',
+          params: { ...params, name: 'defect', new_name: 'regression', color: 'b60205' },
+        },
+        {
+          method: 'issues.createLabel',
+          params: { ...params, name: 'triage', color: 'fbca04' },
+        },
+      ]);
+    });
+
+    it('should plan the deletion of unlisted labels in exact mode', async () => {
+      const plan = await planRepositoryLabels(
+        mockOctokit,
+        org,
+        repo,
+        [{ name: 'Bug' }, { name: 'regression', from: 'defect' }],
+        'exact'
+      );
+
+      expect(plan.operations).toEqual([
+        { method: 'issues.updateLabel', params: { ...params, name: 'bug', new_name: 'Bug' } },
+        {
+          method: 'issues.updateLabel',
+          params: { ...params, name: 'defect', new_name: 'regression' },
+        },
+        { method: 'issues.deleteLabel', params: { ...params, name: 'wontfix' } },
+      ]);
+    });
+
+    it('should reject labels without a name', async () => {
+      await expect(
+        planRepositoryLabels(mockOctokit, org, repo, [{ color: 'ffffff' }])
+      ).rejects.toThrow('Labels must have a name');
+    });
+  });
+
+  describe('updateRepositoryLabels', () => {
+    const labels = [
+      { name: 'bug', color: 'd73a4a' },
+      { name: 'regression', from: 'defect' },
+      { name: 'triage', color: 'fbca04' },
+    ];
+
+    it('should apply the label changes in live mode', async () => {
+      const changes = await updateRepositoryLabels(mockOctokit, org, repo, labels, 'exact');
+
+      expect(changes).toEqual([
+        { name: 'regression', action: 'rename', from: 'defect' },
+        { name: 'triage', action: 'create' },
+        { name: 'wontfix', action: 'delete' },
+      ]);
+      expect(mockOctokit.issues.updateLabel).toHaveBeenCalledWith({
+        ...params,
+        name: 'defect',
+        new_name: 'regression',
+      });
+      expect(mockOctokit.issues.createLabel).toHaveBeenCalledWith({
+        ...params,
+        name: 'triage',
+        color: 'fbca04',
+      });
+      expect(mockOctokit.issues.deleteLabel).toHaveBeenCalledWith({ ...params, name: 'wontfix' });
+      expect(console.log).toHaveBeenCalledWith('✅ Renamed label defect → regression in test-repo');
+    });
+
+    it('should not delete unlisted labels by default', async () => {
+      const changes = await updateRepositoryLabels(mockOctokit, org, repo, labels);
+
+      expect(changes.map((change) => change.action)).toEqual(['rename', 'create']);
+      expect(mockOctokit.issues.deleteLabel).not.toHaveBeenCalled();
+    });
+
+    it('should log changes in dry run mode without making API calls', async () => {
+      const changes = await updateRepositoryLabels(mockOctokit, org, repo, labels, 'exact', true);
+
+      expect(changes).toHaveLength(3);
+      expect(mockOctokit.issues.updateLabel).not.toHaveBeenCalled();
+      expect(mockOctokit.issues.createLabel).not.toHaveBeenCalled();
+      expect(mockOctokit.issues.deleteLabel).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith('🔍 Would delete label wontfix in test-repo');
+    });
+
+    it('should make no changes when the labels match', async () => {
+      const changes = await updateRepositoryLabels(mockOctokit, org, repo, [
+        { name: 'bug', color: 'd73a4a', description: "Something isn't working" },
+      ]);
+
+      expect(changes).toEqual([]);
+      expect(mockOctokit.issues.updateLabel).not.toHaveBeenCalled();
+    });
+
+    it('should throw API errors', async () => {
+      mockOctokit.issues.createLabel.mockRejectedValue(new Error('API Error'));
+
+      await expect(
+        updateRepositoryLabels(mockOctokit, org, repo, [{ name: 'triage' }])
+      ).rejects.toThrow('API Error');
+    });
+  });
+});
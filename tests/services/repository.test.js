@@ -24,7 +24,12 @@
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 
-import { getRepositories, updateRepositorySettings } from '../../src/services/repository';
+import {
+  getRepositories,
+  getRepositoryState,
+  planRepositorySettings,
+  updateRepositorySettings,
+} from '../../src/services/repository';
 
 describe('Repository Service', () => {
   let mockOctokit;
@@ -72,6 +77,54 @@ describe('Repository Service', () => {
     });
   });
 
+  describe('getRepositoryState', () => {
+    it('should return the current value of each requested setting', async () => {
+      mockOctokit.repos.get.mockResolvedValueOnce({ data: { has_wiki: true, has_issues: false } });
+
+      const state = await getRepositoryState(mockOctokit, org, 'test-repo', [
+        'has_wiki',
+        'allow_auto_merge',
+      ]);
+
+      expect(state).toEqual({ has_wiki: true, allow_auto_merge: null });
+    });
+
+    it('should throw if the settings cannot be fetched', async () => {
+      mockOctokit.repos.get.mockRejectedValueOnce(new Error('API Error'));
+
+      await expect(getRepositoryState(mockOctokit, org, 'test-repo', ['has_wiki'])).rejects.toThrow(
+        'API Error'
+      );
+    });
+  });
+
+  describe('planRepositorySettings', () => {
+    it('should plan an update of the settings that differ', async () => {
+      mockOctokit.repos.get.mockResolvedValueOnce({ data: { has_wiki: true, has_issues: true } });
+
+      const plan = await planRepositorySettings(mockOctokit, org, 'test-repo', {
+        has_wiki: false,
+        has_issues: true,
+      });
+
+      expect(plan).toEqual({
+        state: { has_wiki: true, has_issues: true },
+        operations: [
+          { method: 'repos.update', params: { owner: org, repo: 'test-repo', has_wiki: false } },
+        ],
+      });
+      expect(mockOctokit.repos.update).not.toHaveBeenCalled();
+    });
+
+    it('should plan no operations when the settings match', async () => {
+      mockOctokit.repos.get.mockResolvedValueOnce({ data: { has_wiki: false } });
+
+      const plan = await planRepositorySettings(mockOctokit, org, 'test-repo', { has_wiki: false });
+
+      expect(plan.operations).toEqual([]);
+    });
+  });
+
   describe('updateRepositorySettings', () => {
     const repo = 'test-repo';
     const settings = {
@@ -134,8 +187,9 @@ describe('Repository Service', () => {
       const consoleSpy = vi.spyOn(console, 'log');
       const errorSpy = vi.spyOn(console, 'error');
 
-      await updateRepositorySettings(mockOctokit, org, repo, settings, true);
+      const diff = await updateRepositorySettings(mockOctokit, org, repo, settings, true);
 
+      expect(diff).toEqual(settings.repository);
       expect(mockOctokit.repos.get).toHaveBeenCalledWith({
         owner: org,
         repo,
@@ -148,14 +202,15 @@ describe('Repository Service', () => {
       expect(errorSpy).not.toHaveBeenCalled();
     });
 
-    it('should handle API errors gracefully', async () => {
+    it('should throw API errors', async () => {
       const error = new Error('API Error');
       mockOctokit.repos.get.mockRejectedValueOnce(error);
 
       const consoleSpy = vi.spyOn(console, 'log');
-      const errorSpy = vi.spyOn(console, 'error');
 
-      await updateRepositorySettings(mockOctokit, org, repo, settings);
+      await expect(updateRepositorySettings(mockOctokit, org, repo, settings)).rejects.toThrow(
+        'API Error'
+      );
 
       expect(mockOctokit.repos.get).toHaveBeenCalledWith({
         owner: org,
@@ -163,7 +218,6 @@ describe('Repository Service', () => {
       });
       expect(mockOctokit.repos.update).not.toHaveBeenCalled();
       expect(consoleSpy).not.toHaveBeenCalled();
-      expect(errorSpy).toHaveBeenCalledWith(`❌ Failed to fetch settings for ${repo}:`, error);
     });
 
     it('should skip update if no repository settings provided', async () => {
@@ -0,0 +1,218 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import { getRulesetState, planRulesets, updateRulesets } from '../../src/services/rulesets';
+
+describe('Rulesets Service', () => {
+  let mockOctokit;
+  const org = 'test-org';
+  const repo = 'test-repo';
+  const params = { owner: org, repo };
+  const mainRuleset = {
+    id: 1,
+    name: 'protect-main',
+    target: 'branch',
+    source_type: 'Repository',
+    enforcement: 'active',
+    bypass_actors: [{ actor_id: 5, actor_type: 'RepositoryRole', bypass_mode: 'always' }],
+    conditions: { ref_name: { include: ['~DEFAULT_BRANCH'], exclude: [] } },
+    rules: [
+      { type: 'deletion' },
+      {
+        type: 'pull_request',
+        parameters: { required_approving_review_count: 1, dismiss_stale_reviews_on_push: false },
+      },
+    ],
+    _links: { self: { href: 'https://api.github.com/repos/test-org/test-repo/rulesets/1' } },
+  };
+  const tagRuleset = { id: 2, name: 'protect-tags', target: 'tag', enforcement: 'active' };
+
+  beforeEach(() => {
+    mockOctokit = {
+      repos: {
+        getRepoRulesets: vi.fn().mockResolvedValue({ data: [mainRuleset, tagRuleset] }),
+        getRepoRuleset: vi.fn().mockImplementation(async ({ ruleset_id }) => ({
+          data: ruleset_id === 1 ? mainRuleset : tagRuleset,
+        })),
+        createRepoRuleset: vi.fn(),
+        updateRepoRuleset: vi.fn(),
+        deleteRepoRuleset: vi.fn(),
+      },
+    };
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('getRulesetState', () => {
+    it('should read the rulesets with the given names', async () => {
+      const state = await getRulesetState(mockOctokit, org, repo, ['protect-main', 'missing']);
+
+      expect(state).toEqual({
+        'protect-main': {
+          id: 1,
+          target: 'branch',
+          enforcement: 'active',
+          bypass_actors: mainRuleset.bypass_actors,
+          conditions: mainRuleset.conditions,
+          rules: mainRuleset.rules,
+        },
+        missing: null,
+      });
+      expect(mockOctokit.repos.getRepoRulesets).toHaveBeenCalledWith({
+        ...params,
+        includes_parents: false,
+        per_page: 100,
+        page: 1,
+      });
+      expect(mockOctokit.repos.getRepoRuleset).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fetch rulesets beyond the first page', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({ id: i + 10, name: `r-${i}` }));
+      mockOctokit.repos.getRepoRulesets
+        .mockResolvedValueOnce({ data: firstPage })
+        .mockResolvedValueOnce({ data: [tagRuleset] });
+
+      const state = await getRulesetState(mockOctokit, org, repo, ['protect-tags']);
+
+      expect(state['protect-tags']).toMatchObject({ id: 2, target: 'tag' });
+      expect(state['protect-tags'].rules).toBeNull();
+    });
+  });
+
+  describe('planRulesets', () => {
+    it('should plan the creation, update and deletion of rulesets', async () => {
+      const release = {
+        target: 'branch',
+        enforcement: 'evaluate',
+        conditions: { ref_name: { include: ['refs/heads/release/*'], exclude: [] } },
+        rules: [{ type: 'deletion' }],
+      };
+
+      const plan = await planRulesets(mockOctokit, org, repo, {
+        'protect-main': { enforcement: 'disabled' },
+        'protect-release': release,
+        'protect-tags': null,
+        'already-gone': null,
+      });
+
+      expect(plan.operations).toEqual([
+        {
+          method: 'repos.updateRepoRuleset',
+          params: { ...params, ruleset_id: 1, name: 'protect-main', enforcement: 'disabled' },
+        },
+        {
+          method: 'repos.createRepoRuleset',
+          params: { ...params, name: 'protect-release', ...release },
+        },
+        { method: 'repos.deleteRepoRuleset', params: { ...params, ruleset_id: 2 } },
+      ]);
+    });
+
+    it('should ignore defaults filled in by the API and the order of rules', async () => {
+      const plan = await planRulesets(mockOctokit, org, repo, {
+        'protect-main': {
+          enforcement: 'active',
+          conditions: { ref_name: { include: ['~DEFAULT_BRANCH'] } },
+          rules: [
+            { type: 'pull_request', parameters: { required_approving_review_count: 1 } },
+            { type: 'deletion' },
+          ],
+        },
+      });
+
+      expect(plan.operations).toEqual([]);
+    });
+  });
+
+  describe('updateRulesets', () => {
+    it('should apply the ruleset changes in live mode', async () => {
+      const changes = await updateRulesets(mockOctokit, org, repo, {
+        'protect-main': { rules: [{ type: 'deletion' }] },
+        'protect-tags': null,
+      });
+
+      expect(changes).toEqual([
+        { name: 'protect-main', action: 'update', fields: ['rules'] },
+        { name: 'protect-tags', action: 'delete' },
+      ]);
+      expect(mockOctokit.repos.updateRepoRuleset).toHaveBeenCalledWith({
+        ...params,
+        ruleset_id: 1,
+        name: 'protect-main',
+        rules: [{ type: 'deletion' }],
+      });
+      expect(mockOctokit.repos.deleteRepoRuleset).toHaveBeenCalledWith({
+        ...params,
+        ruleset_id: 2,
+      });
+      expect(console.log).toHaveBeenCalledWith(
+        '✅ Successfully deleted ruleset protect-tags in test-repo'
+      );
+    });
+
+    it('should log changes in dry run mode without making API calls', async () => {
+      const changes = await updateRulesets(
+        mockOctokit,
+        org,
+        repo,
+        { 'protect-main': { enforcement: 'evaluate' }, 'new-ruleset': { enforcement: 'active' } },
+        true
+      );
+
+      expect(changes).toEqual([
+        { name: 'protect-main', action: 'update', fields: ['enforcement'] },
+        { name: 'new-ruleset', action: 'create' },
+      ]);
+      expect(mockOctokit.repos.updateRepoRuleset).not.toHaveBeenCalled();
+      expect(mockOctokit.repos.createRepoRuleset).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(
+        '🔍 Would update ruleset protect-main in test-repo',
+        ['enforcement']
+      );
+      expect(console.log).toHaveBeenCalledWith('🔍 Would create ruleset new-ruleset in test-repo');
+    });
+
+    it('should skip update if rulesets match', async () => {
+      const changes = await updateRulesets(mockOctokit, org, repo, {
+        'protect-tags': { target: 'tag' },
+      });
+
+      expect(changes).toEqual([]);
+      expect(console.log).toHaveBeenCalledWith(
+        '⏭️ Skipping rulesets for test-repo - rulesets match'
+      );
+    });
+
+    it('should throw API errors', async () => {
+      mockOctokit.repos.createRepoRuleset.mockRejectedValue(new Error('Validation Failed'));
+
+      await expect(
+        updateRulesets(mockOctokit, org, repo, { 'new-ruleset': { enforcement: 'active' } })
+      ).rejects.toThrow('Validation Failed');
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import {
+  getSecurityState,
+  planSecuritySettings,
+  updateSecuritySettings,
+} from '../../src/services/security';
+
+describe('Security Service', () => {
+  let mockOctokit;
+  const org = 'test-org';
+  const repo = 'test-repo';
+  const params = { owner: org, repo };
+  const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+
+  beforeEach(() => {
+    mockOctokit = {
+      repos: {
+        get: vi.fn().mockResolvedValue({
+          data: {
+            security_and_analysis: {
+              secret_scanning: { status: 'enabled' },
+              secret_scanning_push_protection: { status: 'disabled' },
+            },
+          },
+        }),
+        update: vi.fn(),
+        checkVulnerabilityAlerts: vi.fn().mockRejectedValue(notFound),
+        enableVulnerabilityAlerts: vi.fn(),
+        disableVulnerabilityAlerts: vi.fn(),
+        checkAutomatedSecurityFixes: vi.fn().mockResolvedValue({ data: { enabled: false } }),
+        enableAutomatedSecurityFixes: vi.fn(),
+        disableAutomatedSecurityFixes: vi.fn(),
+      },
+    };
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('getSecurityState', () => {
+    it('should read each requested setting', async () => {
+      const state = await getSecurityState(mockOctokit, org, repo, [
+        'vulnerability_alerts',
+        'automated_security_fixes',
+        'secret_scanning',
+        'secret_scanning_push_protection',
+      ]);
+
+      expect(state).toEqual({
+        vulnerability_alerts: false,
+        automated_security_fixes: false,
+        secret_scanning: true,
+        secret_scanning_push_protection: false,
+      });
+      expect(mockOctokit.repos.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should treat an empty response as enabled', async () => {
+      mockOctokit.repos.checkVulnerabilityAlerts.mockResolvedValue({ status: 204 });
+
+      const state = await getSecurityState(mockOctokit, org, repo, ['vulnerability_alerts']);
+
+      expect(state).toEqual({ vulnerability_alerts: true });
+      expect(mockOctokit.repos.get).not.toHaveBeenCalled();
+    });
+
+    it('should treat a missing security_and_analysis object as disabled', async () => {
+      mockOctokit.repos.get.mockResolvedValue({ data: {} });
+
+      const state = await getSecurityState(mockOctokit, org, repo, ['secret_scanning']);
+
+      expect(state).toEqual({ secret_scanning: false });
+    });
+
+    it('should reject unknown settings', async () => {
+      await expect(getSecurityState(mockOctokit, org, repo, ['code_scanning'])).rejects.toThrow(
+        'Unknown security setting: code_scanning'
+      );
+    });
+
+    it('should throw API errors other than 404', async () => {
+      mockOctokit.repos.checkAutomatedSecurityFixes.mockRejectedValue(new Error('API Error'));
+
+      await expect(
+        getSecurityState(mockOctokit, org, repo, ['automated_security_fixes'])
+      ).rejects.toThrow('API Error');
+    });
+  });
+
+  describe('planSecuritySettings', () => {
+    it('should enable vulnerability alerts before security updates', async () => {
+      const plan = await planSecuritySettings(mockOctokit, org, repo, {
+        vulnerability_alerts: true,
+        automated_security_fixes: true,
+        secret_scanning: true,
+        secret_scanning_push_protection: true,
+      });
+
+      expect(plan.operations).toEqual([
+        { method: 'repos.enableVulnerabilityAlerts', params },
+        { method: 'repos.enableAutomatedSecurityFixes', params },
+        {
+          method: 'repos.update',
+          params: {
+            ...params,
+            security_and_analysis: { secret_scanning_push_protection: { status: 'enabled' } },
+          },
+        },
+      ]);
+    });
+
+    it('should disable security updates before vulnerability alerts', async () => {
+      mockOctokit.repos.checkVulnerabilityAlerts.mockResolvedValue({ status: 204 });
+      mockOctokit.repos.checkAutomatedSecurityFixes.mockResolvedValue({ data: { enabled: true } });
+
+      const plan = await planSecuritySettings(mockOctokit, org, repo, {
+        vulnerability_alerts: false,
+        automated_security_fixes: false,
+        secret_scanning: false,
+      });
+
+      expect(plan.operations).toEqual([
+        { method: 'repos.disableAutomatedSecurityFixes', params },
+        { method: 'repos.disableVulnerabilityAlerts', params },
+        {
+          method: 'repos.update',
+          params: { ...params, security_and_analysis: { secret_scanning: { status: 'disabled' } } },
+        },
+      ]);
+    });
+  });
+
+  describe('updateSecuritySettings', () => {
+    it('should update the settings that differ in live mode', async () => {
+      const diff = await updateSecuritySettings(mockOctokit, org, repo, {
+        vulnerability_alerts: true,
+        secret_scanning: true,
+      });
+
+      expect(diff).toEqual({ vulnerability_alerts: true });
+      expect(mockOctokit.repos.enableVulnerabilityAlerts).toHaveBeenCalledWith(params);
+      expect(mockOctokit.repos.update).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(
+        '✅ Successfully updated security settings for test-repo'
+      );
+    });
+
+    it('should log changes in dry run mode without making API calls', async () => {
+      const diff = await updateSecuritySettings(
+        mockOctokit,
+        org,
+        repo,
+        { secret_scanning_push_protection: true },
+        true
+      );
+
+      expect(diff).toEqual({ secret_scanning_push_protection: true });
+      expect(mockOctokit.repos.update).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(
+        '🔍 Would update security settings for test-repo:',
+        diff
+      );
+    });
+
+    it('should skip update if settings match', async () => {
+      const diff = await updateSecuritySettings(mockOctokit, org, repo, {
+        vulnerability_alerts: false,
+        secret_scanning: true,
+      });
+
+      expect(diff).toEqual({});
+      expect(console.log).toHaveBeenCalledWith(
+        '⏭️ Skipping security settings for test-repo - settings match'
+      );
+    });
+
+    it('should throw API errors', async () => {
+      mockOctokit.repos.update.mockRejectedValue(new Error('API Error'));
+
+      await expect(
+        updateSecuritySettings(mockOctokit, org, repo, { secret_scanning: false })
+      ).rejects.toThrow('API Error');
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import {
+  listRepositoryTeams,
+  planRepositoryTeams,
+  updateRepositoryTeams,
+} from '../../src/services/teams';
+
+describe('Teams Service', () => {
+  let mockOctokit;
+  const org = 'test-org';
+  const repo = 'test-repo';
+
+  beforeEach(() => {
+    mockOctokit = {
+      repos: {
+        listTeams: vi.fn(),
+      },
+      teams: {
+        addOrUpdateRepoPermissionsInOrg: vi.fn(),
+        removeRepoInOrg: vi.fn(),
+      },
+    };
+    vi.clearAllMocks();
+  });
+
+  describe('listRepositoryTeams', () => {
+    it('should fetch all teams across pages', async () => {
+      const page = Array.from({ length: 100 }, (_, i) => ({
+        id: i,
+        slug: `team-${i}`,
+        permission: 'pull',
+      }));
+      mockOctokit.repos.listTeams
+        .mockResolvedValueOnce({ data: page })
+        .mockResolvedValueOnce({ data: [{ id: 100, slug: 'platform', permission: 'admin' }] });
+
+      const teams = await listRepositoryTeams(mockOctokit, org, repo);
+
+      expect(teams).toHaveLength(101);
+      expect(teams[100]).toEqual({ slug: 'platform', permission: 'admin' });
+      expect(mockOctokit.repos.listTeams).toHaveBeenLastCalledWith({
+        owner: org,
+        repo,
+        per_page: 100,
+        page: 2,
+      });
+    });
+  });
+
+  describe('planRepositoryTeams', () => {
+    it('should plan granting and updating team permissions', async () => {
+      mockOctokit.repos.listTeams.mockResolvedValueOnce({
+        data: [
+          { slug: 'platform', permission: 'push' },
+          { slug: 'docs', permission: 'pull' },
+        ],
+      });
+
+      const plan = await planRepositoryTeams(mockOctokit, org, repo, {
+        platform: 'admin',
+        docs: 'read',
+        security: 'security-reviewer',
+      });
+
+      expect(plan).toEqual({
+        state: [
+          { slug: 'platform', permission: 'push' },
+          { slug: 'docs', permission: 'pull' },
+        ],
+        operations: [
+          {
+            method: 'teams.addOrUpdateRepoPermissionsInOrg',
+            params: { org, team_slug: 'platform', owner: org, repo, permission: 'admin' },
+          },
+          {
+            method: 'teams.addOrUpdateRepoPermissionsInOrg',
+            params: {
+              org,
+              team_slug: 'security',
+              owner: org,
+              repo,
+              permission: 'security-reviewer',
+            },
+          },
+        ],
+      });
+      expect(mockOctokit.teams.addOrUpdateRepoPermissionsInOrg).not.toHaveBeenCalled();
+    });
+
+    it('should plan removing unlisted teams in exact mode', async () => {
+      mockOctokit.repos.listTeams.mockResolvedValueOnce({
+        data: [
+          { slug: 'Platform', permission: 'admin' },
+          { slug: 'legacy', permission: 'push' },
+        ],
+      });
+
+      const plan = await planRepositoryTeams(
+        mockOctokit,
+        org,
+        repo,
+        { platform: 'admin' },
+        'exact'
+      );
+
+      expect(plan.operations).toEqual([
+        {
+          method: 'teams.removeRepoInOrg',
+          params: { org, team_slug: 'legacy', owner: org, repo },
+        },
+      ]);
+    });
+  });
+
+  describe('updateRepositoryTeams', () => {
+    it('should add, update and remove teams', async () => {
+      mockOctokit.repos.listTeams.mockResolvedValueOnce({
+        data: [
+          { slug: 'docs', permission: 'pull' },
+          { slug: 'legacy', permission: 'push' },
+        ],
+      });
+      const consoleSpy = vi.spyOn(console, 'log');
+
+      const changes = await updateRepositoryTeams(
+        mockOctokit,
+        org,
+        repo,
+        { platform: 'admin', docs: 'write' },
+        'exact'
+      );
+
+      expect(changes).toEqual([
+        { team: 'platform', from: null, to: 'admin' },
+        { team: 'docs', from: 'pull', to: 'push' },
+        { team: 'legacy', from: 'push', to: null },
+      ]);
+      expect(mockOctokit.teams.addOrUpdateRepoPermissionsInOrg).toHaveBeenCalledWith({
+        org,
+        team_slug: 'docs',
+        owner: org,
+        repo,
+        permission: 'push',
+      });
+      expect(mockOctokit.teams.removeRepoInOrg).toHaveBeenCalledWith({
+        org,
+        team_slug: 'legacy',
+        owner: org,
+        repo,
+      });
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `✅ Added team platform with permission admin in ${repo}`
+      );
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `✅ Updated permission for team docs from pull to push in ${repo}`
+      );
+      expect(consoleSpy).toHaveBeenCalledWith(`✅ Removed team legacy in ${repo}`);
+    });
+
+    it('should log changes in dry run mode without making API calls', async () => {
+      mockOctokit.repos.listTeams.mockResolvedValueOnce({
+        data: [{ slug: 'legacy', permission: 'push' }],
+      });
+      const consoleSpy = vi.spyOn(console, 'log');
+
+      const changes = await updateRepositoryTeams(mockOctokit, org, repo, {}, 'exact', true);
+
+      expect(changes).toEqual([{ team: 'legacy', from: 'push', to: null }]);
+      expect(mockOctokit.teams.removeRepoInOrg).not.toHaveBeenCalled();
+      expect(consoleSpy).toHaveBeenCalledWith(`🔍 Would remove team legacy in ${repo}`);
+    });
+
+    it('should keep unlisted teams outside of exact mode', async () => {
+      mockOctokit.repos.listTeams.mockResolvedValueOnce({
+        data: [{ slug: 'legacy', permission: 'push' }],
+      });
+
+      const changes = await updateRepositoryTeams(mockOctokit, org, repo, { legacy: 'push' });
+
+      expect(changes).toEqual([]);
+      expect(mockOctokit.teams.addOrUpdateRepoPermissionsInOrg).not.toHaveBeenCalled();
+    });
+
+    it('should throw when a team has no permission', async () => {
+      mockOctokit.repos.listTeams.mockResolvedValueOnce({ data: [] });
+
+      await expect(
+        updateRepositoryTeams(mockOctokit, org, repo, { platform: null })
+      ).rejects.toThrow('Team platform must have a permission');
+    });
+  });
+});
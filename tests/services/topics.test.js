@@ -0,0 +1,158 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import {
+  getDesiredTopics,
+  getRepositoryTopics,
+  planRepositoryTopics,
+  updateRepositoryTopics,
+} from '../../src/services/topics';
+
+describe('Topics Service', () => {
+  let mockOctokit;
+  const org = 'test-org';
+  const repo = 'test-repo';
+
+  beforeEach(() => {
+    mockOctokit = {
+      repos: {
+        getAllTopics: vi.fn().mockResolvedValue({ data: { names: ['javascript', 'legacy'] } }),
+        replaceAllTopics: vi.fn(),
+      },
+    };
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('getRepositoryTopics', () => {
+    it('should return the repository topics', async () => {
+      const topics = await getRepositoryTopics(mockOctokit, org, repo);
+
+      expect(topics).toEqual(['javascript', 'legacy']);
+      expect(mockOctokit.repos.getAllTopics).toHaveBeenCalledWith({ owner: org, repo });
+    });
+
+    it('should throw API errors', async () => {
+      mockOctokit.repos.getAllTopics.mockRejectedValue(new Error('API Error'));
+
+      await expect(getRepositoryTopics(mockOctokit, org, repo)).rejects.toThrow('API Error');
+    });
+  });
+
+  describe('getDesiredTopics', () => {
+    const current = ['javascript', 'legacy'];
+
+    it('should enforce an exact set of topics', () => {
+      expect(getDesiredTopics(current, { exact: ['Catalog', 'javascript', 'catalog'] })).toEqual([
+        'catalog',
+        'javascript',
+      ]);
+    });
+
+    it('should add present topics and remove absent topics', () => {
+      expect(getDesiredTopics(current, { present: ['catalog'], absent: ['legacy'] })).toEqual([
+        'javascript',
+        'catalog',
+      ]);
+    });
+
+    it('should reject exact combined with present or absent', () => {
+      expect(() => getDesiredTopics(current, { exact: ['a'], absent: ['b'] })).toThrow(
+        'Topic settings cannot combine exact with present or absent'
+      );
+    });
+  });
+
+  describe('planRepositoryTopics', () => {
+    it('should plan a replacement of all topics', async () => {
+      const plan = await planRepositoryTopics(mockOctokit, org, repo, { present: ['catalog'] });
+
+      expect(plan).toEqual({
+        state: ['javascript', 'legacy'],
+        operations: [
+          {
+            method: 'repos.replaceAllTopics',
+            params: { owner: org, repo, names: ['javascript', 'legacy', 'catalog'] },
+          },
+        ],
+      });
+    });
+
+    it('should plan no operations when the topics match', async () => {
+      const plan = await planRepositoryTopics(mockOctokit, org, repo, { absent: ['catalog'] });
+
+      expect(plan.operations).toEqual([]);
+    });
+  });
+
+  describe('updateRepositoryTopics', () => {
+    it('should replace the topics in live mode', async () => {
+      const diff = await updateRepositoryTopics(mockOctokit, org, repo, {
+        exact: ['javascript', 'catalog'],
+      });
+
+      expect(diff).toEqual({ added: ['catalog'], removed: ['legacy'] });
+      expect(mockOctokit.repos.replaceAllTopics).toHaveBeenCalledWith({
+        owner: org,
+        repo,
+        names: ['javascript', 'catalog'],
+      });
+      expect(console.log).toHaveBeenCalledWith('✅ Successfully updated topics for test-repo');
+    });
+
+    it('should log changes in dry run mode without making API calls', async () => {
+      const diff = await updateRepositoryTopics(
+        mockOctokit,
+        org,
+        repo,
+        { absent: ['legacy'] },
+        true
+      );
+
+      expect(diff).toEqual({ added: [], removed: ['legacy'] });
+      expect(mockOctokit.repos.replaceAllTopics).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith('🔍 Would update topics for test-repo:', diff);
+    });
+
+    it('should skip update if topics match', async () => {
+      const diff = await updateRepositoryTopics(mockOctokit, org, repo, {
+        exact: ['legacy', 'javascript'],
+      });
+
+      expect(diff).toEqual({});
+      expect(mockOctokit.repos.replaceAllTopics).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith('⏭️ Skipping topics for test-repo - topics match');
+    });
+
+    it('should throw API errors', async () => {
+      mockOctokit.repos.replaceAllTopics.mockRejectedValue(new Error('API Error'));
+
+      await expect(
+        updateRepositoryTopics(mockOctokit, org, repo, { present: ['catalog'] })
+      ).rejects.toThrow('API Error');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import { describe, it, expect } from 'vitest';
+
+import { replaceBlock } from '../../src/utils/block';
+
+describe('Block Utils', () => {
+  describe('replaceBlock', () => {
+    it('should replace the content between the markers and keep the rest of the text', () => {
+      const text = 'node_modules\n# BEGIN settings-sync\n.env\n# END settings-sync\ndist\n';
+
+      expect(replaceBlock(text, 'coverage\n.env\n')).toBe(
+        'node_modules\n# BEGIN settings-sync\ncoverage\n.env\n# END settings-sync\ndist\n'
+      );
+    });
+
+    it('should return the same text when the block matches', () => {
+      const text = '# BEGIN settings-sync\ncoverage\n# END settings-sync\n# team entries\n';
+
+      expect(replaceBlock(text, 'coverage\n')).toBe(text);
+    });
+
+    it('should add the block at the end of text without a block', () => {
+      expect(replaceBlock('node_modules', 'coverage\n')).toBe(
+        'node_modules\n# BEGIN settings-sync\ncoverage\n# END settings-sync\n'
+      );
+      expect(replaceBlock('node_modules\n', 'coverage')).toBe(
+        'node_modules\n# BEGIN settings-sync\ncoverage\n# END settings-sync\n'
+      );
+    });
+
+    it('should create the block in empty text', () => {
+      expect(replaceBlock('', '* @org/maintainers\n')).toBe(
+        '# BEGIN settings-sync\n* @org/maintainers\n# END settings-sync\n'
+      );
+    });
+
+    it('should empty the block for empty content', () => {
+      expect(replaceBlock('# BEGIN settings-sync\nold\n# END settings-sync\n', '')).toBe(
+        '# BEGIN settings-sync\n# END settings-sync\n'
+      );
+    });
+
+    it('should use the configured markers', () => {
+      const markers = { begin: '<!-- BEGIN badges -->', end: '<!-- END badges -->' };
+      const text = '# Widgets\n\n  <!-- BEGIN badges -->\nold\n<!-- END badges -->\n\nUsage\n';
+
+      expect(replaceBlock(text, '![CI](ci.svg)\n', markers)).toBe(
+        '# Widgets\n\n<!-- BEGIN badges -->\n![CI](ci.svg)\n<!-- END badges -->\n\nUsage\n'
+      );
+    });
+
+    it('should keep the CRLF line endings of the text', () => {
+      expect(replaceBlock('a\r\nb\r\n', 'x\n')).toBe(
+        'a\r\nb\r\n# BEGIN settings-sync\r\nx\r\n# END settings-sync\r\n'
+      );
+      expect(
+        replaceBlock('a\r\n# BEGIN settings-sync\r\nold\r\n# END settings-sync\r\nb\r\n', 'x\ny\n')
+      ).toBe('a\r\n# BEGIN settings-sync\r\nx\r\ny\r\n# END settings-sync\r\nb\r\n');
+    });
+
+    it('should throw when the end marker is missing', () => {
+      expect(() => replaceBlock('# BEGIN settings-sync\ncoverage\n', 'coverage')).toThrow(
+        'Missing end marker: # END settings-sync'
+      );
+    });
+  });
+});
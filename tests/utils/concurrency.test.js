@@ -0,0 +1,74 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+import { mapWithConcurrency } from '../../src/utils/concurrency';
+
+describe('Concurrency Utils', () => {
+  describe('mapWithConcurrency', () => {
+    it('should return the results in item order', async () => {
+      const results = await mapWithConcurrency([30, 10, 20], 3, async (delay, index) => {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        return `${index}:${delay}`;
+      });
+
+      expect(results).toEqual(['0:30', '1:10', '2:20']);
+    });
+
+    it('should run at most the given number of calls at a time', async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running--;
+      });
+
+      expect(maxRunning).toBe(2);
+    });
+
+    it('should handle empty lists', async () => {
+      const fn = vi.fn();
+
+      expect(await mapWithConcurrency([], 4, fn)).toEqual([]);
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    it('should stop starting new calls and rethrow when a call fails', async () => {
+      const error = new Error('Test error');
+      const fn = vi.fn(async (item) => {
+        if (item === 2) {
+          throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      });
+
+      await expect(mapWithConcurrency([1, 2, 3, 4, 5], 2, fn)).rejects.toThrow(error);
+      expect(fn).not.toHaveBeenCalledWith(5, 4);
+    });
+  });
+});
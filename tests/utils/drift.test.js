@@ -0,0 +1,135 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import { SectionSyncError } from '../../src/errors';
+import { describeSection, formatDrift } from '../../src/utils/drift';
+
+describe('Drift Utils', () => {
+  describe('describeSection', () => {
+    it('should list ruleset changes with the fields that differ', () => {
+      expect(
+        describeSection('rulesets', [
+          { name: 'protect-main', action: 'update', fields: ['rules', 'enforcement'] },
+          { name: 'protect-tags', action: 'create' },
+        ])
+      ).toBe('update protect-main (rules, enforcement), create protect-tags');
+    });
+
+    it('should list label changes', () => {
+      expect(
+        describeSection('labels', [
+          { name: 'regression', action: 'rename', from: 'defect' },
+          { name: 'wontfix', action: 'delete' },
+        ])
+      ).toBe('rename defect → regression, delete wontfix');
+    });
+
+    it('should list added and removed topics', () => {
+      expect(describeSection('topics', { added: ['catalog'], removed: ['legacy'] })).toBe(
+        '+catalog, -legacy'
+      );
+    });
+
+    it('should list removed collaborators and cancelled invitations', () => {
+      expect(
+        describeSection('collaborators', [
+          { username: 'user1', from: 'write', to: null },
+          { username: 'user2', from: 'read', to: null, invitation: true },
+          { username: 'user3', from: 'read', to: 'write', invitation: true },
+        ])
+      ).toBe('remove user1, cancel invitation for user2, invitation for user3 read → write');
+    });
+
+    it('should list team permission changes', () => {
+      expect(
+        describeSection('teams', [
+          { team: 'platform', from: null, to: 'admin' },
+          { team: 'docs', from: 'pull', to: 'push' },
+          { team: 'legacy', from: 'push', to: null },
+        ])
+      ).toBe('add platform (admin), docs pull → push, remove legacy');
+    });
+  });
+
+  describe('formatDrift', () => {
+    it('should list the drift of each section per repository', () => {
+      const repositories = [
+        {
+          repo: 'repo1',
+          status: 'changed',
+          sections: {
+            repository: { status: 'changed', diff: { has_wiki: false, has_issues: true } },
+            collaborators: {
+              status: 'changed',
+              diff: [
+                { username: 'user1', from: 'write', to: 'admin' },
+                { username: 'user2', from: null, to: 'read' },
+              ],
+            },
+          },
+        },
+        {
+          repo: 'repo2',
+          status: 'failed',
+          sections: {
+            repository: { status: 'unchanged' },
+            branch_protection: {
+              status: 'changed',
+              diff: { main: { enforce_admins: true, allow_deletions: false } },
+            },
+            files: {
+              status: 'changed',
+              diff: [
+                { path: '.gitignore', action: 'create' },
+                { path: 'README.md', action: 'update' },
+              ],
+            },
+            collaborators: {
+              status: 'failed',
+              error: new SectionSyncError('repo2', 'collaborators', new Error('Not Found')),
+            },
+          },
+        },
+      ];
+
+      expect(formatDrift(repositories)).toBe(
+        [
+          '❌ repo1',
+          '  - repository: has_wiki, has_issues',
+          '  - collaborators: user1 write → admin, add user2 (read)',
+          '❌ repo2',
+          '  - branch_protection: main (enforce_admins, allow_deletions)',
+          '  - files: create .gitignore, update README.md',
+          '  - collaborators: failed (Not Found)',
+        ].join('\n')
+      );
+    });
+
+    it('should return an empty string when there is no drift', () => {
+      expect(formatDrift([])).toBe('');
+    });
+  });
+});
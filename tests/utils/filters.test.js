@@ -58,9 +58,23 @@ describe('Filters Utility', () => {
       expect(mockOctokit.issues.listLabelsForRepo).toHaveBeenCalledWith({
         owner: org,
         repo: repo.name,
+        per_page: 100,
+        page: 1,
       });
     });
 
+    it('should fetch labels beyond the first page', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({ name: `label-${i}` }));
+      mockOctokit.issues.listLabelsForRepo
+        .mockResolvedValueOnce({ data: firstPage })
+        .mockResolvedValueOnce({ data: [{ name: 'active' }] });
+
+      const labels = await getRepositoryLabels(mockOctokit, org, repo.name);
+
+      expect(labels).toHaveLength(101);
+      expect(labels).toContain('active');
+    });
+
     it('should handle API errors gracefully', async () => {
       const error = new Error('API Error');
       mockOctokit.issues.listLabelsForRepo.mockRejectedValueOnce(error);
@@ -148,6 +162,8 @@ describe('Filters Utility', () => {
       expect(mockOctokit.issues.listLabelsForRepo).toHaveBeenCalledWith({
         owner: org,
         repo: repo.name,
+        per_page: 100,
+        page: 1,
       });
     });
 
@@ -203,6 +219,8 @@ describe('Filters Utility', () => {
       expect(mockOctokit.issues.listLabelsForRepo).toHaveBeenCalledWith({
         owner: org,
         repo: repo.name,
+        per_page: 100,
+        page: 1,
       });
     });
   });
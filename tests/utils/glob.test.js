@@ -0,0 +1,52 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import { describe, it, expect } from 'vitest';
+
+import { globToRegExp, isGlob } from '../../src/utils/glob';
+
+describe('Glob Utils', () => {
+  describe('isGlob', () => {
+    it('should detect wildcards', () => {
+      expect(isGlob('release/*')).toBe(true);
+      expect(isGlob('v?')).toBe(true);
+      expect(isGlob('main')).toBe(false);
+    });
+  });
+
+  describe('globToRegExp', () => {
+    it.each([
+      ['release/*', 'release/1.0', true],
+      ['release/*', 'release/1.0/hotfix', false],
+      ['v?', 'v1', true],
+      ['v?', 'v10', false],
+      ['hotfix/**', 'hotfix/a/b', true],
+      ['.github/**/*.yml', '.github/ci.yml', true],
+      ['.github/**/*.yml', '.github/workflows/ci.yml', true],
+      ['.github/**/*.yml', '.github/workflows/ci.yaml', false],
+      ['a.b', 'axb', false],
+    ])('should match %s against %s: %s', (pattern, name, expected) => {
+      expect(globToRegExp(pattern).test(name)).toBe(expected);
+    });
+  });
+});
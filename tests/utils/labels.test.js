@@ -0,0 +1,77 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import { listRepositoryLabels } from '../../src/utils/labels';
+
+describe('Labels Utility', () => {
+  let mockOctokit;
+  const org = 'test-org';
+  const repo = 'test-repo';
+  const params = { owner: org, repo };
+
+  beforeEach(() => {
+    mockOctokit = {
+      issues: {
+        listLabelsForRepo: vi.fn().mockResolvedValue({
+          data: [
+            { id: 1, name: 'bug', color: 'd73a4a', description: "Something isn't working" },
+            { id: 2, name: 'defect', color: 'ffffff', description: null },
+            { id: 3, name: 'wontfix', color: 'ffffff' },
+          ],
+        }),
+      },
+    };
+  });
+
+  describe('listRepositoryLabels', () => {
+    it('should fetch all labels with pagination', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({
+        name: `label-${i}`,
+        color: 'ffffff',
+        description: null,
+      }));
+      mockOctokit.issues.listLabelsForRepo
+        .mockResolvedValueOnce({ data: firstPage })
+        .mockResolvedValueOnce({ data: [{ name: 'last', color: '000000', description: 'Last' }] });
+
+      const labels = await listRepositoryLabels(mockOctokit, org, repo);
+
+      expect(labels).toHaveLength(101);
+      expect(labels[100]).toEqual({ name: 'last', color: '000000', description: 'Last' });
+      expect(mockOctokit.issues.listLabelsForRepo).toHaveBeenNthCalledWith(2, {
+        ...params,
+        per_page: 100,
+        page: 2,
+      });
+    });
+
+    it('should only keep the managed label fields', async () => {
+      const labels = await listRepositoryLabels(mockOctokit, org, repo);
+
+      expect(labels[2]).toEqual({ name: 'wontfix', color: 'ffffff', description: null });
+    });
+  });
+});
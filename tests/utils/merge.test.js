@@ -0,0 +1,160 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import { describe, it, expect } from 'vitest';
+
+import { deepMerge, mergeFile, mergeJson, mergeYaml } from '../../src/utils/merge';
+
+describe('Merge Utils', () => {
+  describe('deepMerge', () => {
+    it('should merge objects key by key, keeping the existing key order', () => {
+      const merged = deepMerge(
+        { name: 'widgets', engines: { node: '>=16', npm: '>=8' }, private: true },
+        { engines: { node: '>=20' }, license: 'MIT' }
+      );
+
+      expect(merged).toEqual({
+        name: 'widgets',
+        engines: { node: '>=20', npm: '>=8' },
+        private: true,
+        license: 'MIT',
+      });
+      expect(Object.keys(merged)).toEqual(['name', 'engines', 'private', 'license']);
+    });
+
+    it('should replace arrays and scalars', () => {
+      expect(deepMerge({ extends: ['a', 'b'] }, { extends: ['c'] })).toEqual({ extends: ['c'] });
+      expect(deepMerge({ node: { version: 18 } }, { node: '20' })).toEqual({ node: '20' });
+      expect(deepMerge('old', { key: 'value' })).toEqual({ key: 'value' });
+    });
+  });
+
+  describe('mergeJson', () => {
+    it('should keep the indentation and trailing newline of the document', () => {
+      const existing =
+        '{\n    "name": "widgets",\n    "engines": {\n        "node": ">=16"\n    }\n}\n';
+
+      expect(mergeJson(existing, '{"engines": {"node": ">=20"}}')).toBe(
+        '{\n    "name": "widgets",\n    "engines": {\n        "node": ">=20"\n    }\n}\n'
+      );
+    });
+
+    it('should use two spaces for documents on a single line', () => {
+      expect(mergeJson('{"extends":[]}', '{"extends":["config:recommended"]}')).toBe(
+        '{\n  "extends": [\n    "config:recommended"\n  ]\n}'
+      );
+    });
+
+    it('should return the document unchanged when the fragment is already present', () => {
+      const existing = '{"extends": ["config:recommended"], "labels": ["deps"]}';
+
+      expect(mergeJson(existing, '{"extends": ["config:recommended"]}')).toBe(existing);
+    });
+  });
+
+  describe('mergeYaml', () => {
+    const workflow = [
+      '# Continuous integration',
+      'name: CI',
+      'on: push',
+      'jobs:',
+      '  test:',
+      '    runs-on: ubuntu-latest # pinned by the team',
+      '',
+    ].join('\n');
+
+    it('should add entries while keeping comments and key order', () => {
+      const merged = mergeYaml(workflow, 'jobs:\n  lint:\n    runs-on: ubuntu-latest\n');
+
+      expect(merged).toBe(
+        [
+          '# Continuous integration',
+          'name: CI',
+          'on: push',
+          'jobs:',
+          '  test:',
+          '    runs-on: ubuntu-latest # pinned by the team',
+          '  lint:',
+          '    runs-on: ubuntu-latest',
+          '',
+        ].join('\n')
+      );
+    });
+
+    it('should replace values in nested maps and arrays', () => {
+      const merged = mergeYaml(
+        workflow,
+        'on: [push, pull_request]\njobs:\n  test:\n    runs-on: macos-latest\n'
+      );
+
+      expect(merged).toBe(
+        [
+          '# Continuous integration',
+          'name: CI',
+          'on:',
+          '  - push',
+          '  - pull_request',
+          'jobs:',
+          '  test:',
+          '    runs-on: macos-latest # pinned by the team',
+          '',
+        ].join('\n')
+      );
+    });
+
+    it('should return the document unchanged when the fragment is already present', () => {
+      expect(mergeYaml(workflow, 'jobs:\n  test:\n    runs-on: ubuntu-latest\n')).toBe(workflow);
+    });
+
+    it('should merge into an empty document', () => {
+      expect(mergeYaml('', 'version: 2\n')).toBe('version: 2\n');
+    });
+
+    it('should replace a document that is not a map', () => {
+      expect(mergeYaml('- a\n- b\n', 'key: value\n')).toBe('key: value\n');
+    });
+
+    it('should throw for invalid documents', () => {
+      expect(() => mergeYaml('key: [unclosed\n', 'key: value\n')).toThrow();
+    });
+  });
+
+  describe('mergeFile', () => {
+    it('should choose the format from the file extension', () => {
+      expect(mergeFile('renovate.json', '{}', '{"extends": []}')).toBe('{\n  "extends": []\n}');
+      expect(mergeFile('.github/dependabot.YAML', 'version: 2\n', 'updates: []\n')).toBe(
+        'version: 2\nupdates: []\n'
+      );
+    });
+
+    it('should throw for files that are not JSON or YAML', () => {
+      expect(() => mergeFile('.gitignore', 'node_modules', 'coverage')).toThrow(
+        'Cannot merge .gitignore: only JSON and YAML files can be merged'
+      );
+    });
+
+    it('should name the file when it cannot be parsed', () => {
+      expect(() => mergeFile('package.json', '{', '{}')).toThrow(/^Failed to merge package.json: /);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { Octokit } from '@octokit/rest';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+import { createThrottledOctokit } from '../../src/utils/octokit';
+
+vi.mock('@octokit/rest', () => {
+  class MockOctokit {
+    constructor(options) {
+      this.options = options;
+    }
+  }
+  return {
+    Octokit: { plugin: vi.fn(() => MockOctokit) },
+  };
+});
+
+describe('Octokit Utils', () => {
+  const requestOptions = { method: 'GET', url: '/repos/{owner}/{repo}' };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('createThrottledOctokit', () => {
+    it('should create an Octokit instance with the throttling and retry plugins', () => {
+      const octokit = createThrottledOctokit({
+        auth: 'test-token',
+        baseUrl: 'https://github.example.com/api/v3',
+        maxRetries: 5,
+      });
+
+      expect(Octokit.plugin).toHaveBeenCalledWith(expect.any(Function), expect.any(Function));
+      expect(octokit.options).toMatchObject({
+        auth: 'test-token',
+        baseUrl: 'https://github.example.com/api/v3',
+        retry: { retries: 5 },
+      });
+    });
+
+    it('should retry rate limited requests until the maximum number of retries', () => {
+      const { throttle } = createThrottledOctokit({ auth: 'test-token', maxRetries: 2 }).options;
+
+      expect(throttle.onRateLimit(60, requestOptions, {}, 0)).toBe(true);
+      expect(throttle.onRateLimit(60, requestOptions, {}, 1)).toBe(true);
+      expect(throttle.onRateLimit(60, requestOptions, {}, 2)).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith(
+        '⚠️ Rate limit hit for GET /repos/{owner}/{repo}, retrying after 60 seconds'
+      );
+      expect(console.warn).toHaveBeenCalledWith(
+        '⚠️ Rate limit hit for GET /repos/{owner}/{repo}, giving up'
+      );
+    });
+
+    it('should retry requests hitting the secondary rate limit', () => {
+      const { throttle } = createThrottledOctokit({ auth: 'test-token' }).options;
+
+      expect(throttle.onSecondaryRateLimit(30, requestOptions, {}, 0)).toBe(true);
+      expect(throttle.onSecondaryRateLimit(30, requestOptions, {}, 3)).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith(
+        '⚠️ Secondary rate limit hit for GET /repos/{owner}/{repo}, retrying after 30 seconds'
+      );
+    });
+  });
+});
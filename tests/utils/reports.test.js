@@ -0,0 +1,182 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import { SectionSyncError } from '../../src/errors';
+import {
+  formatJsonReport,
+  formatJUnitReport,
+  formatMarkdownReport,
+  parseReportOption,
+} from '../../src/utils/reports';
+
+describe('Report Utils', () => {
+  const createResult = (dryRun) => ({
+    org: 'test-org',
+    dryRun,
+    total: 3,
+    processed: 2,
+    skipped: 1,
+    repositories: [
+      {
+        repo: 'repo1',
+        status: 'failed',
+        sections: {
+          repository: { status: 'changed', diff: { has_wiki: false } },
+          files: {
+            status: 'failed',
+            error: new SectionSyncError('repo1', 'files', new Error('Not <Found>')),
+          },
+        },
+      },
+      {
+        repo: 'repo2',
+        status: 'unchanged',
+        sections: { repository: { status: 'unchanged' } },
+      },
+    ],
+  });
+
+  describe('formatJsonReport', () => {
+    it('should include the counts and the result of each section', () => {
+      const report = JSON.parse(formatJsonReport(createResult(true)));
+
+      expect(report).toEqual({
+        org: 'test-org',
+        mode: 'dry-run',
+        total: 3,
+        processed: 2,
+        skipped: 1,
+        unchanged: 1,
+        changed: 0,
+        failed: 1,
+        repositories: [
+          {
+            repo: 'repo1',
+            status: 'failed',
+            sections: {
+              repository: { status: 'changed', diff: { has_wiki: false } },
+              files: {
+                status: 'failed',
+                error: {
+                  name: 'SectionSyncError',
+                  message: 'Failed to sync files for repo1: Not <Found>',
+                },
+              },
+            },
+          },
+          {
+            repo: 'repo2',
+            status: 'unchanged',
+            sections: { repository: { status: 'unchanged' } },
+          },
+        ],
+      });
+    });
+  });
+
+  describe('formatJUnitReport', () => {
+    it('should report drift as failures and errors as errors in dry-run mode', () => {
+      const report = formatJUnitReport(createResult(true));
+
+      expect(report).toContain(
+        '<testsuites name="github-settings-sync" tests="3" failures="1" errors="1">'
+      );
+      expect(report).toContain(
+        '<testcase classname="repo1" name="repository">\n      <failure message="Drift detected in repository">has_wiki</failure>'
+      );
+      expect(report).toContain(
+        '<error message="Not &lt;Found&gt;">Failed to sync files for repo1: Not &lt;Found&gt;</error>'
+      );
+      expect(report).toContain('<testcase classname="repo2" name="repository" />');
+    });
+
+    it('should report applied changes as passing in live mode', () => {
+      const report = formatJUnitReport(createResult(false));
+
+      expect(report).toContain('tests="3" failures="0" errors="1"');
+      expect(report).toContain('<system-out>has_wiki</system-out>');
+    });
+  });
+
+  describe('formatMarkdownReport', () => {
+    it('should summarize the counts and list the changed and failed sections', () => {
+      const report = formatMarkdownReport(createResult(true));
+
+      expect(report).toBe(
+        [
+          '## GitHub Settings Sync: test-org',
+          '',
+          'Mode: Dry Run',
+          '',
+          '| Total | Processed | Skipped | Unchanged | Drifted | Failed |',
+          '| ---: | ---: | ---: | ---: | ---: | ---: |',
+          '| 3 | 2 | 1 | 1 | 0 | 1 |',
+          '',
+          '| Repository | Section | Status | Details |',
+          '| --- | --- | --- | --- |',
+          '| repo1 | repository | changed | has_wiki |',
+          '| repo1 | files | failed | Not &lt;Found> |',
+          '',
+        ].join('\n')
+      );
+    });
+
+    it('should note when all repositories match', () => {
+      const result = { ...createResult(false), repositories: [] };
+
+      const report = formatMarkdownReport(result);
+
+      expect(report).toContain('| Total | Processed | Skipped | Unchanged | Updated | Failed |');
+      expect(report).toContain('All repositories match the settings.');
+    });
+  });
+
+  describe('parseReportOption', () => {
+    it('should collect the format and path of each report', () => {
+      const reports = parseReportOption('junit:reports/sync.xml', [
+        { format: 'json', path: 'sync.json' },
+      ]);
+
+      expect(reports).toEqual([
+        { format: 'json', path: 'sync.json' },
+        { format: 'junit', path: 'reports/sync.xml' },
+      ]);
+    });
+
+    it('should keep colons in the path', () => {
+      expect(parseReportOption('markdown:C:\\summary.md', [])).toEqual([
+        { format: 'markdown', path: 'C:\\summary.md' },
+      ]);
+    });
+
+    it.each(['json', 'html:report.html', 'json:', 'toString:report'])(
+      'should reject invalid reports like %s',
+      (value) => {
+        expect(() => parseReportOption(value, [])).toThrow('Expected <format>:<path>');
+      }
+    );
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2024 Dan Klco
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import { describe, it, expect } from 'vitest';
+
+import { renderTemplate } from '../../src/utils/template';
+
+describe('Template Utils', () => {
+  describe('renderTemplate', () => {
+    const variables = {
+      repo: {
+        name: 'widgets',
+        description: null,
+        topics: ['catalog', 'api'],
+        custom_properties: { 'cost-center': 'R&D', owners: { lead: 'user1' } },
+      },
+      vars: { year: 2026 },
+    };
+
+    it('should replace placeholders with variable values', () => {
+      expect(
+        renderTemplate(
+          '# {{repo.name}} ({{ vars.year }}) {{ repo.custom_properties.cost-center }}',
+          variables
+        )
+      ).toBe('# widgets (2026) R&D');
+    });
+
+    it('should join arrays, stringify objects and leave null values empty', () => {
+      expect(
+        renderTemplate(
+          '{{ repo.topics }}|{{ repo.custom_properties.owners }}|{{ repo.description }}',
+          variables
+        )
+      ).toBe('catalog, api|{"lead":"user1"}|');
+    });
+
+    it('should leave GitHub Actions expressions unchanged', () => {
+      expect(renderTemplate('token: ${{ secrets.TOKEN }}', variables)).toBe(
+        'token: ${{ secrets.TOKEN }}'
+      );
+    });
+
+    it.each(['repo.owner', 'vars.year.month', 'repo.name.length', 'constructor'])(
+      'should throw for the undefined variable %s',
+      (name) => {
+        expect(() => renderTemplate(`{{ ${name} }}`, variables)).toThrow(
+          `Unknown template variable: ${name}`
+        );
+      }
+    );
+  });
+});